@@ -115,8 +115,9 @@ class RomasmCalculatorEngine {
             this.stdlibLoaded = true;
         }
         
-        // Compile the user function
-        const userResult = this.assembler.assemble(romasmCode);
+        // Compile the user function; the stdlib functions it calls are linked below
+        const externs = requiredStdlib.length > 0 ? `\nEXTERN ${requiredStdlib.join(', ')}\n` : '';
+        const userResult = this.assembler.assemble(romasmCode + externs);
         if (!userResult.success) {
             throw new Error(`Assembly failed: ${userResult.errors.map(e => e.message).join(', ')}`);
         }
@@ -145,19 +146,15 @@ class RomasmCalculatorEngine {
             throw new Error(`Function ${funcName} not defined`);
         }
         
-        const vm = new RomasmVM();
+        const vm = new RomasmVM(null, { returnToHost: true });
         const scaledX = Math.floor(x * 100); // Scale by 100
         vm.registers['I'] = scaledX; // R0 = x
         
         vm.loadProgram(this.compiledFunctions[funcName]);
         
-        let steps = 0;
-        while (!vm.halted && steps < 10000) {
-            const stepResult = vm.step();
-            if (stepResult.error) {
-                throw new Error(`Execution error: ${stepResult.error}`);
-            }
-            steps++;
+        const execution = vm.run(10000, { compiled: true });
+        if (vm.halted && execution.error) {
+            throw new Error(`Execution error: ${execution.error}`);
         }
         
         if (vm.halted) {
@@ -219,18 +216,13 @@ class RomasmCalculatorEngine {
         let maxR = 0;
         
         for (let theta = thetaStart; theta <= thetaEnd; theta += stepSize) {
-            const vm = new RomasmVM();
+            const vm = new RomasmVM(null, { returnToHost: true });
             const scaledTheta = Math.floor(theta * (this.angleMode === 'degree' ? 100 : 1000));
             vm.registers['I'] = scaledTheta;
             vm.loadProgram(this.compiledFunctions[funcName]);
             
             try {
-                let steps = 0;
-                while (!vm.halted && steps < 1000) {
-                    const stepResult = vm.step();
-                    if (stepResult.error) break;
-                    steps++;
-                }
+                vm.run(1000, { compiled: true });
                 
                 const rScaled = vm.registers['I'];
                 const r = rScaled / 100.0;
@@ -272,14 +272,10 @@ DIV R0, R1`;
                 throw new Error(result.errors.map(e => e.message).join(', '));
             }
             
-            const vm = new RomasmVM();
+            const vm = new RomasmVM(null, { returnToHost: true });
             vm.loadProgram(result.instructions);
             
-            let steps = 0;
-            while (!vm.halted && steps < 1000) {
-                vm.step();
-                steps++;
-            }
+            vm.run(1000, { compiled: true });
             
             if (vm.halted) {
                 return vm.registers['I'] / 100.0; // Unscale
@@ -52,7 +52,7 @@ class RomasmMathEngine {
             throw new Error(`Function ${name} not found`);
         }
         
-        const vm = new RomasmVM();
+        const vm = new RomasmVM(null, { returnToHost: true });
         
         // Set input registers
         if (inputs.R0 !== undefined) vm.registers['I'] = inputs.R0;
@@ -62,13 +62,9 @@ class RomasmMathEngine {
         // Load and execute
         vm.loadProgram(this.compiledFunctions[name].instructions);
         
-        let steps = 0;
-        while (!vm.halted && steps < 10000) {
-            const stepResult = vm.step();
-            if (stepResult.error) {
-                throw new Error(`Execution error in ${name}: ${stepResult.error}`);
-            }
-            steps++;
+        const execution = vm.run(10000, { compiled: true });
+        if (vm.halted && execution.error) {
+            throw new Error(`Execution error in ${name}: ${execution.error}`);
         }
         
         if (!vm.halted) {
@@ -145,18 +145,13 @@ RET`;
         
         // First pass: calculate r values
         for (let theta = thetaStart; theta <= thetaEnd; theta += stepSize) {
-            const vm = new RomasmVM();
+            const vm = new RomasmVM(null, { returnToHost: true });
             const scaledTheta = Math.floor(theta * (angleMode === 'degree' ? 100 : 1000));
             vm.registers['I'] = scaledTheta;
             vm.loadProgram(result.instructions);
             
             try {
-                let steps = 0;
-                while (!vm.halted && steps < 1000) {
-                    const stepResult = vm.step();
-                    if (stepResult.error) break;
-                    steps++;
-                }
+                vm.run(1000, { compiled: true });
                 
                 if (vm.halted) {
                     const rScaled = vm.registers['I'];
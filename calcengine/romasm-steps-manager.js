@@ -37,7 +37,7 @@ class RomasmStepsManager {
         this.strategies = {
             immediate: 'immediate',      // Execute all at once
             chunked: 'chunked',          // Execute in chunks with yields
-            background: 'background'     // Execute in Web Worker (future)
+            background: 'background'     // Execute in a Web Worker (needs a RomasmVMProxy, see execute())
         };
     }
     
@@ -102,10 +102,14 @@ class RomasmStepsManager {
      * Execute a script with appropriate step management
      * @param {RomasmVM} vm - The virtual machine instance
      * @param {string} code - Romasm assembly code
-     * @param {Function} onProgress - Optional callback for progress updates
+     * @param {Function} onProgress - Optional callback for progress updates. If a script
+     *   cannot run in the worker, it is called once with { steps: 0, ..., error } before
+     *   the script runs in chunks instead
+     * @param {Object} options - Optional { signal, worker }: an AbortSignal that stops execution,
+     *   and a RomasmVMProxy that long-running scripts are sent to instead of running in vm
      * @returns {Promise<Object>} Execution result
      */
-    async execute(vm, code, onProgress = null) {
+    async execute(vm, code, onProgress = null, options = {}) {
         const analysis = this.analyzeScript(code);
         const result = {
             success: false,
@@ -115,8 +119,27 @@ class RomasmStepsManager {
             analysis: analysis
         };
         
+        if (analysis.strategy === this.strategies.chunked && options.worker) {
+            analysis.strategy = this.strategies.background;
+            try {
+                return await this.executeBackground(vm, analysis, onProgress, options);
+            } catch (error) {
+                // Worker unavailable (e.g. pages opened from file://) or VM state it cannot
+                // take: run on the main thread
+                analysis.strategy = this.strategies.chunked;
+                if (onProgress) {
+                    onProgress({
+                        steps: 0,
+                        total: analysis.maxSteps,
+                        percent: 0,
+                        error: `Background execution failed, running in chunks instead: ${error.message}`
+                    });
+                }
+            }
+        }
+        
         if (analysis.strategy === this.strategies.chunked) {
-            return await this.executeChunked(vm, analysis, onProgress);
+            return await this.executeChunked(vm, analysis, onProgress, options.signal);
         } else {
             return await this.executeImmediate(vm, analysis, onProgress);
         }
@@ -135,7 +158,7 @@ class RomasmStepsManager {
         };
         
         while (!vm.halted && steps < analysis.maxSteps) {
-            const stepResult = vm.step();
+            const stepResult = vm.step('none');
             
             if (stepResult.error) {
                 result.error = stepResult.error;
@@ -161,9 +184,10 @@ class RomasmStepsManager {
     }
     
     /**
-     * Execute script in chunks (for long-running scripts)
+     * Execute script in chunks (for long-running scripts).
+     * An aborted signal stops it between chunks.
      */
-    async executeChunked(vm, analysis, onProgress) {
+    async executeChunked(vm, analysis, onProgress, signal = null) {
         let totalSteps = 0;
         const result = {
             success: false,
@@ -174,10 +198,17 @@ class RomasmStepsManager {
         };
         
         while (!vm.halted && totalSteps < analysis.maxSteps) {
+            if (signal && signal.aborted) {
+                result.aborted = true;
+                result.error = `Stopped after ${totalSteps} steps`;
+                result.output = [...vm.output];
+                return result;
+            }
+            
             // Execute one chunk
             let chunkSteps = 0;
             while (!vm.halted && chunkSteps < analysis.chunkSize && totalSteps < analysis.maxSteps) {
-                const stepResult = vm.step();
+                const stepResult = vm.step('none');
                 
                 if (stepResult.error) {
                     result.error = stepResult.error;
@@ -217,6 +248,86 @@ class RomasmStepsManager {
         return result;
     }
     
+    /**
+     * Execute script in a Web Worker (for long-running scripts).
+     * The whole VM state (program, data, memory, registers, stack configuration)
+     * is copied to the worker with snapshot() and copied back the same way when
+     * the run ends, and drawing opcodes are replayed on vm's canvas context.
+     * Throws before anything is sent if vm has host-side parts (see backgroundBlockers()).
+     */
+    async executeBackground(vm, analysis, onProgress, options) {
+        const blockers = this.backgroundBlockers(vm);
+        if (blockers.length > 0) {
+            throw new Error(`${blockers.join(', ')} cannot be copied to a worker`);
+        }
+        const worker = options.worker;
+        const result = {
+            success: false,
+            steps: 0,
+            output: [],
+            error: null,
+            background: true
+        };
+        
+        worker.canvasContext = vm.canvasContext;
+        await worker.restore(vm.snapshot(), { returnToHost: vm.returnToHost });
+        
+        const execution = await worker.run(analysis.maxSteps, {
+            compiled: true,
+            signal: options.signal,
+            onProgress: (progress) => {
+                if (onProgress) {
+                    onProgress({
+                        steps: progress.steps,
+                        total: analysis.maxSteps,
+                        percent: (progress.steps / analysis.maxSteps) * 100,
+                        label: progress.label
+                    });
+                }
+            }
+        });
+        
+        vm.restore(await worker.snapshot());
+        
+        result.steps = execution.steps;
+        result.success = execution.halted;
+        result.output = [...execution.output];
+        
+        if (execution.aborted) {
+            result.aborted = true;
+            result.error = `Stopped after ${execution.steps} steps`;
+        } else if (!execution.halted && execution.steps >= analysis.maxSteps) {
+            result.error = `Maximum steps (${analysis.maxSteps}) exceeded. Consider optimizing your script or using a larger step size.`;
+        } else if (execution.error) {
+            result.error = execution.error;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Parts of a VM that are JS objects on the main thread, which a snapshot
+     * only names: attached devices, firmware, JS interrupt handlers and host functions
+     * @param {RomasmVM} vm - The virtual machine instance
+     * @returns {Array<string>} Descriptions, empty if the VM can run in a worker
+     */
+    backgroundBlockers(vm) {
+        const blockers = [];
+        if (vm.ioDevices.length > 0) {
+            blockers.push('attached devices');
+        }
+        if (vm.bios || vm.uefi) {
+            blockers.push('BIOS/UEFI firmware');
+        }
+        if (Object.keys(vm.interruptVector).length > 0) {
+            blockers.push('JS interrupt handlers');
+        }
+        if (vm.hostFunctions.size > 0) {
+            blockers.push('host functions');
+        }
+        return blockers;
+    }
+    
     /**
      * Set custom limits for a script type
      * @param {string} type - Script type ('regular', 'plotting', 'plottingTrig', etc.)
@@ -240,3 +351,7 @@ class RomasmStepsManager {
     }
 }
 
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RomasmStepsManager };
+}
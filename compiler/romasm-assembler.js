@@ -5,7 +5,19 @@
  */
 
 class RomasmAssembler {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {number} options.wordSize - Target register width in bits (16, 32 or 64, default 64);
+     *   constant expressions in operands must fit it
+     * @param {Object} options.files - File provider for INCLUDE (see romasm-file-providers.js)
+     * @param {Array<string>} options.externs - Labels resolved after assembly, such as the
+     *   standard library routines RomasmLinker links in; treated as declared with EXTERN
+     */
+    constructor(options = {}) {
+        this.wordSize = options.wordSize || 64;
+        this.files = options.files || null;
+        this.externs = options.externs || [];
+
         // Instruction opcodes
         this.opcodes = {
             'INC': 'I',
@@ -134,6 +146,19 @@ class RomasmAssembler {
             'CS': 'CS', 'DS': 'DS', 'ES': 'ES', 'SS': 'SS', 'FS': 'FS', 'GS': 'GS'
         };
 
+        // Memory access size keywords (bytes)
+        this.memorySizes = {
+            'BYTE': 1, 'WORD': 2, 'DWORD': 4, 'QWORD': 8
+        };
+
+        // Data directive sizes (bytes)
+        this.dataWidths = {
+            'DB': 1, 'DW': 2, 'DD': 4, 'DQ': 8
+        };
+
+        // Maximum depth of macros expanding other macros (stops recursive macros)
+        this.macroDepthLimit = 32;
+
         // Reverse mappings
         this.opcodeToName = {};
         for (const [name, code] of Object.entries(this.opcodes)) {
@@ -149,21 +174,53 @@ class RomasmAssembler {
     /**
      * Assemble Romasm source code into machine code
      * @param {string} source - Romasm assembly source code
-     * @returns {Object} Assembly result with instructions, data, and labels
+     * @param {Object} options
+     * @param {string} options.file - Name of the source file, for INCLUDE paths and error locations
+     * @param {Object} options.files - File provider for INCLUDE (default: the constructor's files option)
+     * @returns {Object} Assembly result with instructions, data, labels and sections
+     *   ({ name, address, size, align, labels } for .text and each data section used)
      */
-    assemble(source) {
-        const lines = source.split('\n');
+    assemble(source, options = {}) {
+        const expansion = this.expandMacros(source, options);
+        const { lines, origins } = expansion;
+        // Errors with the expanded line they belong before, to report them in source order
+        const problems = expansion.errors.map((error, k) => [expansion.errorPositions[k], error]);
+        const report = (i, message, code, symbol) => {
+            const error = this.sourceError(origins[i], message, code);
+            if (symbol) {
+                error.symbol = symbol; // The name that is not defined
+            }
+            problems.push([i, error]);
+        };
         const instructions = [];
-        const data = []; // Data bytes (DB directives)
         const dataLabels = {}; // Labels pointing to data
         const labels = {};
-        const errors = [];
-        
-        // Track data offset (starts after instructions)
-        let dataOffset = 0;
+        const constants = {}; // EQU definitions: name -> { expression, line, address }
+        const fixups = []; // Expressions that use symbols defined further down
 
-        // First pass: collect labels and count instructions/data
+        // First pass: place every label, count instructions and size the data
+        // sections. TIMES, RESB/RESW/RESD/RESQ and ALIGN counts are needed here,
+        // so they may only use constants defined above them
+        const layoutSymbols = { labels: {}, dataLabels: {}, constants, values: {}, dataBase: 0, address: undefined };
+        const sizes = { '.data': 0, '.rodata': 0, '.bss': 0 };
+        const aligns = { '.data': 1, '.rodata': 1, '.bss': 1 };
+        const counts = new Map(); // Line -> TIMES/RESx/ALIGN count, or the error evaluating it
+        const placed = {}; // Label -> { section, offset, position }
+        const externs = new Set(this.externs); // EXTERN names: labels defined in another source
+        let section = '.text';
         let instructionAddress = 0;
+        const placeLabel = (label, name) => {
+            placed[label].section = name;
+            placed[label].offset = name === '.text' ? instructionAddress : sizes[name];
+        };
+        // A label in .text names whatever comes next, an instruction or data (which goes
+        // to .data); at a SECTION directive or the end of the source, where the last item ended
+        let pendingLabels = [];
+        let lastItem = '.text';
+        const placePendingLabels = (name) => {
+            pendingLabels.forEach(label => placeLabel(label, name));
+            pendingLabels = [];
+        };
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i].trim();
             if (!line || line.startsWith(';')) continue; // Skip empty lines and comments
@@ -171,301 +228,930 @@ class RomasmAssembler {
             // Check for label
             if (line.endsWith(':')) {
                 const label = line.slice(0, -1).trim();
-                // We'll determine if it's a data or instruction label later
+                if (label in placed) {
+                    const first = origins[placed[label].position];
+                    const where = first.file && first.file !== origins[i].file ? `${first.file}:${first.line}` : `line ${first.line}`;
+                    report(i, `Label ${label} is already defined at ${where}`, line);
+                    continue;
+                }
+                placed[label] = { position: i };
+                if (section === '.text') {
+                    pendingLabels.push(label);
+                } else {
+                    placeLabel(label, section);
+                }
+                continue;
+            }
+
+            // Constant definition: NAME EQU expression (evaluated in the second pass)
+            const equ = this.parseEqu(line);
+            if (equ) {
+                if (equ.name in constants) {
+                    report(i, `Constant ${equ.name} is already defined at line ${constants[equ.name].line}`, line);
+                } else if (equ.name.toUpperCase() in this.registers) {
+                    report(i, `Invalid constant name: ${equ.name}`, line);
+                } else {
+                    constants[equ.name] = { expression: equ.expression, line: origins[i].line };
+                }
+                continue;
+            }
+
+            // EXTERN name, ...: labels another source defines
+            const names = this.parseExtern(line);
+            if (names) {
+                for (const name of names) {
+                    if (/^[A-Za-z_.][\w.]*$/.test(name)) {
+                        externs.add(name);
+                    } else {
+                        report(i, `Invalid EXTERN name: ${name}`, line);
+                    }
+                }
                 continue;
             }
 
-            // Check if it's a data directive
-            const upperLine = line.toUpperCase();
-            if (upperLine.startsWith('DB ') || upperLine.startsWith('DW ') || 
-                upperLine.startsWith('DD ') || upperLine.startsWith('DQ ')) {
-                // Data directive - will be handled in second pass
+            let item = line;
+            let repeat = 1;
+            const layout = this.parseLayoutDirective(line);
+            if (layout) {
+                if (layout.directive === 'SECTION') {
+                    placePendingLabels(lastItem);
+                    if (RomasmAssembler.SECTIONS.includes(layout.name)) {
+                        section = layout.name;
+                    }
+                    continue;
+                }
+                let count;
+                try {
+                    count = this.evaluateCount(layout, layoutSymbols);
+                } catch (error) {
+                    count = error;
+                }
+                counts.set(i, count);
+                if (count instanceof Error) {
+                    continue;
+                }
+                if (layout.directive === 'ALIGN') {
+                    if (section !== '.text') {
+                        sizes[section] = Math.ceil(sizes[section] / count) * count;
+                        aligns[section] = Math.max(aligns[section], count);
+                    }
+                    continue;
+                }
+                if (layout.directive !== 'TIMES') {
+                    if (section === '.bss') {
+                        sizes['.bss'] += count * layout.width;
+                    }
+                    continue;
+                }
+                item = layout.item;
+                repeat = count;
+            }
+
+            // Data directives outside the data sections go to .data
+            if (this.isDataDirective(item)) {
+                if (section !== '.bss') {
+                    const target = section === '.text' ? '.data' : section;
+                    placePendingLabels(target);
+                    lastItem = target;
+                    let size = 0;
+                    try {
+                        size = this.parseDataDirective(item, layoutSymbols).length;
+                    } catch (error) {
+                        // Reported in the second pass
+                    }
+                    sizes[target] += size * repeat;
+                }
                 continue;
             }
 
             // Regular instruction
-            instructionAddress++;
+            if (section === '.text') {
+                placePendingLabels('.text');
+                lastItem = '.text';
+                instructionAddress += repeat;
+            }
+        }
+        placePendingLabels(lastItem);
+
+        // Lay out the data sections after the instructions: .data, .rodata, .bss,
+        // each starting on its largest ALIGN boundary
+        const dataBase = instructionAddress;
+        const starts = {};
+        let sectionEnd = dataBase;
+        for (const name of ['.data', '.rodata', '.bss']) {
+            starts[name] = Math.ceil(sectionEnd / aligns[name]) * aligns[name];
+            sectionEnd = starts[name] + sizes[name];
+        }
+
+        // Every label's address is known before the second pass, so they can be used in any order
+        const sectionLabels = { '.text': [], '.data': [], '.rodata': [], '.bss': [] };
+        for (const [label, { section: name, offset, position }] of Object.entries(placed)) {
+            if (label in constants) {
+                report(position, `Label ${label} is already defined as a constant`, lines[position].trim());
+            } else if (name === '.text') {
+                labels[label] = offset;
+            } else {
+                dataLabels[label] = starts[name] + offset - dataBase;
+            }
+            if (!(label in constants)) {
+                sectionLabels[name].push(label);
+            }
         }
 
+        // Symbols for expressions; data addresses follow the instructions
+        const symbols = { labels, dataLabels, constants, externs, values: {}, dataBase, address: 0 };
+
         // Second pass: assemble instructions and data
+        const offsets = { '.data': 0, '.rodata': 0, '.bss': 0 };
+        const sectionData = { '.data': [], '.rodata': [] }; // Data bytes (DB/DW/DD/DQ and ALIGN padding)
+        const externals = []; // References to labels defined elsewhere, left for the linker
+        section = '.text';
         instructionAddress = 0;
-        let currentDataAddress = 0;
-        
+        let here = 0; // Address after the last instruction or data item, for $ in EQU
+
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i].trim();
             if (!line || line.startsWith(';')) continue;
 
-            // Handle labels
+            // Labels were placed in the first pass
             if (line.endsWith(':')) {
-                const label = line.slice(0, -1).trim();
-                // Check next non-empty line to determine if it's data or instruction
-                let nextLine = '';
-                for (let j = i + 1; j < lines.length; j++) {
-                    const testLine = lines[j].trim();
-                    if (testLine && !testLine.startsWith(';')) {
-                        nextLine = testLine.toUpperCase();
-                        break;
+                continue;
+            }
+
+            // Constant definitions: evaluate now, or at the end if they use later symbols
+            const equ = this.parseEqu(line);
+            if (equ) {
+                const constant = constants[equ.name];
+                if (constant && constant.line === origins[i].line && constant.address === undefined) {
+                    constant.address = here;
+                    try {
+                        this.resolveConstant(equ.name, symbols);
+                    } catch (error) {
+                        if (error.symbol) {
+                            fixups.push({ constant: equ.name, position: i, origin: origins[i], line });
+                        } else {
+                            report(i, error.message, line);
+                        }
                     }
                 }
-                
-                const nextUpper = nextLine.trim().toUpperCase();
-                if (nextUpper.startsWith('DB ') || nextUpper.startsWith('DW ') || 
-                    nextUpper.startsWith('DD ') || nextUpper.startsWith('DQ ')) {
-                    // Data label
-                    dataLabels[label] = currentDataAddress;
-                } else {
-                    // Instruction label
-                    labels[label] = instructionAddress;
-                }
                 continue;
             }
 
+            if (this.parseExtern(line)) {
+                continue;
+            }
+
+            let item = line;
+            let repeat = 1;
+            const layout = this.parseLayoutDirective(line);
+            if (layout) {
+                if (layout.directive === 'SECTION') {
+                    if (RomasmAssembler.SECTIONS.includes(layout.name)) {
+                        section = layout.name;
+                    } else {
+                        report(i, `Unknown section: ${layout.name} (use ${RomasmAssembler.SECTIONS.join(', ')})`, line);
+                    }
+                    continue;
+                }
+                const count = counts.get(i);
+                if (count instanceof Error) {
+                    report(i, count.message, line);
+                    continue;
+                }
+                if (layout.directive === 'ALIGN') {
+                    if (section === '.text') {
+                        report(i, 'ALIGN can only be used in .data, .rodata and .bss', line);
+                        continue;
+                    }
+                    const padding = Math.ceil(offsets[section] / count) * count - offsets[section];
+                    if (section !== '.bss') {
+                        for (let k = 0; k < padding; k++) {
+                            sectionData[section].push({ address: starts[section] + offsets[section] + k - dataBase, value: 0 });
+                        }
+                    }
+                    offsets[section] += padding;
+                    here = starts[section] + offsets[section];
+                    continue;
+                }
+                if (layout.directive !== 'TIMES') {
+                    if (section !== '.bss') {
+                        report(i, `${layout.directive} can only be used in .bss`, line);
+                        continue;
+                    }
+                    offsets['.bss'] += count * layout.width;
+                    here = starts['.bss'] + offsets['.bss'];
+                    continue;
+                }
+                item = layout.item;
+                repeat = count;
+            }
+
             // Check for data directives
-            const upperLine = line.toUpperCase();
-            if (upperLine.startsWith('DB ') || upperLine.startsWith('DW ') || 
-                upperLine.startsWith('DD ') || upperLine.startsWith('DQ ')) {
+            if (this.isDataDirective(item)) {
+                if (section === '.bss') {
+                    report(i, `${item.substring(0, 2).toUpperCase()} cannot be used in .bss (reserve space with RESB/RESW/RESD/RESQ)`, line);
+                    continue;
+                }
+                const target = section === '.text' ? '.data' : section;
                 try {
-                    const dataBytes = this.parseDataDirective(line);
-                    for (const byte of dataBytes) {
-                        data.push({
-                            address: currentDataAddress,
-                            value: byte
-                        });
-                        currentDataAddress++;
+                    for (let r = 0; r < repeat; r++) {
+                        symbols.address = starts[target] + offsets[target];
+                        const deferred = [];
+                        const items = this.parseDataDirective(item, symbols, deferred).map((value, k) => ({
+                            address: symbols.address + k - dataBase,
+                            value
+                        }));
+                        for (const entry of deferred) {
+                            fixups.push({ ...entry, items: items.slice(entry.offset, entry.offset + entry.width), address: symbols.address, position: i, origin: origins[i], line });
+                        }
+                        sectionData[target].push(...items);
+                        offsets[target] += items.length;
+                        here = starts[target] + offsets[target];
                     }
                 } catch (error) {
-                    errors.push({
-                        line: i + 1,
-                        message: error.message,
-                        code: line
-                    });
+                    report(i, error.message, line);
                 }
                 continue;
             }
 
             // Regular instruction
+            if (section !== '.text') {
+                report(i, `Instructions must be in the .text section, not ${section}`, line);
+                continue;
+            }
             try {
-                const instruction = this.parseInstruction(line, labels, instructionAddress);
-                instructions.push(instruction);
-                instructionAddress++;
+                for (let r = 0; r < repeat; r++) {
+                    symbols.address = instructionAddress;
+                    const instruction = this.parseInstruction(item, symbols, instructionAddress);
+                    for (const name of this.checkLabelReferences(instruction, symbols)) {
+                        externals.push(origins[i].file ? { name, file: origins[i].file, line: origins[i].line } : { name, line: origins[i].line });
+                    }
+                    if (instruction.operands.some(op => op.expression || op.displacementExpression)) {
+                        fixups.push({ instruction, address: instructionAddress, position: i, origin: origins[i], line });
+                    }
+                    instructions.push(instruction);
+                    instructionAddress++;
+                    here = instructionAddress;
+                }
             } catch (error) {
-                errors.push({
-                    line: i + 1,
-                    message: error.message,
-                    code: line
-                });
+                report(i, error.message, line, error.symbol);
             }
         }
 
         // Merge labels: data labels are offset by instruction count
         const mergedLabels = { ...labels };
         for (const [label, dataAddr] of Object.entries(dataLabels)) {
-            mergedLabels[label] = instructions.length + dataAddr;
+            mergedLabels[label] = dataBase + dataAddr;
         }
-        
+
+        // Every label is known now: evaluate the expressions that had to wait
+        for (const fixup of fixups) {
+            try {
+                this.applyFixup(fixup, symbols);
+            } catch (error) {
+                problems.push([fixup.position, this.sourceError(fixup.origin, error.message, fixup.line)]);
+            }
+        }
+
+        const constantValues = {};
+        for (const [name, value] of Object.entries(symbols.values)) {
+            constantValues[name] = Number(value);
+        }
+
+        // Section records: .text always, the data sections when they have contents or labels
+        const sections = [{ name: '.text', address: 0, size: instructions.length, align: 1, labels: sectionLabels['.text'] }];
+        for (const name of ['.data', '.rodata', '.bss']) {
+            if (offsets[name] > 0 || sectionLabels[name].length > 0) {
+                sections.push({ name, address: starts[name], size: offsets[name], align: aligns[name], labels: sectionLabels[name] });
+            }
+        }
+
+        const errors = problems.sort((a, b) => a[0] - b[0]).map(([, error]) => error);
+
         return {
             instructions,
-            data,
+            data: [...sectionData['.data'], ...sectionData['.rodata']],
             labels: mergedLabels, // Merged: instruction labels (0 to N-1) and data labels (N+)
             dataLabels,
-            errors,
+            sections,
+            externals, // [{ name, line, file }] for each reference to a label defined in another source
+            constants: constantValues,
+            files: expansion.files, // Source files read, main file first
+            errors, // { line, file, message, code }, and symbol when a label is not defined
             success: errors.length === 0
         };
     }
 
     /**
-     * Parse a data directive (DB, DW, etc.)
-     * @param {string} line - Data directive line
-     * @returns {Array<number>} Array of byte values
+     * Assemble with an asynchronous file provider (such as RomasmFetchFileProvider):
+     * every file reachable through INCLUDE is read first, then assemble() runs
+     * on the preloaded files
+     * @param {string} source - Romasm assembly source code
+     * @param {Object} options - As for assemble()
+     * @returns {Promise<Object>} Assembly result
      */
-    parseDataDirective(line) {
-        // Remove comments
+    async assembleAsync(source, options = {}) {
+        const files = options.files || this.files;
+        if (!files) {
+            return this.assemble(source, options);
+        }
+
+        const cache = new Map(); // Path -> text, or null if missing
+        const visited = new Set();
+        const preload = async (text, file) => {
+            for (const match of text.matchAll(/^\s*INCLUDE\s+(["'])(.+?)\1/gim)) {
+                for (const path of this.includeCandidates(match[2], file, files)) {
+                    if (!cache.has(path)) {
+                        const found = await files.read(path);
+                        cache.set(path, found === undefined ? null : found);
+                    }
+                    if (cache.get(path) !== null) {
+                        if (!visited.has(path)) {
+                            visited.add(path);
+                            await preload(String(cache.get(path)), path);
+                        }
+                        break;
+                    }
+                }
+            }
+        };
+        await preload(source, options.file);
+
+        const preloaded = {
+            paths: files.paths,
+            read: path => (cache.has(path) ? cache.get(path) : null)
+        };
+        return this.assemble(source, { ...options, files: preloaded });
+    }
+
+    /**
+     * Recognise a constant definition
+     * @param {string} line - Source line
+     * @returns {Object|null} { name, expression }, or null for other lines
+     */
+    parseEqu(line) {
         const commentIndex = line.indexOf(';');
-        if (commentIndex !== -1) {
-            line = line.substring(0, commentIndex).trim();
+        const code = commentIndex === -1 ? line : line.substring(0, commentIndex);
+        const match = code.trim().match(/^([A-Za-z_.][\w.]*)\s+EQU\s+(.+)$/i);
+        return match ? { name: match[1], expression: match[2].trim() } : null;
+    }
+
+    /**
+     * Recognise an EXTERN declaration
+     * @param {string} line - Source line
+     * @returns {Array<string>|null} Declared names, or null for other lines
+     */
+    parseExtern(line) {
+        const commentIndex = line.indexOf(';');
+        const code = commentIndex === -1 ? line : line.substring(0, commentIndex);
+        const match = code.trim().match(/^EXTERN\s+(.+)$/i);
+        return match ? match[1].split(',').map(name => name.trim()) : null;
+    }
+
+    /**
+     * Recognise the layout directives: SECTION name, ALIGN n, RESB/RESW/RESD/RESQ n
+     * and TIMES n item, where item is an instruction or a DB/DW/DD/DQ directive
+     * @param {string} line - Source line
+     * @returns {Object|null} { directive, name } for SECTION, { directive, expression, width, item }
+     *   for the others, or null for other lines
+     */
+    parseLayoutDirective(line) {
+        const commentIndex = line.indexOf(';');
+        const code = (commentIndex === -1 ? line : line.substring(0, commentIndex)).trim();
+        const match = code.match(/^(SECTION|ALIGN|RES[BWDQ]|TIMES)\s+(.+)$/i);
+        if (!match) {
+            return null;
         }
 
-        const upperLine = line.toUpperCase();
-        const bytes = [];
+        const directive = match[1].toUpperCase();
+        const operand = match[2].trim();
+        if (directive === 'SECTION') {
+            return { directive, name: operand.toLowerCase() };
+        }
+        if (directive !== 'TIMES') {
+            return { directive, expression: operand, width: this.dataWidths['D' + directive[3]] || 1 };
+        }
+
+        // The count runs up to the first data directive or instruction name
+        for (const word of operand.matchAll(/\s+([A-Za-z_]\w*)/g)) {
+            const name = word[1].toUpperCase();
+            if (name in this.dataWidths || name in this.opcodes) {
+                return { directive, expression: operand.substring(0, word.index), item: operand.substring(word.index).trim() };
+            }
+        }
+        return { directive, expression: operand, item: null };
+    }
+
+    /**
+     * Evaluate the count of a TIMES, RESB/RESW/RESD/RESQ or ALIGN directive.
+     * The first pass needs it to lay out the sections, so like NASM's critical
+     * expressions it can only use numbers and constants defined above it.
+     * @param {Object} layout - Directive from parseLayoutDirective()
+     * @param {Object} symbols - Symbol table with constants only
+     * @returns {number} Count (bytes to align to for ALIGN)
+     */
+    evaluateCount(layout, symbols) {
+        const { directive, expression } = layout;
+        if (directive === 'TIMES' && !layout.item) {
+            throw new Error('TIMES needs a count followed by an instruction or DB/DW/DD/DQ directive');
+        }
+        let value;
+        try {
+            value = this.evaluateExpression(expression, symbols);
+        } catch (error) {
+            throw new Error(`${directive} count must use only numbers and constants defined above it (${error.message})`);
+        }
+        if (value < 0n || value > 0xFFFFFFFFn) {
+            throw new Error(`${directive} count out of range: ${value}`);
+        }
+        if (directive === 'ALIGN' && (value === 0n || (value & (value - 1n)) !== 0n)) {
+            throw new Error(`ALIGN needs a power of two: ${value}`);
+        }
+        return Number(value);
+    }
+
+    /**
+     * @param {string} line - Source line
+     * @returns {boolean} Whether the line is a DB/DW/DD/DQ directive
+     */
+    isDataDirective(line) {
+        return /^D[BWDQ]\s/i.test(line);
+    }
+
+    /**
+     * Evaluate an expression deferred during the second pass
+     * @param {Object} fixup - { constant } | { instruction } | { items, width, directive, expression }
+     * @param {Object} symbols - Symbol table (see evaluateExpression)
+     */
+    applyFixup(fixup, symbols) {
+        symbols.address = fixup.address;
+        if (fixup.constant) {
+            this.resolveConstant(fixup.constant, symbols);
+        } else if (fixup.instruction) {
+            for (const op of fixup.instruction.operands) {
+                if (op.expression) {
+                    op.value = this.toWordValue(this.evaluateExpression(op.expression, symbols));
+                    delete op.expression;
+                }
+                if (op.displacementExpression) {
+                    op.displacement = this.toWordValue(BigInt(op.displacement) + this.evaluateExpression(op.displacementExpression, symbols));
+                    op.value = op.displacement;
+                    delete op.displacementExpression;
+                }
+            }
+        } else {
+            const bytes = this.toBytes(this.evaluateExpression(fixup.expression, symbols), fixup.width, fixup.directive);
+            bytes.forEach((byte, k) => {
+                fixup.items[k].value = byte;
+            });
+        }
+    }
+
+    /**
+     * Expand INCLUDE directives and macros. INCLUDE "file" inserts another
+     * source file, read through the file provider (options.files or the
+     * constructor's files option); see includeCandidates() for the search
+     * order. Each file is included at most once per assembly, and a file
+     * that includes itself, directly or indirectly, is an error.
+     *
+     * A macro is defined with
+     *   MACRO name param1, param2
+     *       ... body, using %param1 / %param2 and %%label for local labels ...
+     *   ENDMACRO
+     * and invoked like an instruction: name arg1, arg2. Every expansion gets its
+     * own copy of the %%labels. Macros may invoke other macros defined before
+     * them, up to macroDepthLimit levels deep.
+     * @param {string} source - Romasm assembly source code
+     * @param {Object} options - { file, files } as for assemble()
+     * @returns {Object} { lines, origins, errors, errorPositions, files } - Expanded lines,
+     *   where each came from ({ line, file, expansion }, see sourceError), errors with
+     *   the number of expanded lines before each, and the files read
+     */
+    expandMacros(source, options = {}) {
+        const files = options.files || this.files;
+        const macros = {};
+        const lines = [];
+        const origins = [];
+        const errors = [];
+        const errorPositions = [];
+        const included = options.file ? [options.file] : [];
+        let expansionCount = 0;
+
+        const report = (error) => {
+            errors.push(error);
+            errorPositions.push(lines.length);
+        };
 
-        if (upperLine.startsWith('DB ')) {
-            // Define Byte: DB value1, value2, ...
-            const values = line.substring(3).trim();
-            
-            // Parse values, handling quoted strings properly
-            const parts = [];
-            let current = '';
-            let inQuotes = false;
-            let quoteChar = null;
-            
-            for (let i = 0; i < values.length; i++) {
-                const char = values[i];
-                if ((char === '"' || char === "'") && (i === 0 || values[i-1] !== '\\')) {
-                    if (!inQuotes) {
-                        inQuotes = true;
-                        quoteChar = char;
-                        current += char;
-                    } else if (char === quoteChar) {
-                        inQuotes = false;
-                        current += char;
-                        parts.push(current.trim());
-                        current = '';
-                        quoteChar = null;
-                        // Skip comma after quoted string
-                        if (i + 1 < values.length && values[i + 1] === ',') {
-                            i++;
+        const emit = (text, origin, depth) => {
+            const invocation = this.parseMacroInvocation(text, macros);
+            if (!invocation) {
+                lines.push(text);
+                origins.push(origin);
+                return;
+            }
+
+            const { macro, args } = invocation;
+            const fail = (message) => Object.assign(new Error(message), { origin, code: text.trim() });
+            if (args.length !== macro.params.length) {
+                throw fail(`Macro ${macro.name} expects ${macro.params.length} argument(s), got ${args.length}`);
+            }
+            if (depth >= this.macroDepthLimit) {
+                throw fail(`Macro expansion nested more than ${this.macroDepthLimit} levels deep (recursive macro ${macro.name}?)`);
+            }
+
+            const id = ++expansionCount;
+            for (const bodyLine of macro.body) {
+                const bodyOrigin = {
+                    line: origin.line,
+                    file: origin.file,
+                    expansion: [{ macro: macro.name, line: bodyLine.line, file: macro.file }, ...origin.expansion]
+                };
+                let expanded;
+                try {
+                    expanded = this.substituteMacroArguments(bodyLine.text, macro, args, id);
+                } catch (error) {
+                    throw Object.assign(error, { origin: bodyOrigin, code: bodyLine.text.trim() });
+                }
+                emit(expanded, bodyOrigin, depth + 1);
+            }
+        };
+
+        const expandFile = (text, file, includeStack) => {
+            const sourceLines = text.split('\n');
+            const at = (index) => ({ line: index + 1, file, expansion: [] });
+
+            for (let i = 0; i < sourceLines.length; i++) {
+                const line = sourceLines[i];
+                const code = line.split(';')[0].trim();
+                const keyword = code.split(/\s+/)[0].toUpperCase();
+
+                if (keyword === 'INCLUDE') {
+                    const match = code.match(/^INCLUDE\s+(["'])(.+)\1$/i);
+                    let include;
+                    try {
+                        if (!match) {
+                            throw new Error('INCLUDE expects a quoted file name');
                         }
-                    } else {
-                        current += char;
-                    }
-                } else if (char === ',' && !inQuotes) {
-                    if (current.trim()) {
-                        parts.push(current.trim());
+                        if (!files) {
+                            throw new Error('INCLUDE needs a file provider (the files option)');
+                        }
+                        include = this.readInclude(match[2], file, files);
+                        if (includeStack.includes(include.path)) {
+                            throw new Error(`Include cycle: ${[...includeStack, include.path].join(' -> ')}`);
+                        }
+                    } catch (error) {
+                        report(this.sourceError(at(i), error.message, code));
+                        continue;
                     }
-                    current = '';
-                } else {
-                    current += char;
-                }
-            }
-            if (current.trim()) {
-                parts.push(current.trim());
-            }
-            
-            for (let i = 0; i < parts.length; i++) {
-                const part = parts[i];
-                // Try to parse as number
-                let value;
-                if (part.startsWith("'") && part.endsWith("'") && part.length === 3) {
-                    // Character literal: 'A'
-                    value = part.charCodeAt(1);
-                } else if (part.startsWith('"') && part.endsWith('"')) {
-                    // String literal: "Hello"
-                    const str = part.slice(1, -1);
-                    for (let k = 0; k < str.length; k++) {
-                        bytes.push(str.charCodeAt(k));
+                    if (!included.includes(include.path)) {
+                        included.push(include.path);
+                        expandFile(include.text, include.path, [...includeStack, include.path]);
                     }
                     continue;
-                } else {
-                    // Number (decimal or hex)
-                    if (part.toLowerCase().startsWith('0x')) {
-                        value = parseInt(part, 16);
+                }
+
+                if (keyword === 'MACRO') {
+                    const definition = this.parseMacroDefinition(code);
+                    const start = i;
+                    const body = [];
+                    let closed = false;
+                    for (i++; i < sourceLines.length; i++) {
+                        const bodyKeyword = sourceLines[i].split(';')[0].trim().split(/\s+/)[0].toUpperCase();
+                        if (bodyKeyword === 'ENDMACRO' || bodyKeyword === 'ENDM') {
+                            closed = true;
+                            break;
+                        }
+                        if (bodyKeyword === 'MACRO' || bodyKeyword === 'INCLUDE') {
+                            report(this.sourceError(at(i), `${bodyKeyword} is not allowed inside a macro definition`, sourceLines[i].trim()));
+                            continue;
+                        }
+                        body.push({ text: sourceLines[i], line: i + 1 });
+                    }
+
+                    if (!closed) {
+                        report(this.sourceError(at(start), 'MACRO without ENDMACRO', code));
+                    } else if (definition.error) {
+                        report(this.sourceError(at(start), definition.error, code));
+                    } else if (definition.name.toUpperCase() in macros) {
+                        const previous = macros[definition.name.toUpperCase()];
+                        const where = previous.file && previous.file !== file ? `${previous.file}:${previous.line}` : `line ${previous.line}`;
+                        report(this.sourceError(at(start), `Macro ${definition.name} is already defined at ${where}`, code));
                     } else {
-                        value = parseInt(part, 10);
+                        macros[definition.name.toUpperCase()] = { ...definition, line: start + 1, file, body };
                     }
+                    continue;
                 }
-                
-                if (isNaN(value)) {
-                    throw new Error(`Invalid DB value: ${part}`);
-                }
-                
-                bytes.push(value & 0xFF); // Ensure it's a byte
-            }
-        } else if (upperLine.startsWith('DW ')) {
-            // Define Word: DW value1, value2, ... (16-bit, little-endian)
-            const values = line.substring(3).trim();
-            const parts = values.split(',').map(p => p.trim());
-            
-            for (const part of parts) {
-                let value;
-                if (part.toLowerCase().startsWith('0x')) {
-                    value = parseInt(part, 16);
-                } else {
-                    value = parseInt(part, 10);
-                }
-                
-                if (isNaN(value)) {
-                    throw new Error(`Invalid DW value: ${part}`);
-                }
-                
-                // Store as little-endian bytes (16-bit)
-                bytes.push(value & 0xFF);
-                bytes.push((value >> 8) & 0xFF);
-            }
-        } else if (upperLine.startsWith('DD ')) {
-            // Define Dword: DD value1, value2, ... (32-bit, little-endian)
-            const values = line.substring(3).trim();
-            const parts = values.split(',').map(p => p.trim());
-            
-            for (const part of parts) {
-                let value;
-                if (part.toLowerCase().startsWith('0x')) {
-                    value = parseInt(part, 16);
-                } else {
-                    value = parseInt(part, 10);
-                }
-                
-                if (isNaN(value)) {
-                    throw new Error(`Invalid DD value: ${part}`);
+
+                if (keyword === 'ENDMACRO' || keyword === 'ENDM') {
+                    report(this.sourceError(at(i), `${keyword} without MACRO`, code));
+                    continue;
                 }
-                
-                // Store as little-endian bytes (32-bit)
-                bytes.push(value & 0xFF);
-                bytes.push((value >> 8) & 0xFF);
-                bytes.push((value >> 16) & 0xFF);
-                bytes.push((value >> 24) & 0xFF);
-            }
-        } else if (upperLine.startsWith('DQ ')) {
-            // Define Qword: DQ value1, value2, ... (64-bit, little-endian)
-            const values = line.substring(3).trim();
-            const parts = values.split(',').map(p => p.trim());
-            
-            for (const part of parts) {
-                let value;
-                // Handle large 64-bit values (may need BigInt for very large)
-                if (part.toLowerCase().startsWith('0x')) {
-                    // For hex, handle as unsigned 64-bit
-                    const hexPart = part.substring(2);
-                    // Parse as 64-bit (JavaScript numbers are safe up to 2^53, but hex can be larger)
-                    if (hexPart.length <= 16) {
-                        value = parseInt(part, 16);
-                    } else {
-                        // Very large value - use BigInt then convert to bytes
-                        const bigVal = BigInt(part);
-                        // Extract 64-bit value (low 64 bits)
-                        const low64 = Number(bigVal & BigInt(0xFFFFFFFFFFFFFFFF));
-                        value = low64;
+
+                try {
+                    emit(line, at(i), 0);
+                } catch (error) {
+                    if (!error.origin) {
+                        throw error;
                     }
-                } else {
-                    value = parseInt(part, 10);
-                }
-                
-                if (isNaN(value)) {
-                    throw new Error(`Invalid DQ value: ${part}`);
+                    report(this.sourceError(error.origin, error.message, error.code));
                 }
-                
-                // Store as little-endian bytes (64-bit)
-                bytes.push(value & 0xFF);
-                bytes.push((value >> 8) & 0xFF);
-                bytes.push((value >> 16) & 0xFF);
-                bytes.push((value >> 24) & 0xFF);
-                bytes.push((value >> 32) & 0xFF);
-                bytes.push((value >> 40) & 0xFF);
-                bytes.push((value >> 48) & 0xFF);
-                bytes.push((value >> 56) & 0xFF);
             }
-        } else {
+        };
+
+        expandFile(source, options.file, options.file ? [options.file] : []);
+        return { lines, origins, errors, errorPositions, files: included };
+    }
+
+    /**
+     * Read an INCLUDE file through the provider
+     * @param {string} name - File name as written in the INCLUDE
+     * @param {string} fromFile - Including file (undefined for the main source)
+     * @param {Object} files - File provider
+     * @returns {Object} { path, text }
+     */
+    readInclude(name, fromFile, files) {
+        const candidates = this.includeCandidates(name, fromFile, files);
+        for (const path of candidates) {
+            const text = files.read(path);
+            if (text && typeof text.then === 'function') {
+                throw new Error('The file provider is asynchronous: use assembleAsync()');
+            }
+            if (text !== null && text !== undefined) {
+                return { path, text: String(text) };
+            }
+        }
+        throw new Error(`Include file not found: ${name} (looked for ${candidates.join(', ')})`);
+    }
+
+    /**
+     * Paths to try for an INCLUDE, in order: absolute names as they are,
+     * otherwise relative to the including file's directory, then relative to
+     * each directory in the provider's paths list
+     * @param {string} name - File name as written in the INCLUDE
+     * @param {string} fromFile - Including file (undefined for the main source)
+     * @param {Object} files - File provider
+     * @returns {Array<string>} Candidate paths
+     */
+    includeCandidates(name, fromFile, files) {
+        if (/^(\/|[A-Za-z]:[\\/])/.test(name)) {
+            return [name];
+        }
+        const directory = fromFile ? fromFile.slice(0, Math.max(fromFile.lastIndexOf('/'), fromFile.lastIndexOf('\\')) + 1) : '';
+        const candidates = [this.joinPath(directory, name)];
+        for (const base of files.paths || []) {
+            candidates.push(this.joinPath(base, name));
+        }
+        return [...new Set(candidates)];
+    }
+
+    /**
+     * Join a directory and a relative path, resolving "." and ".." segments
+     * @param {string} directory - Directory ('' for the current one)
+     * @param {string} name - Relative path
+     * @returns {string} Normalised path with / separators
+     */
+    joinPath(directory, name) {
+        const joined = directory ? `${directory.replace(/[\\/]+$/, '')}/${name}` : name;
+        const prefix = joined.match(/^(\/|[A-Za-z]:[\\/])?/)[0];
+        const parts = [];
+        for (const part of joined.slice(prefix.length).split(/[\\/]/)) {
+            if (part === '..' && parts.length > 0 && parts[parts.length - 1] !== '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        }
+        return prefix + parts.join('/');
+    }
+
+    /**
+     * Parse a MACRO header line
+     * @param {string} code - Header without comment, e.g. "MACRO scale reg, factor"
+     * @returns {Object} { name, params } or { error }
+     */
+    parseMacroDefinition(code) {
+        const header = code.slice('MACRO'.length).trim();
+        const name = header.split(/[\s,]/)[0];
+        if (!/^[A-Za-z_][\w]*$/.test(name)) {
+            return { error: `Invalid macro name: ${name || '(missing)'}` };
+        }
+        const upperName = name.toUpperCase();
+        if (upperName in this.opcodes || ['DB', 'DW', 'DD', 'DQ', 'REP', 'REPE', 'REPNE'].includes(upperName)) {
+            return { error: `Macro name ${name} is reserved` };
+        }
+
+        const rest = header.slice(name.length).trim();
+        const params = rest ? rest.split(',').map(p => p.trim()) : [];
+        for (const param of params) {
+            if (!/^[A-Za-z_]\w*$/.test(param)) {
+                return { error: `Invalid macro parameter: ${param || '(empty)'}` };
+            }
+            if (params.indexOf(param) !== params.lastIndexOf(param)) {
+                return { error: `Duplicate macro parameter: ${param}` };
+            }
+        }
+        return { name, params };
+    }
+
+    /**
+     * Recognise a macro invocation line
+     * @param {string} text - Source line
+     * @param {Object} macros - Macros by upper-case name
+     * @returns {Object|null} { macro, args }, or null if the line is not an invocation
+     */
+    parseMacroInvocation(text, macros) {
+        const code = text.split(';')[0].trim();
+        const name = code.split(/[\s,]/)[0].toUpperCase();
+        if (!(name in macros)) {
+            return null;
+        }
+
+        // Arguments are split on top-level commas, keeping [...] and quoted strings intact
+        const rest = code.slice(name.length).trim();
+        const args = rest ? this.splitList(rest) : [];
+        return { macro: macros[name], args };
+    }
+
+    /**
+     * Substitute %param and %%label references in one macro body line
+     * (the comment, if any, is kept as written). %name is a parameter
+     * reference when name is a parameter of the macro; otherwise a % straight
+     * after an operand (10%N, (a+b)%8) is the modulo operator and is kept
+     * @param {string} text - Body line
+     * @param {Object} macro - Macro definition
+     * @param {Array<string>} args - Invocation arguments
+     * @param {number} id - Expansion number, used to make %%labels unique
+     * @returns {string} Expanded line
+     */
+    substituteMacroArguments(text, macro, args, id) {
+        const commentIndex = text.indexOf(';');
+        const code = commentIndex === -1 ? text : text.slice(0, commentIndex);
+        const comment = commentIndex === -1 ? '' : text.slice(commentIndex);
+
+        const expanded = code.replace(/%%(\w+)|%(\w+)/g, (match, local, param, offset) => {
+            if (local) {
+                return `__${macro.name}_${local}_${id}`;
+            }
+            const index = macro.params.indexOf(param);
+            if (index !== -1) {
+                return args[index];
+            }
+            if (offset > 0 && /[\w)\]']/.test(code[offset - 1])) {
+                return match;
+            }
+            throw new Error(`Unknown macro parameter %${param} in ${macro.name}`);
+        });
+        return expanded + comment;
+    }
+
+    /**
+     * Build an assembly error. Lines produced by macro expansion are reported
+     * at the invocation in the source, and the message names each macro
+     * definition line involved, innermost first. Errors from a named or
+     * included file carry its path in file.
+     * @param {Object} origin - { line, file, expansion: [{ macro, line, file }] }
+     * @param {string} message - Error message
+     * @param {string} code - Offending line
+     * @returns {Object} { file?, line, message, code, expansion? }
+     */
+    sourceError(origin, message, code) {
+        if (origin.expansion.length === 0) {
+            return origin.file ? { file: origin.file, line: origin.line, message, code } : { line: origin.line, message, code };
+        }
+        // Collapse repeats so a runaway recursive macro gives a short message
+        const trail = [];
+        for (let i = 0; i < origin.expansion.length;) {
+            const entry = origin.expansion[i];
+            let count = 1;
+            while (i + count < origin.expansion.length && origin.expansion[i + count].macro === entry.macro &&
+                   origin.expansion[i + count].line === entry.line) {
+                count++;
+            }
+            const where = entry.file && entry.file !== origin.file ? `${entry.file}:${entry.line}` : `line ${entry.line}`;
+            trail.push(`in macro ${entry.macro} at ${where}${count > 1 ? ` (${count} times)` : ''}`);
+            i += count;
+        }
+        message = `${message} (${trail.join(', ')})`;
+        const error = { line: origin.line, message, code, expansion: origin.expansion };
+        return origin.file ? { file: origin.file, ...error } : error;
+    }
+
+    /**
+     * Parse a data directive (DB, DW, etc.). Each value is a constant
+     * expression; DB also takes quoted strings.
+     * @param {string} line - Data directive line
+     * @param {Object} symbols - Symbol table (see evaluateExpression)
+     * @param {Array<Object>} deferred - Receives { offset, width, directive, expression }
+     *   for values that use symbols defined later (their bytes are 0 until patched)
+     * @returns {Array<number>} Array of byte values
+     */
+    parseDataDirective(line, symbols, deferred = []) {
+        // Remove comments
+        const commentIndex = line.indexOf(';');
+        if (commentIndex !== -1) {
+            line = line.substring(0, commentIndex).trim();
+        }
+
+        const directive = line.substring(0, 2).toUpperCase();
+        const width = this.dataWidths[directive];
+        if (!width || !/\s/.test(line[2] || '')) {
             throw new Error(`Unknown data directive: ${line}`);
         }
 
+        const bytes = [];
+        for (const part of this.splitList(line.substring(3).trim())) {
+            if (width === 1 && part.length >= 2 && /^(["']).*\1$/.test(part)) {
+                // String literal: "Hello" (a one-character string is a character literal)
+                const str = part.slice(1, -1);
+                for (let k = 0; k < str.length; k++) {
+                    bytes.push(str.charCodeAt(k));
+                }
+                continue;
+            }
+
+            let value;
+            try {
+                value = this.evaluateExpression(part, symbols);
+            } catch (error) {
+                if (!error.symbol) {
+                    throw new Error(`Invalid ${directive} value: ${part} (${error.message})`);
+                }
+                deferred.push({ offset: bytes.length, width, directive, expression: part });
+                value = 0n;
+            }
+            bytes.push(...this.toBytes(value, width, directive));
+        }
         return bytes;
     }
 
+    /**
+     * Encode a value as little-endian bytes
+     * @param {bigint} value - Value
+     * @param {number} width - Size in bytes
+     * @param {string} directive - Directive name for the overflow message
+     * @returns {Array<number>} Bytes
+     */
+    toBytes(value, width, directive) {
+        const bits = BigInt(width * 8);
+        if (value < -(1n << (bits - 1n)) || value >= (1n << bits)) {
+            throw new Error(`${directive} value ${value} does not fit in ${bits} bits`);
+        }
+        let unsigned = BigInt.asUintN(width * 8, value);
+        const bytes = [];
+        for (let i = 0; i < width; i++) {
+            bytes.push(Number(unsigned & 0xFFn));
+            unsigned >>= 8n;
+        }
+        return bytes;
+    }
+
+    /**
+     * Check the label names an instruction leaves for the program loader. Data
+     * labels stay named (the loader and the x86 generator place the data) and a
+     * plain data label operand also gets its address as value. Names declared
+     * with EXTERN that are not defined here, such as CALL sin into the standard
+     * library, are left for the linker; any other unknown label is an error.
+     * @param {Object} instruction - Parsed instruction
+     * @param {Object} symbols - Symbol table with every label placed
+     * @returns {Array<string>} Labels referenced but defined in another source
+     */
+    checkLabelReferences(instruction, symbols) {
+        const externals = [];
+        for (const op of instruction.operands) {
+            if (!op.labelName) {
+                continue;
+            }
+            if (op.labelName in symbols.dataLabels) {
+                if (op.type === 'label') {
+                    op.value = symbols.dataBase + symbols.dataLabels[op.labelName];
+                }
+            } else if (symbols.externs.has(op.labelName)) {
+                externals.push(op.labelName);
+            } else {
+                const error = new Error(`Undefined label: ${op.labelName}`);
+                error.symbol = op.labelName;
+                throw error;
+            }
+        }
+        return externals;
+    }
+
     /**
      * Parse a single instruction line
      * @param {string} line - Instruction line
-     * @param {Object} labels - Label address map
+     * @param {Object} symbols - Symbol table (see evaluateExpression)
      * @param {number} address - Current instruction address
      * @returns {Object} Parsed instruction
      */
-    parseInstruction(line, labels, address) {
+    parseInstruction(line, symbols, address) {
         // Remove comments
         const commentIndex = line.indexOf(';');
         if (commentIndex !== -1) {
             line = line.substring(0, commentIndex).trim();
         }
 
-        // Split into parts (handle commas)
-        const parts = line.split(/[\s,]+/).filter(p => p.length > 0);
+        // Split into parts (handle commas and bracketed memory operands)
+        const parts = this.splitOperands(line);
         if (parts.length === 0) {
             throw new Error('Empty instruction');
         }
@@ -486,6 +1172,18 @@ class RomasmAssembler {
             operands = parts.slice(2);
         }
 
+        // Sized string instructions (MOVSB, STOSD, ...) use the plain opcode
+        // with an explicit element width in bytes
+        let width = null;
+        const sized = /^(MOVS|STOS|LODS|CMPS|SCAS)([BWDQ])$/.exec(mnemonic);
+        if (sized) {
+            mnemonic = sized[1];
+            width = RomasmAssembler.STRING_WIDTHS[sized[2]];
+            if (width * 8 > this.wordSize) {
+                throw new Error(`${sized[0]} needs a ${width * 8}-bit word size (assembling for ${this.wordSize}-bit)`);
+            }
+        }
+
         // Check if it's a known instruction
         if (!(mnemonic in this.opcodes)) {
             throw new Error(`Unknown instruction: ${mnemonic}`);
@@ -505,6 +1203,9 @@ class RomasmAssembler {
             operands: [],
             raw: line
         };
+        if (width) {
+            instruction.width = width;
+        }
 
         // Parse operands based on instruction type
         switch (mnemonic) {
@@ -516,7 +1217,7 @@ class RomasmAssembler {
                 if (operands.length !== 1) {
                     throw new Error(`${mnemonic} requires 1 operand`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
                 break;
 
             case 'RET':
@@ -532,8 +1233,8 @@ class RomasmAssembler {
                 if (operands.length !== 2) {
                     throw new Error(`${mnemonic} requires 2 operands`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
-                instruction.operands.push(this.parseOperand(operands[1], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
+                instruction.operands.push(this.parseOperand(operands[1], symbols));
                 break;
 
             case 'ADD':
@@ -579,8 +1280,8 @@ class RomasmAssembler {
                 if (operands.length !== 2) {
                     throw new Error(`${mnemonic} requires 2 operands`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
-                instruction.operands.push(this.parseOperand(operands[1], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
+                instruction.operands.push(this.parseOperand(operands[1], symbols));
                 break;
                 
             case 'NOT':
@@ -597,7 +1298,7 @@ class RomasmAssembler {
                 if (operands.length !== 1) {
                     throw new Error(`${mnemonic} requires 1 operand`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
                 break;
 
             case 'JMP':
@@ -612,7 +1313,7 @@ class RomasmAssembler {
                 if (operands.length !== 1) {
                     throw new Error(`${mnemonic} requires 1 operand`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
                 break;
 
             case 'PUSH':
@@ -620,7 +1321,7 @@ class RomasmAssembler {
                 if (operands.length !== 1) {
                     throw new Error(`${mnemonic} requires 1 operand`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
                 break;
 
             case 'MOVE':
@@ -628,8 +1329,8 @@ class RomasmAssembler {
                 if (operands.length !== 2) {
                     throw new Error(`${mnemonic} requires 2 operands`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
-                instruction.operands.push(this.parseOperand(operands[1], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
+                instruction.operands.push(this.parseOperand(operands[1], symbols));
                 break;
 
             case 'DRAW':
@@ -637,8 +1338,8 @@ class RomasmAssembler {
                 if (operands.length !== 2) {
                     throw new Error(`${mnemonic} requires 2 operands`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
-                instruction.operands.push(this.parseOperand(operands[1], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
+                instruction.operands.push(this.parseOperand(operands[1], symbols));
                 break;
 
             case 'STROKE':
@@ -666,7 +1367,7 @@ class RomasmAssembler {
                 if (operands.length !== 1) {
                     throw new Error(`${mnemonic} requires 1 operand (interrupt number)`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
                 break;
 
             case 'IN':
@@ -674,8 +1375,8 @@ class RomasmAssembler {
                 if (operands.length !== 2) {
                     throw new Error(`${mnemonic} requires 2 operands (register, port)`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
-                instruction.operands.push(this.parseOperand(operands[1], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
+                instruction.operands.push(this.parseOperand(operands[1], symbols));
                 break;
 
             case 'OUT':
@@ -683,8 +1384,8 @@ class RomasmAssembler {
                 if (operands.length !== 2) {
                     throw new Error(`${mnemonic} requires 2 operands (port, register)`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
-                instruction.operands.push(this.parseOperand(operands[1], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
+                instruction.operands.push(this.parseOperand(operands[1], symbols));
                 break;
 
             case 'MOV_SEG':
@@ -692,8 +1393,8 @@ class RomasmAssembler {
                 if (operands.length !== 2) {
                     throw new Error(`${mnemonic} requires 2 operands (segment_register, source)`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
-                instruction.operands.push(this.parseOperand(operands[1], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
+                instruction.operands.push(this.parseOperand(operands[1], symbols));
                 break;
 
             case 'MOV_CR0':
@@ -703,7 +1404,7 @@ class RomasmAssembler {
                 if (operands.length !== 1) {
                     throw new Error(`${mnemonic} requires 1 operand (register)`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
                 break;
 
             case 'LOAD8':
@@ -713,8 +1414,8 @@ class RomasmAssembler {
                 if (operands.length !== 2) {
                     throw new Error(`${mnemonic} requires 2 operands`);
                 }
-                instruction.operands.push(this.parseOperand(operands[0], labels));
-                instruction.operands.push(this.parseOperand(operands[1], labels));
+                instruction.operands.push(this.parseOperand(operands[0], symbols));
+                instruction.operands.push(this.parseOperand(operands[1], symbols));
                 break;
 
             default:
@@ -725,18 +1426,226 @@ class RomasmAssembler {
     }
 
     /**
-     * Parse an operand (register, immediate, or label)
+     * Split an instruction line into mnemonic and operand tokens.
+     * The mnemonic (and a REP prefix) end at whitespace; operands are
+     * separated by commas outside [...], (...) and quotes, so they may
+     * contain spaces, e.g. "BYTE [msg]" or "msg_end - msg".
+     * @param {string} line - Instruction line without comments
+     * @returns {Array<string>} Tokens
+     */
+    splitOperands(line) {
+        const tokens = [];
+        let rest = line.trim();
+        while (rest) {
+            const word = rest.match(/^\S+/)[0];
+            tokens.push(word);
+            rest = rest.slice(word.length).trim();
+            if (!['REP', 'REPE', 'REPNE'].includes(word.toUpperCase())) {
+                break;
+            }
+        }
+        return rest ? tokens.concat(this.splitList(rest)) : tokens;
+    }
+
+    /**
+     * Split a comma-separated list, ignoring commas inside [...], (...) and
+     * quoted strings
+     * @param {string} text - List text
+     * @returns {Array<string>} Trimmed items
+     */
+    splitList(text) {
+        const items = [];
+        let current = '';
+        let depth = 0;
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote && text[i - 1] !== '\\') quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[' || char === '(') {
+                depth++;
+            } else if (char === ']' || char === ')') {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                items.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        items.push(current.trim());
+        return items;
+    }
+
+    /**
+     * Parse a memory address expression (the text inside [...]).
+     * Supports register indirect [R1], base + displacement [R6+4] / [label+8],
+     * and base + index * scale + displacement [R1+R2*4+8] / [label+R2].
+     * Terms without registers may be any constant expression, e.g. [R6 + (SIZE * 2)].
+     * @param {string} expression - Address expression
+     * @param {Object} symbols - Symbol table (see evaluateExpression)
+     * @returns {Object} { base, index, scale, displacement, labelName, expression }
+     */
+    parseAddressExpression(expression, symbols) {
+        const terms = this.splitTerms(expression);
+        if (terms.length === 0) {
+            throw new Error(`Invalid memory operand: [${expression}]`);
+        }
+
+        const address = { base: null, index: null, scale: 1, displacement: 0, labelName: null, expression: null };
+        const constantTerms = [];
+        for (const term of terms) {
+            const negative = term.startsWith('-');
+            const body = term.replace(/^[+-]/, '');
+            const upperBody = body.toUpperCase();
+
+            // index * scale (either order)
+            const scaled = upperBody.match(/^(R\d)\*(\d+)$/) || upperBody.match(/^(\d+)\*(R\d)$/);
+            if (scaled) {
+                const reg = scaled[1].startsWith('R') ? scaled[1] : scaled[2];
+                const scale = parseInt(scaled[1].startsWith('R') ? scaled[2] : scaled[1], 10);
+                if (!(reg in this.registers) || ![1, 2, 4, 8].includes(scale) || negative || address.index) {
+                    throw new Error(`Invalid index in memory operand: [${expression}]`);
+                }
+                address.index = this.registers[reg];
+                address.scale = scale;
+                continue;
+            }
+
+            if (upperBody in this.registers) {
+                if (negative) {
+                    throw new Error(`Registers cannot be subtracted in memory operand: [${expression}]`);
+                }
+                if (!address.base) {
+                    address.base = this.registers[upperBody];
+                } else if (!address.index) {
+                    address.index = this.registers[upperBody];
+                } else {
+                    throw new Error(`Too many registers in memory operand: [${expression}]`);
+                }
+                continue;
+            }
+
+            if (/^[A-Za-z_.][\w.]*$/.test(body) && !negative && !this.isKnownSymbol(body, symbols)) {
+                if (!address.labelName) {
+                    // Resolved later by the linker / program loader
+                    address.labelName = body;
+                } else {
+                    throw new Error(`Only one unresolved label allowed in memory operand: [${expression}]`);
+                }
+                continue;
+            }
+
+            constantTerms.push(negative ? `-(${body})` : `+(${body})`);
+        }
+
+        if (constantTerms.length > 0) {
+            const constant = constantTerms.join('');
+            try {
+                address.displacement = this.toWordValue(this.evaluateExpression(constant, symbols));
+            } catch (error) {
+                if (!error.symbol) {
+                    throw new Error(`Invalid memory operand: [${expression}] (${error.message})`);
+                }
+                address.expression = constant;
+            }
+        }
+        return address;
+    }
+
+    /**
+     * Split an address expression into signed terms at top-level + and -
+     * (a sign straight after an operator or "(" belongs to the next operand)
+     * @param {string} expression - Address expression
+     * @returns {Array<string>} Terms without whitespace, e.g. ['R1', '+R2*4', '-8']
+     */
+    splitTerms(expression) {
+        const text = expression.replace(/\s+/g, '');
+        const terms = [];
+        let current = '';
+        let depth = 0;
+        for (const char of text) {
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (depth === 0 && (char === '+' || char === '-') && current && !/[-+*/%<>&|^~(]$/.test(current)) {
+                terms.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        if (current) terms.push(current);
+        return terms;
+    }
+
+    /**
+     * Parse a decimal or 0x-prefixed hexadecimal integer
+     * @param {string} text - Number text
+     * @returns {number|null} Value, or null if not a number
+     */
+    parseNumber(text) {
+        if (/^0x[0-9a-f]+$/i.test(text)) {
+            return parseInt(text, 16);
+        }
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10);
+        }
+        return null;
+    }
+
+    /**
+     * Parse an operand (register, immediate, label or memory reference)
      * @param {string} operand - Operand string
-     * @param {Object} labels - Label address map
+     * @param {Object} symbols - Symbol table (see evaluateExpression)
      * @returns {Object} Parsed operand
      */
-    parseOperand(operand, labels) {
+    parseOperand(operand, symbols) {
+        // Optional access size prefix: BYTE [..], WORD [..], DWORD [..], QWORD [..]
+        let size;
+        const sizeMatch = operand.match(/^(\w+)\s+(\[.*\])$/);
+        if (sizeMatch && sizeMatch[1].toUpperCase() in this.memorySizes) {
+            size = this.memorySizes[sizeMatch[1].toUpperCase()];
+            operand = sizeMatch[2];
+        }
+
         // Remove brackets for memory addressing
         const isMemory = operand.startsWith('[') && operand.endsWith(']');
         if (isMemory) {
-            operand = operand.slice(1, -1);
+            operand = operand.slice(1, -1).trim();
+            if (/[+*-]/.test(operand.replace(/^-/, ''))) {
+                const address = this.parseAddressExpression(operand, symbols);
+                const parsed = {
+                    type: 'memory',
+                    value: address.displacement,
+                    base: address.base,
+                    index: address.index,
+                    scale: address.scale,
+                    displacement: address.displacement,
+                    isMemory
+                };
+                if (address.labelName) parsed.labelName = address.labelName;
+                if (address.expression) parsed.displacementExpression = address.expression;
+                if (size) parsed.size = size;
+                return parsed;
+            }
+        }
+
+        const parsed = this.parseSimpleOperand(operand, symbols, isMemory);
+        if (size) {
+            parsed.size = size;
         }
+        return parsed;
+    }
 
+    /**
+     * Parse a register, label or constant expression operand (brackets already removed)
+     * @param {string} operand - Operand string
+     * @param {Object} symbols - Symbol table (see evaluateExpression)
+     * @param {boolean} isMemory - Whether the operand was bracketed
+     * @returns {Object} Parsed operand
+     */
+    parseSimpleOperand(operand, symbols, isMemory) {
         const upperOperand = operand.toUpperCase();
 
         // Check if it's a full register (R0-R8)
@@ -767,33 +1676,259 @@ class RomasmAssembler {
         }
 
         // Check if it's a label
-        if (operand in labels) {
+        if (operand in symbols.labels) {
+            return {
+                type: 'label',
+                value: symbols.labels[operand],
+                isMemory
+            };
+        }
+
+        // Any other plain name that is not a constant is a data label (placed by the
+        // program loader) or a CALL target in another source (resolved by the linker),
+        // see checkLabelReferences()
+        if (/^[A-Za-z_.][\w.]*$/.test(operand) && !(operand in symbols.constants)) {
             return {
                 type: 'label',
-                value: labels[operand],
+                value: 0, // Placeholder - linker will fix this
+                labelName: operand, // Store the label name for linker resolution
                 isMemory
             };
         }
 
-        // Check if it's a number
-        const num = parseInt(operand);
-        if (!isNaN(num)) {
+        // Otherwise it's a number or constant expression
+        try {
             return {
                 type: 'immediate',
-                value: num,
+                value: this.toWordValue(this.evaluateExpression(operand, symbols)),
+                isMemory
+            };
+        } catch (error) {
+            if (!error.symbol) {
+                throw new Error(`Invalid operand: ${operand} (${error.message})`);
+            }
+            // Uses a symbol defined further down: evaluated at the end of assemble()
+            return {
+                type: 'immediate',
+                value: 0,
+                expression: operand,
                 isMemory
             };
         }
+    }
 
-        // If it's not a number and not a register, treat it as an unresolved label
-        // This allows CALL sin, CALL cos, etc. to work - linker will resolve them
-        // Store the label name so linker can resolve it later
-        return {
-            type: 'label',
-            value: 0, // Placeholder - linker will fix this
-            labelName: operand, // Store the label name for linker resolution
-            isMemory
+    /**
+     * Evaluate a constant expression exactly (BigInt arithmetic).
+     * Operators, loosest binding first: | ^ & << >> + - * / % and unary - + ~,
+     * with parentheses. Operands are numbers (decimal, 0x hex, 0b binary),
+     * character literals ('A'), EQU constants, labels and $ (the current
+     * address). / and % truncate toward zero.
+     * @param {string} text - Expression
+     * @param {Object} symbols - { labels, dataLabels, constants, values, dataBase, address }
+     * @returns {bigint} Value
+     * @throws {Error} With error.symbol set when a symbol is not defined (yet)
+     */
+    evaluateExpression(text, symbols) {
+        const tokens = this.tokenizeExpression(text);
+        let pos = 0;
+
+        const primary = () => {
+            const token = tokens[pos++];
+            if (!token) {
+                throw new Error(`Unexpected end of expression: ${text}`);
+            }
+            if (token.type === 'number') {
+                return token.value;
+            }
+            if (token.type === 'name') {
+                return this.lookupSymbol(token.name, symbols);
+            }
+            if (token.op === '$') {
+                if (symbols.address === undefined) {
+                    throw Object.assign(new Error('$ is not defined here'), { symbol: '$' });
+                }
+                return BigInt(symbols.address);
+            }
+            if (token.op === '(') {
+                const value = or();
+                if (!tokens[pos] || tokens[pos++].op !== ')') {
+                    throw new Error(`Missing closing parenthesis in expression: ${text}`);
+                }
+                return value;
+            }
+            throw new Error(`Unexpected '${token.op}' in expression: ${text}`);
+        };
+        const unary = () => {
+            const token = tokens[pos];
+            if (token && (token.op === '-' || token.op === '+' || token.op === '~')) {
+                pos++;
+                const value = unary();
+                return token.op === '-' ? -value : token.op === '~' ? ~value : value;
+            }
+            return primary();
+        };
+        const binary = (operand, operators) => () => {
+            let left = operand();
+            while (tokens[pos] && operators.includes(tokens[pos].op)) {
+                const op = tokens[pos++].op;
+                left = this.applyOperator(op, left, operand());
+            }
+            return left;
         };
+        const multiplicative = binary(unary, ['*', '/', '%']);
+        const additive = binary(multiplicative, ['+', '-']);
+        const shift = binary(additive, ['<<', '>>']);
+        const and = binary(shift, ['&']);
+        const xor = binary(and, ['^']);
+        const or = binary(xor, ['|']);
+
+        const value = or();
+        if (pos < tokens.length) {
+            const token = tokens[pos];
+            throw new Error(`Unexpected '${token.op || token.name || token.text}' in expression: ${text}`);
+        }
+        return value;
+    }
+
+    /**
+     * Split an expression into number, name and operator tokens
+     * @param {string} text - Expression
+     * @returns {Array<Object>} Tokens: { type: 'number', value } | { type: 'name', name } | { op }
+     */
+    tokenizeExpression(text) {
+        const tokens = [];
+        const source = text.trim();
+        const pattern = /\s*(?:(0x[0-9a-f]+|0b[01]+|\d+)(?![\w.])|'(\\.|[^'\\])'|([A-Za-z_.][\w.]*)|(<<|>>|[-+*/%&|^~()$]))/iy;
+        const escapes = { n: 10, r: 13, t: 9, 0: 0 };
+        while (pattern.lastIndex < source.length) {
+            const match = pattern.exec(source);
+            if (!match) {
+                throw new Error(`Invalid expression: ${text}`);
+            }
+            if (match[1]) {
+                tokens.push({ type: 'number', value: BigInt(match[1].toLowerCase()), text: match[1] });
+            } else if (match[2]) {
+                const char = match[2];
+                const code = char.length === 1 ? char.charCodeAt(0)
+                    : char[1] in escapes ? escapes[char[1]] : char.charCodeAt(1);
+                tokens.push({ type: 'number', value: BigInt(code), text: `'${char}'` });
+            } else if (match[3]) {
+                tokens.push({ type: 'name', name: match[3] });
+            } else {
+                tokens.push({ op: match[4] });
+            }
+        }
+        if (tokens.length === 0) {
+            throw new Error('Empty expression');
+        }
+        return tokens;
+    }
+
+    /**
+     * Apply a binary operator exactly
+     * @param {string} op - Operator
+     * @param {bigint} left - Left operand
+     * @param {bigint} right - Right operand
+     * @returns {bigint} Result
+     */
+    applyOperator(op, left, right) {
+        switch (op) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/':
+            case '%':
+                if (right === 0n) {
+                    throw new Error('Division by zero in expression');
+                }
+                return op === '/' ? left / right : left % right;
+            case '<<':
+            case '>>':
+                if (right < 0n || right > 256n) {
+                    throw new Error(`Shift count out of range: ${right}`);
+                }
+                return op === '<<' ? left << right : left >> right;
+            case '&': return left & right;
+            case '^': return left ^ right;
+            case '|': return left | right;
+        }
+        throw new Error(`Unknown operator: ${op}`);
+    }
+
+    /**
+     * Value of a symbol in an expression
+     * @param {string} name - Constant or label name
+     * @param {Object} symbols - Symbol table (see evaluateExpression)
+     * @returns {bigint} Value
+     */
+    lookupSymbol(name, symbols) {
+        if (name in symbols.constants) {
+            return this.resolveConstant(name, symbols);
+        }
+        if (name in symbols.labels) {
+            return BigInt(symbols.labels[name]);
+        }
+        if (name in symbols.dataLabels) {
+            return BigInt(symbols.dataBase + symbols.dataLabels[name]);
+        }
+        throw Object.assign(new Error(`Undefined symbol: ${name}`), { symbol: name });
+    }
+
+    /**
+     * Whether a name is a constant or an instruction label (data labels are
+     * left to the program loader)
+     * @param {string} name - Symbol name
+     * @param {Object} symbols - Symbol table
+     * @returns {boolean}
+     */
+    isKnownSymbol(name, symbols) {
+        return name in symbols.constants || name in symbols.labels;
+    }
+
+    /**
+     * Evaluate an EQU constant once; $ in its expression is the address where it was defined
+     * @param {string} name - Constant name
+     * @param {Object} symbols - Symbol table
+     * @returns {bigint} Value
+     */
+    resolveConstant(name, symbols) {
+        if (name in symbols.values) {
+            return symbols.values[name];
+        }
+        const constant = symbols.constants[name];
+        if (constant.resolving) {
+            throw new Error(`Constant ${name} is defined in terms of itself`);
+        }
+        constant.resolving = true;
+        try {
+            const value = this.evaluateExpression(constant.expression, { ...symbols, address: constant.address });
+            this.toWordValue(value); // Must fit the word size
+            symbols.values[name] = value;
+            return value;
+        } finally {
+            constant.resolving = false;
+        }
+    }
+
+    /**
+     * Convert an expression result to an operand value, checking it fits the word size
+     * @param {bigint} value - Exact value
+     * @returns {number} Value as a JS number
+     */
+    toWordValue(value) {
+        const bits = BigInt(this.wordSize);
+        if (value < -(1n << (bits - 1n)) || value >= (1n << bits)) {
+            throw new Error(`Value ${value} overflows ${this.wordSize} bits`);
+        }
+        if (Number.isSafeInteger(Number(value))) {
+            return Number(value);
+        }
+        // Large unsigned constants such as 0xFFFFFFFFFFFFFFF0 are kept in their signed form
+        const signed = BigInt.asIntN(this.wordSize, value);
+        if (Number.isSafeInteger(Number(signed))) {
+            return Number(signed);
+        }
+        throw new Error(`Value ${value} cannot be represented exactly (more than 53 significant bits)`);
     }
 
     /**
@@ -804,13 +1939,19 @@ class RomasmAssembler {
     disassemble(instructions) {
         const lines = [];
         for (const inst of instructions) {
-            const mnemonic = this.opcodeToName[inst.opcode] || 'UNKNOWN';
+            let mnemonic = this.opcodeToName[inst.opcode] || 'UNKNOWN';
+            if (inst.width) {
+                mnemonic += Object.keys(RomasmAssembler.STRING_WIDTHS).find(k => RomasmAssembler.STRING_WIDTHS[k] === inst.width);
+            }
             const operands = inst.operands.map(op => {
-                if (op.type === 'register') {
+                const sizeName = op.size ? `${Object.keys(this.memorySizes).find(k => this.memorySizes[k] === op.size)} ` : '';
+                if (op.type === 'memory') {
+                    return sizeName + this.formatAddress(op);
+                } else if (op.type === 'register') {
                     const reg = this.registerToNum[op.value];
-                    return op.isMemory ? `[${reg}]` : reg;
+                    return op.isMemory ? `${sizeName}[${reg}]` : reg;
                 } else if (op.type === 'immediate') {
-                    return op.isMemory ? `[${op.value}]` : String(op.value);
+                    return op.isMemory ? `${sizeName}[${op.value}]` : String(op.value);
                 } else {
                     return String(op.value);
                 }
@@ -820,8 +1961,31 @@ class RomasmAssembler {
         }
         return lines.join('\n');
     }
+
+    /**
+     * Format a base + index * scale + displacement memory operand
+     * @param {Object} op - Memory operand
+     * @returns {string} e.g. [R1+R2*4+8]
+     */
+    formatAddress(op) {
+        const parts = [];
+        if (op.base) parts.push(this.registerToNum[op.base]);
+        if (op.labelName) parts.push(op.labelName);
+        if (op.index) parts.push(op.scale > 1 ? `${this.registerToNum[op.index]}*${op.scale}` : this.registerToNum[op.index]);
+        let text = parts.join('+');
+        if (op.displacement || parts.length === 0) {
+            text += op.displacement < 0 ? `${op.displacement}` : `${parts.length ? '+' : ''}${op.displacement}`;
+        }
+        return `[${text}]`;
+    }
 }
 
+// Sections accepted by SECTION; the data sections are laid out after the code in this order
+RomasmAssembler.SECTIONS = ['.text', '.data', '.rodata', '.bss'];
+
+// Element width in bytes for the B/W/D/Q string instruction suffixes
+RomasmAssembler.STRING_WIDTHS = { B: 1, W: 2, D: 4, Q: 8 };
+
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { RomasmAssembler };
@@ -0,0 +1,98 @@
+/**
+ * Romasm File Providers
+ *
+ * Where RomasmAssembler reads INCLUDE "file" sources from. A provider has
+ *   read(path)  File text, or null if there is no such file. May return a
+ *               Promise, in which case assemble with assembleAsync().
+ *   paths       Optional directories searched after the including file's own
+ *               directory, e.g. ['romanos/stdlib'].
+ *
+ *   const assembler = new RomasmAssembler({ files: new RomasmNodeFileProvider({ paths: ['romanos/stdlib'] }) });
+ *   const result = assembler.assemble(source, { file: 'romanos/examples/hello-world.romasm' });
+ */
+
+class RomasmMemoryFileProvider {
+    /**
+     * In-memory files, e.g. for tests or sources typed into an editor
+     * @param {Object} files - Path -> source text
+     * @param {Object} options - { paths }
+     */
+    constructor(files = {}, options = {}) {
+        this.files = { ...files };
+        this.paths = options.paths || [];
+    }
+
+    read(path) {
+        return Object.prototype.hasOwnProperty.call(this.files, path) ? this.files[path] : null;
+    }
+
+    /**
+     * Add or replace a file
+     * @param {string} path - Path as used by INCLUDE
+     * @param {string} text - Source text
+     * @returns {RomasmMemoryFileProvider} this
+     */
+    set(path, text) {
+        this.files[path] = text;
+        return this;
+    }
+}
+
+class RomasmNodeFileProvider {
+    /**
+     * Files on disk (Node.js)
+     * @param {Object} options - { root (directory relative paths start from, default cwd), paths }
+     */
+    constructor(options = {}) {
+        this.root = options.root || process.cwd();
+        this.paths = options.paths || [];
+    }
+
+    read(file) {
+        const fs = require('fs');
+        const path = require('path');
+        try {
+            return fs.readFileSync(path.resolve(this.root, file), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+                return null;
+            }
+            throw error;
+        }
+    }
+}
+
+class RomasmFetchFileProvider {
+    /**
+     * Files fetched over HTTP (browser). Use with assembler.assembleAsync().
+     * @param {Object} options - { baseUrl (prefix for every path, default ''), paths, fetch }
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || '';
+        this.paths = options.paths || [];
+        this.fetch = options.fetch || ((url) => fetch(url));
+    }
+
+    async read(path) {
+        const response = await this.fetch(this.baseUrl + path);
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to load ${path}: ${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RomasmMemoryFileProvider, RomasmNodeFileProvider, RomasmFetchFileProvider };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.RomasmMemoryFileProvider = RomasmMemoryFileProvider;
+    window.RomasmNodeFileProvider = RomasmNodeFileProvider;
+    window.RomasmFetchFileProvider = RomasmFetchFileProvider;
+}
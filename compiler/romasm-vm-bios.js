@@ -0,0 +1,540 @@
+/**
+ * Romasm VM BIOS
+ *
+ * Emulated PC BIOS services for RomasmVM so RomanOS BIOS programs
+ * (romanos/stdlib/bios.romasm) run without x86 translation:
+ *   INT 0x10 - video services on an 80x25 text-mode screen buffer
+ *   INT 0x16 - keyboard services fed from a host key queue
+ * and routes the VM's INT 0x80 console syscalls (PUTC, PUTS, GETC, GETS) to
+ * the same screen and keys, as the x86 generator's boot sector lowering does.
+ *
+ * Registers follow the x86 generator's boot sector mapping:
+ * R0 = AX, R1 = BX, R2 = CX, R3 = DX, R6 = BP.
+ * The screen can be rendered as text, HTML or ANSI terminal output.
+ */
+
+class RomasmBIOS {
+    /**
+     * @param {Object} options
+     * @param {number} options.columns - Text columns (default 80)
+     * @param {number} options.rows - Text rows (default 25)
+     */
+    constructor(options = {}) {
+        this.columns = options.columns || 80;
+        this.rows = options.rows || 25;
+        this.vm = null;
+        this.reset();
+    }
+
+    reset() {
+        // Each cell is (attribute << 8) | character, as in VGA text memory at 0xB8000
+        this.screen = new Uint16Array(this.columns * this.rows).fill(RomasmBIOS.BLANK);
+        this.cursorRow = 0;
+        this.cursorCol = 0;
+        this.cursorShape = 0x0607;
+        this.videoMode = 0x03;
+        this.keyQueue = [];       // { ascii, scan }
+        this.waitingForKey = false;
+        this.used = false;        // Set once the program calls INT 0x10 or 0x16
+    }
+
+    /**
+     * Install the INT 0x10 and INT 0x16 handlers and the syscall console on a VM.
+     * vm.reset() also resets the screen and key queue.
+     * @param {RomasmVM} vm - Virtual machine
+     * @returns {RomasmBIOS} this
+     */
+    install(vm) {
+        this.vm = vm;
+        vm.bios = this;
+        vm.registerInterrupt(0x10, () => this.videoService(vm));
+        vm.registerInterrupt(0x16, () => this.keyboardService(vm));
+        vm.console = {
+            echo: true, // GETS echoes typed characters like the boot sector lowering
+            write: code => this.consoleWrite(code),
+            read: () => this.consoleRead()
+        };
+        return this;
+    }
+
+    /**
+     * Syscall console output: teletype, with '\n' as CR LF
+     * @param {number} code - Character code
+     */
+    consoleWrite(code) {
+        this.used = true;
+        if (code === 0x0A) {
+            this.teletype(0x0D);
+        }
+        this.teletype(code);
+    }
+
+    /**
+     * Syscall console input from the key queue. Enter reads as '\n'; keys
+     * without an ASCII code (arrows) are skipped.
+     * @returns {number|null} Character code, or null while no key is queued
+     */
+    consoleRead() {
+        this.used = true;
+        while (this.keyQueue.length) {
+            const key = this.keyQueue.shift();
+            if (key.ascii) {
+                this.waitingForKey = false;
+                return key.ascii === 0x0D ? 0x0A : key.ascii;
+            }
+        }
+        this.waitingForKey = true;
+        return null;
+    }
+
+    /**
+     * Start a loaded boot sector program the way the x86 generator's
+     * generateBootSector() code starts: 16-bit registers and SS:SP = 0000:7C00,
+     * so the stack grows down below the boot sector, with R7 as SP.
+     * Call after vm.loadImage().
+     * @param {number|string} entry - Entry address or label (default 0)
+     */
+    boot(entry = 0) {
+        const vm = this.vm;
+        vm.setWordSize(16);
+        vm.setStack({ base: RomasmBIOS.STACK_BASE, limit: RomasmBIOS.STACK_LIMIT, register: 'VIII' });
+        vm.pc = vm.resolveLocation(entry);
+        vm.halted = false;
+    }
+
+    /**
+     * Read a 16-bit register
+     */
+    getRegister(vm, name) {
+        return vm.registers[name] & 0xFFFF;
+    }
+
+    /**
+     * Write a 16-bit register, keeping the VM's word-size representation
+     */
+    setRegister(vm, name, value) {
+        const upper = Math.floor(vm.registers[name] / 0x10000) * 0x10000;
+        vm.registers[name] = vm.wrap(upper + (value & 0xFFFF));
+    }
+
+    /**
+     * INT 0x10 - Video services (function in AH)
+     */
+    videoService(vm) {
+        this.used = true;
+        const ax = this.getRegister(vm, 'I');
+        const bx = this.getRegister(vm, 'II');
+        const cx = this.getRegister(vm, 'III');
+        const dx = this.getRegister(vm, 'IV');
+        const ah = ax >> 8;
+        const al = ax & 0xFF;
+
+        switch (ah) {
+            case 0x00: // Set video mode (clears the screen)
+                this.videoMode = al;
+                this.clear(0x07);
+                break;
+
+            case 0x01: // Set cursor shape
+                this.cursorShape = cx;
+                break;
+
+            case 0x02: // Set cursor position: DH = row, DL = column
+                this.setCursor(dx >> 8, dx & 0xFF);
+                break;
+
+            case 0x03: // Get cursor position and shape
+                this.setRegister(vm, 'IV', (this.cursorRow << 8) | this.cursorCol);
+                this.setRegister(vm, 'III', this.cursorShape);
+                break;
+
+            case 0x06: // Scroll window up: AL = lines (0 = clear), BH = fill attribute
+            case 0x07: // Scroll window down
+                {
+                    const lines = al === 0 ? this.rows : al;
+                    const window = { top: cx >> 8, left: cx & 0xFF, bottom: dx >> 8, right: dx & 0xFF };
+                    this.scroll(window, ah === 0x06 ? lines : -lines, bx >> 8);
+                }
+                break;
+
+            case 0x08: // Read character and attribute at cursor
+                this.setRegister(vm, 'I', this.screen[this.cursorRow * this.columns + this.cursorCol]);
+                break;
+
+            case 0x09: // Write character and attribute CX times (cursor does not move)
+            case 0x0A: // Write character only CX times
+                for (let i = 0; i < cx; i++) {
+                    const index = this.cursorRow * this.columns + this.cursorCol + i;
+                    if (index >= this.screen.length) break;
+                    const attribute = ah === 0x09 ? bx & 0xFF : this.screen[index] >> 8;
+                    this.screen[index] = (attribute << 8) | al;
+                }
+                break;
+
+            case 0x0E: // Teletype output: AL = character
+                this.teletype(al);
+                break;
+
+            case 0x0F: // Get video mode: AL = mode, AH = columns, BH = page
+                this.setRegister(vm, 'I', (this.columns << 8) | this.videoMode);
+                this.setRegister(vm, 'II', bx & 0xFF);
+                break;
+
+            case 0x13: // Write string at ES:BP, CX characters, at DH/DL with attribute BL
+                {
+                    const address = vm.segmentRegisters.ES * 16 + this.getRegister(vm, 'VII');
+                    const savedRow = this.cursorRow;
+                    const savedCol = this.cursorCol;
+                    this.setCursor(dx >> 8, dx & 0xFF);
+                    for (let i = 0; i < cx; i++) {
+                        // Modes 2 and 3 interleave character and attribute bytes
+                        const step = al & 0x02 ? 2 : 1;
+                        const char = vm.readMemory(address + i * step, 1);
+                        const attribute = al & 0x02 ? vm.readMemory(address + i * step + 1, 1) : bx & 0xFF;
+                        this.teletype(char, attribute);
+                    }
+                    if (!(al & 0x01)) {
+                        this.setCursor(savedRow, savedCol);
+                    }
+                }
+                break;
+
+            default:
+                // Unsupported functions are ignored, as most BIOSes do
+                break;
+        }
+    }
+
+    /**
+     * INT 0x16 - Keyboard services (function in AH)
+     */
+    keyboardService(vm) {
+        this.used = true;
+        const ah = this.getRegister(vm, 'I') >> 8;
+
+        switch (ah) {
+            case 0x00: // Read key: AH = scan code, AL = ASCII
+            case 0x10:
+                if (this.keyQueue.length === 0) {
+                    // Block like the GETC syscall: run() returns waiting and INT 0x16
+                    // runs again when the VM is resumed after pressKey()
+                    this.waitingForKey = true;
+                    vm.blockForInput();
+                    return;
+                }
+                {
+                    const key = this.keyQueue.shift();
+                    this.waitingForKey = false;
+                    vm.waitingForInput = false;
+                    this.setRegister(vm, 'I', (key.scan << 8) | key.ascii);
+                }
+                break;
+
+            case 0x01: // Check for key: ZF = 1 if none, otherwise AX = key (left queued)
+            case 0x11:
+                if (this.keyQueue.length === 0) {
+                    vm.flags.ZF = true;
+                } else {
+                    const key = this.keyQueue[0];
+                    this.setRegister(vm, 'I', (key.scan << 8) | key.ascii);
+                    vm.flags.ZF = false;
+                }
+                break;
+
+            case 0x02: // Shift flags: none held
+                this.setRegister(vm, 'I', this.getRegister(vm, 'I') & 0xFF00);
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Queue a key for INT 0x16
+     * @param {string} key - Single character, or 'Enter', 'Backspace', 'Escape', 'Tab',
+     *   'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'
+     */
+    pressKey(key) {
+        if (key.length === 1) {
+            const ascii = key.charCodeAt(0) & 0xFF;
+            const scan = RomasmBIOS.SCAN_CODES[key.toLowerCase()] || 0;
+            this.keyQueue.push({ ascii, scan });
+            return;
+        }
+        const special = RomasmBIOS.SPECIAL_KEYS[key];
+        if (!special) {
+            throw new Error(`Unknown key: ${key}`);
+        }
+        this.keyQueue.push({ ...special });
+    }
+
+    /**
+     * Queue every character of a string ('\n' is Enter)
+     * @param {string} text - Text to type
+     */
+    typeText(text) {
+        for (const char of text) {
+            this.pressKey(char === '\n' ? 'Enter' : char);
+        }
+    }
+
+    /**
+     * Fill the screen with blanks and home the cursor
+     * @param {number} attribute - Fill attribute
+     */
+    clear(attribute = 0x07) {
+        this.screen.fill((attribute << 8) | 0x20);
+        this.setCursor(0, 0);
+    }
+
+    /**
+     * Move the cursor, clamped to the screen
+     */
+    setCursor(row, col) {
+        this.cursorRow = Math.min(row, this.rows - 1);
+        this.cursorCol = Math.min(col, this.columns - 1);
+    }
+
+    /**
+     * Write a character at the cursor and advance it, handling CR, LF,
+     * backspace and bell, wrapping lines and scrolling at the bottom
+     * @param {number} char - Character code
+     * @param {number} attribute - Attribute for printable characters (default: keep the cell's)
+     */
+    teletype(char, attribute = null) {
+        switch (char) {
+            case 0x07: // Bell
+                return;
+            case 0x08: // Backspace
+                if (this.cursorCol > 0) this.cursorCol--;
+                return;
+            case 0x0A: // Line feed
+                this.newLine();
+                return;
+            case 0x0D: // Carriage return
+                this.cursorCol = 0;
+                return;
+        }
+        const index = this.cursorRow * this.columns + this.cursorCol;
+        const cellAttribute = attribute === null ? this.screen[index] >> 8 : attribute;
+        this.screen[index] = (cellAttribute << 8) | (char & 0xFF);
+        this.cursorCol++;
+        if (this.cursorCol >= this.columns) {
+            this.cursorCol = 0;
+            this.newLine();
+        }
+    }
+
+    newLine() {
+        if (this.cursorRow < this.rows - 1) {
+            this.cursorRow++;
+        } else {
+            this.scroll({ top: 0, left: 0, bottom: this.rows - 1, right: this.columns - 1 }, 1, 0x07);
+        }
+    }
+
+    /**
+     * Scroll a window; positive lines scroll up, negative scroll down
+     * @param {Object} window - { top, left, bottom, right } (inclusive)
+     * @param {number} lines - Lines to scroll
+     * @param {number} attribute - Attribute for the blank lines
+     */
+    scroll(window, lines, attribute) {
+        const bottom = Math.min(window.bottom, this.rows - 1);
+        const right = Math.min(window.right, this.columns - 1);
+        const height = bottom - window.top + 1;
+        const blank = (attribute << 8) | 0x20;
+        const rowOrder = [];
+        for (let row = window.top; row <= bottom; row++) {
+            rowOrder.push(row);
+        }
+        if (lines < 0) {
+            rowOrder.reverse();
+        }
+        const count = Math.abs(lines);
+        for (const row of rowOrder) {
+            const source = lines > 0 ? row + count : row - count;
+            const inside = count < height && source >= window.top && source <= bottom;
+            for (let col = window.left; col <= right; col++) {
+                this.screen[row * this.columns + col] = inside ? this.screen[source * this.columns + col] : blank;
+            }
+        }
+    }
+
+    /**
+     * Screen contents as plain text (trailing spaces trimmed)
+     * @returns {string} Text
+     */
+    toText() {
+        const lines = [];
+        for (let row = 0; row < this.rows; row++) {
+            let line = '';
+            for (let col = 0; col < this.columns; col++) {
+                line += String.fromCharCode(this.screen[row * this.columns + col] & 0xFF);
+            }
+            lines.push(line.replace(/\s+$/, ''));
+        }
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Render the screen as HTML for a <pre> element. Colour runs become
+     * spans with inline styles; the cursor cell gets class "bios-cursor".
+     * @returns {string} HTML
+     */
+    renderHTML() {
+        const escape = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+        const lines = [];
+        for (let row = 0; row < this.rows; row++) {
+            let html = '';
+            let runAttribute = null;
+            let runText = '';
+            const flush = () => {
+                if (runText) {
+                    const fg = RomasmBIOS.PALETTE[runAttribute & 0x0F];
+                    const bg = RomasmBIOS.PALETTE[(runAttribute >> 4) & 0x07];
+                    html += `<span style="color:${fg};background:${bg}">${runText}</span>`;
+                }
+                runText = '';
+            };
+            for (let col = 0; col < this.columns; col++) {
+                const cell = this.screen[row * this.columns + col];
+                const attribute = cell >> 8;
+                const char = String.fromCharCode(cell & 0xFF);
+                const text = escape[char] || (char < ' ' ? ' ' : char);
+                if (row === this.cursorRow && col === this.cursorCol) {
+                    flush();
+                    runAttribute = attribute;
+                    runText = `<span class="bios-cursor">${text}</span>`;
+                    flush();
+                    continue;
+                }
+                if (attribute !== runAttribute) {
+                    flush();
+                    runAttribute = attribute;
+                }
+                runText += text;
+            }
+            flush();
+            lines.push(html);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Render the screen with ANSI escape codes for a terminal
+     * @param {Object} options
+     * @param {boolean} options.home - Clear the terminal and draw from the top-left,
+     *   then move the terminal cursor to the BIOS cursor (default false)
+     * @returns {string} ANSI text
+     */
+    renderANSI(options = {}) {
+        const lines = [];
+        for (let row = 0; row < this.rows; row++) {
+            let line = '';
+            let current = null;
+            for (let col = 0; col < this.columns; col++) {
+                const cell = this.screen[row * this.columns + col];
+                const attribute = cell >> 8;
+                if (attribute !== current) {
+                    const fg = attribute & 0x0F;
+                    const bg = (attribute >> 4) & 0x07;
+                    const fgCode = (fg & 0x08 ? 90 : 30) + RomasmBIOS.ANSI_COLORS[fg & 0x07];
+                    line += `\x1b[${fgCode};${40 + RomasmBIOS.ANSI_COLORS[bg]}m`;
+                    current = attribute;
+                }
+                const char = cell & 0xFF;
+                line += char < 0x20 ? ' ' : String.fromCharCode(char);
+            }
+            lines.push(line + '\x1b[0m');
+        }
+        const body = lines.join('\n');
+        if (!options.home) {
+            return body;
+        }
+        return `\x1b[2J\x1b[H${body}\x1b[${this.cursorRow + 1};${this.cursorCol + 1}H`;
+    }
+
+    /**
+     * Whether an assembled program calls bios_* routines it does not define,
+     * i.e. it needs romanos/stdlib/bios.romasm included. Such calls are
+     * undefined label errors, or external references if declared with EXTERN.
+     * @param {Object} result - RomasmAssembler.assemble() result
+     * @returns {boolean}
+     */
+    static needsLibrary(result) {
+        const missing = name => !!name && name.startsWith('bios_') && !(name in result.labels);
+        return result.errors.some(error => missing(error.symbol)) ||
+            result.instructions.some(instr => instr.operands.some(operand => missing(operand.labelName)));
+    }
+
+    saveState() {
+        return {
+            screen: Array.from(this.screen),
+            cursorRow: this.cursorRow,
+            cursorCol: this.cursorCol,
+            cursorShape: this.cursorShape,
+            videoMode: this.videoMode,
+            keyQueue: this.keyQueue.map(key => ({ ...key })),
+            waitingForKey: this.waitingForKey,
+            used: this.used
+        };
+    }
+
+    loadState(state) {
+        Object.assign(this, state, {
+            screen: Uint16Array.from(state.screen),
+            keyQueue: state.keyQueue.map(key => ({ ...key }))
+        });
+    }
+}
+
+RomasmBIOS.BLANK = 0x0720; // Space, light grey on black
+
+// Boot sector stack: from 0x7C00 down to the end of the BIOS data area
+RomasmBIOS.STACK_BASE = 0x7C00;
+RomasmBIOS.STACK_LIMIT = 0x0500;
+
+// VGA text-mode palette (attribute nibble -> CSS colour)
+RomasmBIOS.PALETTE = [
+    '#000000', '#0000aa', '#00aa00', '#00aaaa', '#aa0000', '#aa00aa', '#aa5500', '#aaaaaa',
+    '#555555', '#5555ff', '#55ff55', '#55ffff', '#ff5555', '#ff55ff', '#ffff55', '#ffffff'
+];
+
+// VGA colour index -> ANSI colour index (VGA puts blue at 1, ANSI puts red there)
+RomasmBIOS.ANSI_COLORS = [0, 4, 2, 6, 1, 5, 3, 7];
+
+// Set-1 scan codes returned in AH by INT 0x16
+RomasmBIOS.SCAN_CODES = {
+    '1': 0x02, '2': 0x03, '3': 0x04, '4': 0x05, '5': 0x06, '6': 0x07, '7': 0x08, '8': 0x09,
+    '9': 0x0A, '0': 0x0B, '-': 0x0C, '=': 0x0D, 'q': 0x10, 'w': 0x11, 'e': 0x12, 'r': 0x13,
+    't': 0x14, 'y': 0x15, 'u': 0x16, 'i': 0x17, 'o': 0x18, 'p': 0x19, '[': 0x1A, ']': 0x1B,
+    'a': 0x1E, 's': 0x1F, 'd': 0x20, 'f': 0x21, 'g': 0x22, 'h': 0x23, 'j': 0x24, 'k': 0x25,
+    'l': 0x26, ';': 0x27, "'": 0x28, '`': 0x29, '\\': 0x2B, 'z': 0x2C, 'x': 0x2D, 'c': 0x2E,
+    'v': 0x2F, 'b': 0x30, 'n': 0x31, 'm': 0x32, ',': 0x33, '.': 0x34, '/': 0x35, ' ': 0x39
+};
+
+RomasmBIOS.SPECIAL_KEYS = {
+    'Enter': { ascii: 0x0D, scan: 0x1C },
+    'Backspace': { ascii: 0x08, scan: 0x0E },
+    'Escape': { ascii: 0x1B, scan: 0x01 },
+    'Tab': { ascii: 0x09, scan: 0x0F },
+    'ArrowUp': { ascii: 0, scan: 0x48 },
+    'ArrowDown': { ascii: 0, scan: 0x50 },
+    'ArrowLeft': { ascii: 0, scan: 0x4B },
+    'ArrowRight': { ascii: 0, scan: 0x4D }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RomasmBIOS };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.RomasmBIOS = RomasmBIOS;
+}
@@ -0,0 +1,505 @@
+/**
+ * Romasm VM Devices
+ *
+ * Emulated PC hardware for the VM's I/O port bus (IN/OUT):
+ * a 16550-style serial UART, the 8253/8254 PIT, the 8042 keyboard
+ * controller and the CMOS real-time clock.
+ *
+ * A device is any object with read/write hooks:
+ *   read(offset, vm)         -> byte read from port (base + offset)
+ *   write(offset, value, vm) -> byte written to port (base + offset)
+ * and optionally tick(vm) (called after every instruction), reset(),
+ * saveState()/loadState(state) (used by RomasmVM snapshots).
+ * Devices signal interrupts through onInterrupt(irq); attachDevice()
+ * connects it to vm.raiseIRQ() when the host leaves it unset.
+ * Attach devices with vm.attachDevice(device, basePort, portCount).
+ */
+
+/**
+ * Serial UART (COM1 at 0x3F8 by default).
+ * Transmitted bytes are appended to the VM output; received bytes come
+ * from a host-supplied queue (receive()).
+ */
+class RomasmUART {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onTransmit - Called with each transmitted character
+     * @param {Function} options.onInterrupt - Called when the UART raises its IRQ
+     */
+    constructor(options = {}) {
+        this.name = 'uart';
+        this.onTransmit = options.onTransmit || null;
+        this.onInterrupt = options.onInterrupt || null;
+        this.reset();
+    }
+
+    reset() {
+        this.receiveQueue = [];
+        this.ier = 0;           // Interrupt Enable Register
+        this.lcr = 0x03;        // Line Control Register (8N1)
+        this.mcr = 0;           // Modem Control Register
+        this.scratch = 0;
+        this.divisor = 1;       // Baud rate divisor (DLAB registers)
+        this.openLine = -1;     // Output index of the line being written
+    }
+
+    /**
+     * Queue bytes for the guest to read
+     * @param {string|Array<number>} data - Text or byte values
+     */
+    receive(data) {
+        const bytes = typeof data === 'string' ? [...data].map(c => c.charCodeAt(0) & 0xFF) : data;
+        this.receiveQueue.push(...bytes);
+        if (this.ier & 0x01 && this.onInterrupt) {
+            this.onInterrupt(4); // COM1 uses IRQ4
+        }
+    }
+
+    read(offset) {
+        const dlab = (this.lcr & 0x80) !== 0;
+        switch (offset) {
+            case 0: // RBR, or divisor low byte with DLAB set
+                if (dlab) return this.divisor & 0xFF;
+                return this.receiveQueue.length > 0 ? this.receiveQueue.shift() : 0;
+            case 1: // IER, or divisor high byte
+                return dlab ? (this.divisor >> 8) & 0xFF : this.ier;
+            case 2: // IIR: 0x04 = data available, 0x01 = no interrupt pending
+                return this.receiveQueue.length > 0 && (this.ier & 0x01) ? 0x04 : 0x01;
+            case 3:
+                return this.lcr;
+            case 4:
+                return this.mcr;
+            case 5: // LSR: bit 0 data ready, bits 5/6 transmitter empty
+                return 0x60 | (this.receiveQueue.length > 0 ? 0x01 : 0);
+            case 6: // MSR: CTS, DSR, DCD asserted
+                return 0xB0;
+            case 7:
+                return this.scratch;
+        }
+        return 0;
+    }
+
+    write(offset, value, vm) {
+        const dlab = (this.lcr & 0x80) !== 0;
+        switch (offset) {
+            case 0:
+                if (dlab) {
+                    this.divisor = (this.divisor & 0xFF00) | value;
+                } else {
+                    this.transmit(value, vm);
+                }
+                break;
+            case 1:
+                if (dlab) {
+                    this.divisor = (this.divisor & 0x00FF) | (value << 8);
+                } else {
+                    this.ier = value & 0x0F;
+                }
+                break;
+            case 3:
+                this.lcr = value;
+                break;
+            case 4:
+                this.mcr = value;
+                break;
+            case 7:
+                this.scratch = value;
+                break;
+        }
+    }
+
+    /**
+     * Append a transmitted byte to the VM output. Characters accumulate into
+     * one output entry per line so text prints the way a terminal shows it.
+     */
+    transmit(value, vm) {
+        const char = String.fromCharCode(value);
+        if (this.onTransmit) {
+            this.onTransmit(char);
+        }
+        if (value === 0x0A) {
+            this.openLine = -1;
+            return;
+        }
+        if (value === 0x0D) {
+            return;
+        }
+        if (this.openLine === vm.output.length - 1 && typeof vm.output[this.openLine] === 'string') {
+            vm.output[this.openLine] += char;
+        } else {
+            vm.output.push(char);
+            this.openLine = vm.output.length - 1;
+        }
+    }
+
+    saveState() {
+        return {
+            receiveQueue: [...this.receiveQueue],
+            ier: this.ier, lcr: this.lcr, mcr: this.mcr,
+            scratch: this.scratch, divisor: this.divisor, openLine: this.openLine
+        };
+    }
+
+    loadState(state) {
+        Object.assign(this, state, { receiveQueue: [...state.receiveQueue] });
+    }
+}
+
+/**
+ * 8253/8254 Programmable Interval Timer (ports 0x40-0x43).
+ * Each VM instruction advances the timer by `clocksPerInstruction` input
+ * clocks (the real PIT runs at 1.193182 MHz). Channel 0 raises IRQ0 when
+ * its counter wraps.
+ */
+class RomasmPIT {
+    /**
+     * @param {Object} options
+     * @param {number} options.clocksPerInstruction - PIT clocks per VM instruction (default 1)
+     * @param {Function} options.onInterrupt - Called with IRQ 0 when channel 0 fires
+     */
+    constructor(options = {}) {
+        this.name = 'pit';
+        this.clocksPerInstruction = options.clocksPerInstruction || 1;
+        this.onInterrupt = options.onInterrupt || null;
+        this.reset();
+    }
+
+    reset() {
+        this.channels = [0, 1, 2].map(() => ({
+            reload: 0x10000,    // 0 programs the maximum count
+            counter: 0x10000,
+            mode: 3,
+            access: 3,          // 1 = low byte, 2 = high byte, 3 = low then high
+            writeHigh: false,   // Next write is the high byte (access mode 3)
+            pendingLow: 0,
+            readHigh: false,
+            latched: null       // Latched count for the counter-latch command
+        }));
+        this.ticks = 0; // Channel 0 expirations
+    }
+
+    read(offset) {
+        if (offset > 2) {
+            return 0; // Mode/command register is write-only
+        }
+        const channel = this.channels[offset];
+        const value = channel.latched !== null ? channel.latched : Math.floor(channel.counter) & 0xFFFF;
+        let byte;
+        if (channel.access === 1) {
+            byte = value & 0xFF;
+        } else if (channel.access === 2) {
+            byte = value >> 8;
+        } else {
+            byte = channel.readHigh ? value >> 8 : value & 0xFF;
+            channel.readHigh = !channel.readHigh;
+        }
+        if (channel.latched !== null && (channel.access !== 3 || !channel.readHigh)) {
+            channel.latched = null;
+        }
+        return byte;
+    }
+
+    write(offset, value) {
+        if (offset === 3) {
+            // Mode/command: bits 7-6 channel, 5-4 access mode, 3-1 operating mode
+            const index = value >> 6;
+            if (index === 3) return; // Read-back command not emulated
+            const channel = this.channels[index];
+            const access = (value >> 4) & 0x03;
+            if (access === 0) {
+                channel.latched = Math.floor(channel.counter) & 0xFFFF;
+                return;
+            }
+            channel.access = access;
+            channel.mode = (value >> 1) & 0x07;
+            channel.writeHigh = false;
+            channel.readHigh = false;
+            return;
+        }
+        const channel = this.channels[offset];
+        let reload = channel.reload === 0x10000 ? 0 : channel.reload;
+        if (channel.access === 1) {
+            reload = (reload & 0xFF00) | value;
+        } else if (channel.access === 2) {
+            reload = (reload & 0x00FF) | (value << 8);
+        } else if (!channel.writeHigh) {
+            channel.pendingLow = value;
+            channel.writeHigh = true;
+            return; // Counting starts once the high byte arrives
+        } else {
+            reload = channel.pendingLow | (value << 8);
+            channel.writeHigh = false;
+        }
+        channel.reload = reload === 0 ? 0x10000 : reload;
+        channel.counter = channel.reload;
+    }
+
+    /**
+     * Frequency in Hz a channel is programmed for
+     * @param {number} index - Channel number
+     */
+    frequency(index = 0) {
+        return RomasmPIT.INPUT_CLOCK / this.channels[index].reload;
+    }
+
+    tick() {
+        for (let i = 0; i < 3; i++) {
+            const channel = this.channels[i];
+            channel.counter -= this.clocksPerInstruction;
+            while (channel.counter <= 0) {
+                channel.counter += channel.reload;
+                if (i === 0) {
+                    this.ticks++;
+                    if (this.onInterrupt) {
+                        this.onInterrupt(0);
+                    }
+                }
+            }
+        }
+    }
+
+    saveState() {
+        return { channels: this.channels.map(c => ({ ...c })), ticks: this.ticks };
+    }
+
+    loadState(state) {
+        this.channels = state.channels.map(c => ({ ...c }));
+        this.ticks = state.ticks;
+    }
+}
+
+RomasmPIT.INPUT_CLOCK = 1193182;
+
+/**
+ * 8042 keyboard controller (data port 0x60, status/command port 0x64).
+ * The host feeds key presses with pressKey()/typeText() or raw scan codes
+ * with enqueueScanCodes(); the guest reads set-1 scan codes from port 0x60.
+ */
+class RomasmKeyboardController {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onInterrupt - Called with IRQ 1 when a scan code is queued
+     */
+    constructor(options = {}) {
+        this.name = 'keyboard';
+        this.onInterrupt = options.onInterrupt || null;
+        this.reset();
+    }
+
+    reset() {
+        this.queue = [];
+        this.config = 0x45;         // Keyboard IRQ enabled, translation on
+        this.pendingCommand = null; // Command waiting for a data byte
+    }
+
+    /**
+     * Queue raw scan codes
+     * @param {Array<number>} codes - Scan codes
+     */
+    enqueueScanCodes(codes) {
+        this.queue.push(...codes);
+        if ((this.config & 0x01) && this.onInterrupt) {
+            this.onInterrupt(1);
+        }
+    }
+
+    /**
+     * Queue a key press and release for a character
+     * @param {string} key - Single character, 'Enter', 'Backspace', 'Escape' or 'Tab'
+     */
+    pressKey(key) {
+        const code = RomasmKeyboardController.SCAN_CODES[key.length === 1 ? key.toLowerCase() : key];
+        if (code === undefined) {
+            throw new Error(`No scan code for key: ${key}`);
+        }
+        const needsShift = key.length === 1 && key !== key.toLowerCase();
+        const codes = needsShift ? [0x2A, code, code | 0x80, 0xAA] : [code, code | 0x80];
+        this.enqueueScanCodes(codes);
+    }
+
+    /**
+     * Queue key presses for every character of a string ('\n' is Enter)
+     * @param {string} text - Text to type
+     */
+    typeText(text) {
+        for (const char of text) {
+            this.pressKey(char === '\n' ? 'Enter' : char);
+        }
+    }
+
+    read(offset) {
+        if (offset === 0) {
+            if (this.queue.length === 0) {
+                return 0;
+            }
+            const code = this.queue.shift();
+            if (this.queue.length > 0 && (this.config & 0x01) && this.onInterrupt) {
+                this.onInterrupt(1); // Next byte moves into the output buffer
+            }
+            return code;
+        }
+        if (offset === 4) {
+            // Status: bit 0 output buffer full, bit 2 system flag
+            return 0x04 | (this.queue.length > 0 ? 0x01 : 0);
+        }
+        return 0;
+    }
+
+    write(offset, value) {
+        if (offset === 0) {
+            if (this.pendingCommand === 0x60) {
+                this.config = value;
+            } else if (value === 0xFF) {
+                this.queue.push(0xFA, 0xAA); // Keyboard reset: ACK, self-test passed
+            } else {
+                this.queue.push(0xFA); // ACK any other keyboard command
+            }
+            this.pendingCommand = null;
+            return;
+        }
+        if (offset !== 4) {
+            return;
+        }
+        switch (value) {
+            case 0x20: // Read configuration byte
+                this.queue.push(this.config);
+                break;
+            case 0x60: // Write configuration byte (next data byte)
+                this.pendingCommand = 0x60;
+                break;
+            case 0xAA: // Controller self-test
+                this.queue.push(0x55);
+                break;
+            case 0xAB: // Keyboard interface test
+                this.queue.push(0x00);
+                break;
+        }
+    }
+
+    saveState() {
+        return { queue: [...this.queue], config: this.config, pendingCommand: this.pendingCommand };
+    }
+
+    loadState(state) {
+        this.queue = [...state.queue];
+        this.config = state.config;
+        this.pendingCommand = state.pendingCommand;
+    }
+}
+
+// Set-1 make codes (break code = make | 0x80)
+RomasmKeyboardController.SCAN_CODES = {
+    'Escape': 0x01, '1': 0x02, '2': 0x03, '3': 0x04, '4': 0x05, '5': 0x06, '6': 0x07,
+    '7': 0x08, '8': 0x09, '9': 0x0A, '0': 0x0B, '-': 0x0C, '=': 0x0D, 'Backspace': 0x0E,
+    'Tab': 0x0F, 'q': 0x10, 'w': 0x11, 'e': 0x12, 'r': 0x13, 't': 0x14, 'y': 0x15,
+    'u': 0x16, 'i': 0x17, 'o': 0x18, 'p': 0x19, '[': 0x1A, ']': 0x1B, 'Enter': 0x1C,
+    'a': 0x1E, 's': 0x1F, 'd': 0x20, 'f': 0x21, 'g': 0x22, 'h': 0x23, 'j': 0x24,
+    'k': 0x25, 'l': 0x26, ';': 0x27, "'": 0x28, '`': 0x29, '\\': 0x2B, 'z': 0x2C,
+    'x': 0x2D, 'c': 0x2E, 'v': 0x2F, 'b': 0x30, 'n': 0x31, 'm': 0x32, ',': 0x33,
+    '.': 0x34, '/': 0x35, ' ': 0x39
+};
+
+/**
+ * CMOS real-time clock (index port 0x70, data port 0x71).
+ * Time registers read the host clock; the rest of the 128-byte CMOS RAM
+ * keeps whatever the guest writes.
+ */
+class RomasmCMOS {
+    /**
+     * @param {Object} options
+     * @param {Function} options.now - Returns the current Date (default: host clock)
+     */
+    constructor(options = {}) {
+        this.name = 'cmos';
+        this.now = options.now || (() => new Date());
+        this.reset();
+    }
+
+    reset() {
+        this.index = 0;
+        this.ram = new Array(128).fill(0);
+        this.ram[0x0A] = 0x26; // Status A: 32.768 kHz base, 1024 Hz rate
+        this.ram[0x0B] = 0x02; // Status B: 24-hour, BCD
+        this.ram[0x0D] = 0x80; // Status D: CMOS RAM valid
+    }
+
+    /**
+     * Encode a value in BCD unless status B selects binary mode
+     */
+    encode(value) {
+        if (this.ram[0x0B] & 0x04) {
+            return value;
+        }
+        return ((Math.floor(value / 10) % 10) << 4) | (value % 10);
+    }
+
+    read(offset) {
+        if (offset === 0) {
+            return this.index;
+        }
+        const date = this.now();
+        switch (this.index) {
+            case 0x00: return this.encode(date.getSeconds());
+            case 0x02: return this.encode(date.getMinutes());
+            case 0x04: return this.encode(date.getHours());
+            case 0x06: return this.encode(date.getDay() + 1);
+            case 0x07: return this.encode(date.getDate());
+            case 0x08: return this.encode(date.getMonth() + 1);
+            case 0x09: return this.encode(date.getFullYear() % 100);
+            case 0x32: return this.encode(Math.floor(date.getFullYear() / 100));
+            case 0x0A: return this.ram[0x0A] & 0x7F; // Never report an update in progress
+            default: return this.ram[this.index];
+        }
+    }
+
+    write(offset, value) {
+        if (offset === 0) {
+            this.index = value & 0x7F; // Bit 7 is the NMI disable bit
+        } else {
+            this.ram[this.index] = value;
+        }
+    }
+
+    saveState() {
+        return { index: this.index, ram: [...this.ram] };
+    }
+
+    loadState(state) {
+        this.index = state.index;
+        this.ram = [...state.ram];
+    }
+}
+
+/**
+ * Attach the standard PC devices at their usual ports
+ * @param {RomasmVM} vm - Virtual machine
+ * @param {Object} options - Per-device options ({ uart, pit, keyboard, cmos })
+ * @returns {Object} { uart, pit, keyboard, cmos }
+ */
+function attachStandardDevices(vm, options = {}) {
+    const devices = {
+        uart: new RomasmUART(options.uart),
+        pit: new RomasmPIT(options.pit),
+        keyboard: new RomasmKeyboardController(options.keyboard),
+        cmos: new RomasmCMOS(options.cmos)
+    };
+    vm.attachDevice(devices.uart, 0x3F8, 8);
+    vm.attachDevice(devices.pit, 0x40, 4);
+    vm.attachDevice(devices.keyboard, 0x60, 5); // 0x60 data, 0x64 status/command
+    vm.attachDevice(devices.cmos, 0x70, 2);
+    return devices;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RomasmUART, RomasmPIT, RomasmKeyboardController, RomasmCMOS, attachStandardDevices };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.RomasmUART = RomasmUART;
+    window.RomasmPIT = RomasmPIT;
+    window.RomasmKeyboardController = RomasmKeyboardController;
+    window.RomasmCMOS = RomasmCMOS;
+    window.attachStandardDevices = attachStandardDevices;
+}
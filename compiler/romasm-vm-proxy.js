@@ -0,0 +1,248 @@
+/**
+ * Romasm VM Proxy
+ *
+ * Main-thread side of the worker VM host (romasm-vm-worker.js): every method
+ * sends one request to the worker and returns a Promise of its reply. PRINT
+ * output and progress stream back while a program runs, and canvas calls
+ * from the drawing opcodes are replayed on the proxy's canvasContext.
+ * Works with a browser Web Worker or a Node worker_threads Worker.
+ *
+ *   const remote = RomasmVMProxy.create({ canvasContext: ctx, onOutput: values => ... });
+ *   await remote.load(assembler.assemble(source));
+ *   const execution = await remote.run(5000000, { compiled: true, signal });
+ *   remote.terminate();
+ */
+
+class RomasmVMProxy {
+    /**
+     * @param {Worker} worker - Worker running romasm-vm-worker.js
+     * @param {Object} options
+     * @param {CanvasRenderingContext2D} options.canvasContext - Canvas to replay drawing opcodes on
+     * @param {Function} options.onOutput - Called with each batch of streamed output values,
+     *   and true as a second argument when the first value replaces the last one streamed
+     *   (a console line that was written in two parts)
+     * @param {Function} options.onProgress - Called with runAsync() progress
+     */
+    constructor(worker, options = {}) {
+        this.worker = worker;
+        this.canvasContext = options.canvasContext || null;
+        this.onOutput = options.onOutput || null;
+        this.onProgress = options.onProgress || null;
+        this.output = []; // Values streamed during the current run
+        this.runProgress = null; // onProgress of the current run()
+        this.nextId = 1;
+        this.pending = new Map(); // Request id -> { resolve, reject }
+
+        if (typeof worker.on === 'function') {
+            worker.on('message', message => this.handleMessage(message));
+            worker.on('error', error => this.failAll(error));
+        } else {
+            worker.addEventListener('message', event => this.handleMessage(event.data));
+            worker.addEventListener('error', event => this.failAll(new Error(event.message || 'Worker failed')));
+        }
+    }
+
+    /**
+     * Start a worker running romasm-vm-worker.js and wrap it
+     * @param {Object} options - Constructor options, plus url (browser worker script URL)
+     *   or path (Node worker file)
+     * @returns {RomasmVMProxy} Proxy
+     */
+    static create(options = {}) {
+        if (typeof Worker !== 'undefined') {
+            return new RomasmVMProxy(new Worker(options.url || 'compiler/romasm-vm-worker.js'), options);
+        }
+        const { Worker: NodeWorker } = require('worker_threads');
+        const path = options.path || require('path').join(__dirname, 'romasm-vm-worker.js');
+        return new RomasmVMProxy(new NodeWorker(path), options);
+    }
+
+    /**
+     * Load a program image into a fresh worker VM
+     * @param {Object} image - { instructions, labels, data, sections } as from RomasmAssembler.assemble()
+     * @param {Object} options - { wordSize, memorySize, returnToHost }
+     * @returns {Promise<Object>} { instructions }
+     */
+    load(image, options = {}) {
+        return this.request({
+            type: 'load',
+            image: {
+                instructions: image.instructions,
+                labels: image.labels || {},
+                data: image.data || [],
+                sections: image.sections || []
+            },
+            options
+        });
+    }
+
+    /**
+     * Replace the worker VM with a copy of a VM's complete state
+     * @param {Object} snapshot - From RomasmVM.snapshot()
+     * @param {Object} options - { returnToHost } (not part of the snapshot)
+     * @returns {Promise<Object>} { instructions }
+     */
+    restore(snapshot, options = {}) {
+        return this.request({ type: 'restore', snapshot, options });
+    }
+
+    /**
+     * @returns {Promise<Object>} RomasmVM.snapshot() of the worker VM, e.g. to
+     *   copy the state after a run back with vm.restore()
+     */
+    snapshot() {
+        return this.request({ type: 'snapshot' });
+    }
+
+    /**
+     * @param {Object} registers - Register name -> value, e.g. { I: 5 }
+     * @returns {Promise<Object>} All registers after the update
+     */
+    setRegisters(registers) {
+        return this.request({ type: 'setRegisters', registers });
+    }
+
+    /**
+     * @param {Array<Object>} writes - [{ address, bytes }] or [{ address, value, width }]
+     * @returns {Promise<Object>} { writes }
+     */
+    setMemory(writes) {
+        return this.request({ type: 'setMemory', writes });
+    }
+
+    /**
+     * Run the loaded program in the worker
+     * @param {number} maxSteps - Step limit (default: none)
+     * @param {Object} options - { budgetMs, compiled, signal, onProgress }
+     * @returns {Promise<Object>} runAsync() execution result plus halted and pc
+     */
+    run(maxSteps = null, options = {}) {
+        const canvas = this.canvasContext && this.canvasContext.canvas;
+        this.output = [];
+        this.runProgress = options.onProgress || null;
+        const reply = this.request({
+            type: 'run',
+            maxSteps,
+            options: {
+                budgetMs: options.budgetMs,
+                compiled: options.compiled,
+                canvas: canvas ? { width: canvas.width, height: canvas.height } : null
+            }
+        });
+
+        const signal = options.signal;
+        if (signal) {
+            const onAbort = () => this.cancel();
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+                const cleanup = () => signal.removeEventListener('abort', onAbort);
+                reply.then(cleanup, cleanup);
+            }
+        }
+        return reply;
+    }
+
+    /**
+     * Abort the run in progress; its promise resolves with aborted: true
+     */
+    cancel() {
+        this.worker.postMessage({ type: 'cancel' });
+    }
+
+    pauseRun() {
+        this.worker.postMessage({ type: 'pause' });
+    }
+
+    resumeRun() {
+        this.worker.postMessage({ type: 'resume' });
+    }
+
+    /**
+     * Stop the worker; pending requests are rejected
+     */
+    terminate() {
+        this.worker.terminate();
+        this.failAll(new Error('Worker terminated'));
+    }
+
+    request(message) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, id });
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'reply': {
+                const pending = this.pending.get(message.id);
+                if (!pending) {
+                    return;
+                }
+                this.pending.delete(message.id);
+                if (message.error !== undefined) {
+                    pending.reject(new Error(message.error));
+                } else {
+                    pending.resolve(message.result);
+                }
+                break;
+            }
+            case 'output':
+                if (message.replacesLast) {
+                    this.output.pop();
+                }
+                this.output.push(...message.values);
+                if (this.onOutput) {
+                    this.onOutput(message.values, message.replacesLast);
+                }
+                break;
+            case 'draw':
+                this.replay(message.commands);
+                break;
+            case 'progress':
+                if (this.runProgress) {
+                    this.runProgress(message.progress);
+                }
+                if (this.onProgress) {
+                    this.onProgress(message.progress);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Apply recorded canvas calls to the canvas context
+     * @param {Array<Array>} commands - [method, ...args]
+     */
+    replay(commands) {
+        const ctx = this.canvasContext;
+        if (!ctx) {
+            return;
+        }
+        for (const [method, ...args] of commands) {
+            if (typeof ctx[method] === 'function') {
+                ctx[method](...args);
+            }
+        }
+    }
+
+    failAll(error) {
+        for (const { reject } of this.pending.values()) {
+            reject(error);
+        }
+        this.pending.clear();
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RomasmVMProxy };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.RomasmVMProxy = RomasmVMProxy;
+}
@@ -0,0 +1,407 @@
+/**
+ * Romasm VM UEFI
+ *
+ * Emulated UEFI firmware for RomasmVM so the UEFI stack under romanos/uefi
+ * (gop.romasm, fb.romasm, font.romasm, term.romasm) runs without QEMU/OVMF.
+ * It builds the firmware tables in VM memory with the x86-64 UEFI layout:
+ *   EFI_SYSTEM_TABLE -> BootServices (offset 0x60)
+ *   EFI_BOOT_SERVICES -> LocateProtocol (offset 0x140)
+ *   EFI_GRAPHICS_OUTPUT_PROTOCOL -> QueryMode, SetMode, Blt, Mode
+ * and a 32-bit-per-pixel framebuffer in VM memory that can be drawn to a
+ * browser canvas or saved as a PNG in Node.
+ *
+ * Firmware functions are host functions (vm.registerHostFunction) reached
+ * by CALL through the table pointers. Arguments use the Romasm convention
+ * R0, R1, R2, R3 and the EFI_STATUS is returned in R0.
+ */
+
+class RomasmUEFI {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.modes - Video modes [{ width, height }] (default one 800x600 mode)
+     * @param {number} options.width - Width of the default mode
+     * @param {number} options.height - Height of the default mode
+     * @param {string} options.pixelFormat - 'BGRX' (default, as OVMF) or 'RGBX'
+     * @param {number} options.tablesBase - Address of the firmware tables (default 1 MiB)
+     * @param {number} options.framebufferBase - Address of the framebuffer (default 2 MiB)
+     */
+    constructor(options = {}) {
+        this.modes = options.modes || [{ width: options.width || 800, height: options.height || 600 }];
+        this.pixelFormat = options.pixelFormat || 'BGRX';
+        if (!(this.pixelFormat in RomasmUEFI.PIXEL_FORMATS)) {
+            throw new Error(`Unsupported pixel format: ${this.pixelFormat} (expected BGRX or RGBX)`);
+        }
+        this.tablesBase = options.tablesBase !== undefined ? options.tablesBase : 0x100000;
+        this.framebufferBase = options.framebufferBase !== undefined ? options.framebufferBase : 0x200000;
+        this.currentMode = 0;
+        this.vm = null;
+    }
+
+    /**
+     * Install the firmware on a VM: register the firmware functions and
+     * build the tables in memory. vm.reset() rebuilds them.
+     * @param {RomasmVM} vm - Virtual machine
+     * @returns {RomasmUEFI} this
+     */
+    install(vm) {
+        const largest = Math.max(...this.modes.map(mode => mode.width * mode.height * 4));
+        vm.memory.checkAddress(this.framebufferBase, largest);
+        vm.memory.checkAddress(this.tablesBase, RomasmUEFI.LAYOUT.TABLES_SIZE + this.modes.length * RomasmUEFI.LAYOUT.INFO_SIZE);
+
+        this.vm = vm;
+        vm.uefi = this;
+        const base = vm.constructor.HOST_FUNCTION_BASE + RomasmUEFI.HOST_FUNCTION_OFFSET;
+        this.functions = {
+            unsupported: base,
+            locateProtocol: base + 1,
+            queryMode: base + 2,
+            setMode: base + 3,
+            blt: base + 4
+        };
+        vm.registerHostFunction(this.functions.unsupported, () => this.setStatus(vm, RomasmUEFI.EFI_UNSUPPORTED));
+        vm.registerHostFunction(this.functions.locateProtocol, () => this.locateProtocol(vm));
+        vm.registerHostFunction(this.functions.queryMode, () => this.queryMode(vm));
+        vm.registerHostFunction(this.functions.setMode, () => this.setMode(vm));
+        vm.registerHostFunction(this.functions.blt, () => this.setStatus(vm, RomasmUEFI.EFI_UNSUPPORTED));
+        this.reset();
+        return this;
+    }
+
+    /**
+     * Rebuild the firmware tables in VM memory and return to mode 0
+     */
+    reset() {
+        if (!this.vm) {
+            return;
+        }
+        const memory = this.vm.memory;
+        const layout = RomasmUEFI.LAYOUT;
+        const at = (offset) => this.tablesBase + offset;
+        memory.fill(this.tablesBase, layout.TABLES_SIZE + this.modes.length * layout.INFO_SIZE);
+
+        // EFI_SYSTEM_TABLE: header signature "IBI SYST", revision 2.70
+        memory.write(at(layout.SYSTEM_TABLE), 4, 0x20494249);
+        memory.write(at(layout.SYSTEM_TABLE) + 4, 4, 0x54535953);
+        memory.write(at(layout.SYSTEM_TABLE) + 8, 4, (2 << 16) | 70);
+        memory.write(at(layout.SYSTEM_TABLE) + 12, 4, 0x78);
+        memory.write(at(layout.SYSTEM_TABLE) + 0x60, 8, at(layout.BOOT_SERVICES));
+
+        // EFI_BOOT_SERVICES: every service reports EFI_UNSUPPORTED except LocateProtocol
+        for (let offset = 0x18; offset < 0x178; offset += 8) {
+            memory.write(at(layout.BOOT_SERVICES) + offset, 8, this.functions.unsupported);
+        }
+        memory.write(at(layout.BOOT_SERVICES) + 0x140, 8, this.functions.locateProtocol);
+
+        // EFI_GRAPHICS_OUTPUT_PROTOCOL
+        memory.write(at(layout.GOP) + 0x00, 8, this.functions.queryMode);
+        memory.write(at(layout.GOP) + 0x08, 8, this.functions.setMode);
+        memory.write(at(layout.GOP) + 0x10, 8, this.functions.blt);
+        memory.write(at(layout.GOP) + 0x18, 8, at(layout.GOP_MODE));
+
+        // One EFI_GRAPHICS_OUTPUT_MODE_INFORMATION per mode, for QueryMode
+        this.modes.forEach((mode, index) => this.writeModeInfo(at(layout.MODE_INFOS) + index * layout.INFO_SIZE, mode));
+
+        memory.write(at(layout.GOP_MODE) + 0x00, 4, this.modes.length);    // MaxMode
+        memory.write(at(layout.GOP_MODE) + 0x08, 8, at(layout.CURRENT_INFO)); // Info
+        memory.write(at(layout.GOP_MODE) + 0x10, 8, layout.INFO_STRUCT_SIZE); // SizeOfInfo
+        memory.write(at(layout.GOP_MODE) + 0x18, 8, this.framebufferBase);  // FrameBufferBase
+        this.applyMode(0);
+    }
+
+    /**
+     * Write an EFI_GRAPHICS_OUTPUT_MODE_INFORMATION structure
+     */
+    writeModeInfo(address, mode) {
+        const memory = this.vm.memory;
+        memory.write(address + 0x00, 4, 0);                 // Version
+        memory.write(address + 0x04, 4, mode.width);        // HorizontalResolution
+        memory.write(address + 0x08, 4, mode.height);       // VerticalResolution
+        memory.write(address + 0x0C, 4, RomasmUEFI.PIXEL_FORMATS[this.pixelFormat]); // PixelFormat
+        memory.write(address + 0x20, 4, mode.width);        // PixelsPerScanLine
+    }
+
+    /**
+     * Make a mode current: update GOP->Mode and clear the framebuffer to black
+     * @param {number} index - Mode number
+     */
+    applyMode(index) {
+        const memory = this.vm.memory;
+        const layout = RomasmUEFI.LAYOUT;
+        const mode = this.modes[index];
+        // Lets stepBack() undo a SetMode
+        this.vm.recordMemoryHistory(this.tablesBase + layout.GOP_MODE, 0x28);
+        this.vm.recordMemoryHistory(this.tablesBase + layout.CURRENT_INFO, layout.INFO_STRUCT_SIZE);
+        this.vm.recordMemoryHistory(this.framebufferBase, mode.width * mode.height * 4);
+        this.currentMode = index;
+        memory.write(this.tablesBase + layout.GOP_MODE + 0x04, 4, index);  // Mode
+        memory.write(this.tablesBase + layout.GOP_MODE + 0x20, 8, mode.width * mode.height * 4); // FrameBufferSize
+        this.writeModeInfo(this.tablesBase + layout.CURRENT_INFO, mode);
+        memory.fill(this.framebufferBase, mode.width * mode.height * 4);
+    }
+
+    /**
+     * Set up the registers UEFI firmware passes to an application entry point
+     * (R0 = ImageHandle, R1 = SystemTable) and jump to it. Call after vm.loadImage().
+     * As on x86-64 the firmware provides the stack: 128 KiB just below the
+     * firmware tables, with R7 as RSP.
+     * @param {number|string} entry - Entry address or label (default: uefi_main if defined, else 0)
+     */
+    boot(entry = null) {
+        const vm = this.vm;
+        if (entry === null) {
+            entry = 'uefi_main' in vm.labels ? 'uefi_main' : 0;
+        }
+        vm.setWordSize(64);
+        vm.setStack({ base: this.tablesBase, limit: this.tablesBase - RomasmUEFI.STACK_SIZE, register: 'VIII' });
+        vm.returnToHost = true; // The entry point's RET returns to the firmware and ends the run
+        vm.registers.I = this.imageHandle;
+        vm.registers.II = this.systemTable;
+        vm.pc = vm.resolveLocation(entry);
+        vm.halted = false;
+    }
+
+    get systemTable() {
+        return this.tablesBase + RomasmUEFI.LAYOUT.SYSTEM_TABLE;
+    }
+
+    get imageHandle() {
+        return this.tablesBase + RomasmUEFI.LAYOUT.IMAGE_HANDLE;
+    }
+
+    get gop() {
+        return this.tablesBase + RomasmUEFI.LAYOUT.GOP;
+    }
+
+    get width() {
+        return this.modes[this.currentMode].width;
+    }
+
+    get height() {
+        return this.modes[this.currentMode].height;
+    }
+
+    setStatus(vm, status) {
+        vm.registers.I = status;
+    }
+
+    /**
+     * BootServices->LocateProtocol(R0 = Protocol GUID*, R1 = Registration, R2 = Interface**)
+     */
+    locateProtocol(vm) {
+        const guidAddress = vm.registers.I;
+        const interfacePointer = vm.registers.III;
+        const guid = [];
+        for (let i = 0; i < 16; i++) {
+            guid.push(vm.readMemory(guidAddress + i, 1));
+        }
+        if (guid.join() !== RomasmUEFI.GOP_GUID.join()) {
+            this.setStatus(vm, RomasmUEFI.EFI_NOT_FOUND);
+            return;
+        }
+        if (!interfacePointer) {
+            this.setStatus(vm, RomasmUEFI.EFI_INVALID_PARAMETER);
+            return;
+        }
+        vm.writeMemory(interfacePointer, this.gop, 8);
+        this.setStatus(vm, RomasmUEFI.EFI_SUCCESS);
+    }
+
+    /**
+     * GOP->QueryMode(R0 = This, R1 = ModeNumber, R2 = SizeOfInfo*, R3 = Info**)
+     */
+    queryMode(vm) {
+        const index = vm.registers.II;
+        if (!(index >= 0 && index < this.modes.length) || !vm.registers.III || !vm.registers.IV) {
+            this.setStatus(vm, RomasmUEFI.EFI_INVALID_PARAMETER);
+            return;
+        }
+        const layout = RomasmUEFI.LAYOUT;
+        vm.writeMemory(vm.registers.III, layout.INFO_STRUCT_SIZE, 8);
+        vm.writeMemory(vm.registers.IV, this.tablesBase + layout.MODE_INFOS + index * layout.INFO_SIZE, 8);
+        this.setStatus(vm, RomasmUEFI.EFI_SUCCESS);
+    }
+
+    /**
+     * GOP->SetMode(R0 = This, R1 = ModeNumber)
+     */
+    setMode(vm) {
+        const index = vm.registers.II;
+        if (!(index >= 0 && index < this.modes.length)) {
+            this.setStatus(vm, RomasmUEFI.EFI_UNSUPPORTED);
+            return;
+        }
+        this.applyMode(index);
+        this.setStatus(vm, RomasmUEFI.EFI_SUCCESS);
+    }
+
+    /**
+     * Read one pixel as 0xRRGGBB
+     */
+    getPixel(x, y) {
+        const address = this.framebufferBase + (y * this.width + x) * 4;
+        const memory = this.vm.memory;
+        const bytes = [0, 1, 2].map(i => memory.readByte(address + i));
+        if (this.pixelFormat === 'BGRX') {
+            bytes.reverse();
+        }
+        return (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+    }
+
+    /**
+     * The visible framebuffer as RGBA bytes (ImageData layout)
+     * @returns {Uint8ClampedArray} width * height * 4 bytes
+     */
+    toRGBA() {
+        const { width, height } = this;
+        const memory = this.vm.memory;
+        const rgba = new Uint8ClampedArray(width * height * 4);
+        const [red, blue] = this.pixelFormat === 'BGRX' ? [2, 0] : [0, 2];
+        for (let i = 0; i < width * height; i++) {
+            const address = this.framebufferBase + i * 4;
+            rgba[i * 4] = memory.readByte(address + red);
+            rgba[i * 4 + 1] = memory.readByte(address + 1);
+            rgba[i * 4 + 2] = memory.readByte(address + blue);
+            rgba[i * 4 + 3] = 255;
+        }
+        return rgba;
+    }
+
+    /**
+     * Draw the framebuffer on a canvas
+     * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+     */
+    renderToCanvas(ctx) {
+        const image = ctx.createImageData(this.width, this.height);
+        image.data.set(this.toRGBA());
+        ctx.putImageData(image, 0, 0);
+    }
+
+    /**
+     * Encode the framebuffer as a PNG file (Node only)
+     * @returns {Buffer} PNG bytes
+     */
+    toPNG() {
+        if (typeof require === 'undefined') {
+            throw new Error('toPNG() needs Node.js; use renderToCanvas() in the browser');
+        }
+        const zlib = require('zlib');
+        const { width, height } = this;
+        const rgba = this.toRGBA();
+
+        // Each scanline: filter type 0 followed by RGBA pixels
+        const raw = Buffer.alloc((width * 4 + 1) * height);
+        for (let y = 0; y < height; y++) {
+            raw[y * (width * 4 + 1)] = 0;
+            raw.set(rgba.subarray(y * width * 4, (y + 1) * width * 4), y * (width * 4 + 1) + 1);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8;  // Bit depth
+        header[9] = 6;  // Colour type: RGBA
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+            RomasmUEFI.pngChunk('IHDR', header),
+            RomasmUEFI.pngChunk('IDAT', zlib.deflateSync(raw)),
+            RomasmUEFI.pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    /**
+     * Write the framebuffer to a PNG file (Node only)
+     * @param {string} filePath - Output path
+     */
+    savePNG(filePath) {
+        require('fs').writeFileSync(filePath, this.toPNG());
+    }
+
+    /**
+     * Build a PNG chunk: length, type, data, CRC-32 of type and data
+     */
+    static pngChunk(type, data) {
+        const chunk = Buffer.alloc(12 + data.length);
+        chunk.writeUInt32BE(data.length, 0);
+        chunk.write(type, 4, 'ascii');
+        data.copy(chunk, 8);
+        chunk.writeUInt32BE(RomasmUEFI.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+        return chunk;
+    }
+
+    static crc32(bytes) {
+        if (!RomasmUEFI.crcTable) {
+            RomasmUEFI.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                RomasmUEFI.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = RomasmUEFI.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    saveState() {
+        return { currentMode: this.currentMode };
+    }
+
+    loadState(state) {
+        // Tables and framebuffer live in VM memory, which the snapshot restores
+        this.currentMode = state.currentMode;
+    }
+}
+
+// Offsets from tablesBase
+RomasmUEFI.LAYOUT = {
+    SYSTEM_TABLE: 0x000,
+    BOOT_SERVICES: 0x100,
+    GOP: 0x300,
+    GOP_MODE: 0x340,
+    CURRENT_INFO: 0x380,
+    IMAGE_HANDLE: 0x3F0,
+    MODE_INFOS: 0x400,
+    TABLES_SIZE: 0x400,
+    INFO_SIZE: 0x40,        // Spacing of the per-mode info structures
+    INFO_STRUCT_SIZE: 0x24  // sizeof(EFI_GRAPHICS_OUTPUT_MODE_INFORMATION)
+};
+
+// Host function addresses used by the firmware (after RomasmVM.HOST_FUNCTION_BASE)
+RomasmUEFI.HOST_FUNCTION_OFFSET = 0x100;
+
+// Application stack size (the UEFI spec guarantees at least 128 KiB)
+RomasmUEFI.STACK_SIZE = 128 * 1024;
+
+// EFI_GRAPHICS_OUTPUT_PROTOCOL_GUID {0x9042a9de, 0x23dc, 0x4a38, {0x96, 0xfb, 0x7a, 0xde, 0xd0, 0x80, 0x51, 0x6a}}
+// as laid out in memory (Data1-3 little-endian)
+RomasmUEFI.GOP_GUID = [
+    0xde, 0xa9, 0x42, 0x90, 0xdc, 0x23, 0x38, 0x4a,
+    0x96, 0xfb, 0x7a, 0xde, 0xd0, 0x80, 0x51, 0x6a
+];
+
+// EFI_GRAPHICS_PIXEL_FORMAT values
+RomasmUEFI.PIXEL_FORMATS = {
+    RGBX: 0, // PixelRedGreenBlueReserved8BitPerColor
+    BGRX: 1  // PixelBlueGreenRedReserved8BitPerColor
+};
+
+// EFI_STATUS codes. Errors carry the high bit of the low 32 bits (as in
+// gop.romasm) because VM registers cannot hold 0x8000000000000000 exactly.
+RomasmUEFI.EFI_SUCCESS = 0;
+RomasmUEFI.EFI_INVALID_PARAMETER = 0x80000002;
+RomasmUEFI.EFI_UNSUPPORTED = 0x80000003;
+RomasmUEFI.EFI_NOT_FOUND = 0x8000000E;
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RomasmUEFI };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.RomasmUEFI = RomasmUEFI;
+}
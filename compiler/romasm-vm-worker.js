@@ -0,0 +1,277 @@
+/**
+ * Romasm VM Worker
+ *
+ * Worker-side host that runs a RomasmVM off the main thread. Load it as a
+ * browser Web Worker (new Worker('compiler/romasm-vm-worker.js')) or a
+ * Node worker_threads Worker; RomasmVMProxy (romasm-vm-proxy.js) is the
+ * main-thread side.
+ *
+ * Requests (main thread -> worker) are handled one at a time in order and
+ * answered by { type: 'reply', id, result | error }:
+ *   { type: 'load', id, image, options }      image = { instructions, labels, data, sections }
+ *                                              options = { wordSize, memorySize }
+ *   { type: 'restore', id, snapshot, options } snapshot from RomasmVM.snapshot(), options = { returnToHost }
+ *   { type: 'snapshot', id }                  Reply: RomasmVM.snapshot() of the worker VM
+ *   { type: 'setRegisters', id, registers }   e.g. { I: 5, II: 100 }
+ *   { type: 'setMemory', id, writes }         [{ address, bytes }] or [{ address, value, width }]
+ *   { type: 'run', id, maxSteps, options }    options = { budgetMs, compiled, canvas: { width, height } }
+ * Controls (no reply, take effect immediately, e.g. during a run):
+ *   { type: 'cancel' }, { type: 'pause' }, { type: 'resume' }
+ * Events (worker -> main thread) while a run is in progress:
+ *   { type: 'output', values, replacesLast } Output entries since the last event. Console
+ *                                  syscalls append to the open line, so with replacesLast the
+ *                                  first value is the new text of the last entry already sent
+ *   { type: 'draw', commands }     Canvas calls as [method, ...args], e.g. ['lineTo', 10, 20]
+ *   { type: 'progress', progress } { steps, pc, label, elapsedMs, paused } from runAsync()
+ * The run reply is the runAsync() execution result plus halted and pc.
+ */
+
+class RomasmVMWorkerHost {
+    /**
+     * @param {Object} port - Message endpoint (worker global scope, worker_threads parentPort or a MessagePort)
+     * @param {Function} VM - RomasmVM class
+     */
+    constructor(port, VM) {
+        this.port = port;
+        this.VM = VM;
+        this.vm = null;
+        this.controller = null; // AbortController of the run in progress
+        this.sentOutput = 0;    // vm.output entries already posted
+        this.sentLine = undefined; // Last posted entry as posted (console lines grow in place)
+        this.drawCommands = [];
+        this.canvas = { width: 0, height: 0 };
+        this.queue = Promise.resolve(); // Requests run one after another
+
+        if (typeof port.on === 'function') {
+            port.on('message', message => this.handleMessage(message));
+        } else {
+            port.addEventListener('message', event => this.handleMessage(event.data));
+            if (port.start) {
+                port.start();
+            }
+        }
+    }
+
+    /**
+     * Apply a control message now, or queue a request behind earlier ones
+     * @param {Object} message - Request or control message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'cancel':
+                if (this.controller) {
+                    this.controller.abort();
+                }
+                return;
+            case 'pause':
+                if (this.vm) {
+                    this.vm.pauseRun();
+                }
+                return;
+            case 'resume':
+                if (this.vm) {
+                    this.vm.resumeRun();
+                }
+                return;
+        }
+        this.queue = this.queue.then(() => this.handleRequest(message));
+    }
+
+    /**
+     * Execute one request and post its reply
+     * @param {Object} message - Request
+     */
+    async handleRequest(message) {
+        try {
+            let result;
+            switch (message.type) {
+                case 'load':
+                    result = this.load(message.image, message.options || {});
+                    break;
+                case 'restore':
+                    result = this.restore(message.snapshot, message.options || {});
+                    break;
+                case 'snapshot':
+                    result = this.requireVM().snapshot();
+                    break;
+                case 'setRegisters':
+                    result = this.setRegisters(message.registers);
+                    break;
+                case 'setMemory':
+                    result = this.setMemory(message.writes);
+                    break;
+                case 'run':
+                    result = await this.run(message.maxSteps, message.options || {});
+                    break;
+                default:
+                    throw new Error(`Unknown worker request: ${message.type}`);
+            }
+            this.port.postMessage({ type: 'reply', id: message.id, result });
+        } catch (error) {
+            this.port.postMessage({ type: 'reply', id: message.id, error: error.message });
+        }
+    }
+
+    /**
+     * Create a fresh VM and load a program image
+     * @param {Object} image - { instructions, labels, data, sections } as from RomasmAssembler.assemble()
+     * @param {Object} options - { wordSize, memorySize, returnToHost }
+     * @returns {Object} { instructions } count
+     */
+    load(image, options) {
+        this.vm = new this.VM(this.createCanvasRecorder(), {
+            wordSize: options.wordSize,
+            memorySize: options.memorySize,
+            returnToHost: options.returnToHost
+        });
+        this.vm.loadImage(image);
+        this.sentOutput = 0;
+        this.sentLine = undefined;
+        this.drawCommands = [];
+        return { instructions: this.vm.instructions.length };
+    }
+
+    /**
+     * Create a fresh VM in the state captured by RomasmVM.snapshot(): program,
+     * memory, registers, flags, stack and console. Output already in the
+     * snapshot is not streamed again.
+     * @param {Object} snapshot - Snapshot of a main-thread VM
+     * @param {Object} options - { returnToHost }
+     * @returns {Object} { instructions } count
+     */
+    restore(snapshot, options) {
+        this.vm = new this.VM(this.createCanvasRecorder(), { returnToHost: options.returnToHost });
+        this.vm.restore(snapshot);
+        this.sentOutput = this.vm.output.length;
+        this.sentLine = this.vm.output[this.sentOutput - 1];
+        this.drawCommands = [];
+        return { instructions: this.vm.instructions.length };
+    }
+
+    /**
+     * @param {Object} registers - Register name -> value
+     * @returns {Object} Registers after the update
+     */
+    setRegisters(registers) {
+        const vm = this.requireVM();
+        for (const [name, value] of Object.entries(registers)) {
+            if (!(name in vm.registers)) {
+                throw new Error(`Unknown register: ${name}`);
+            }
+            vm.registers[name] = value;
+        }
+        return { ...vm.registers };
+    }
+
+    /**
+     * @param {Array<Object>} writes - [{ address, bytes }] or [{ address, value, width }]
+     * @returns {Object} { writes } count
+     */
+    setMemory(writes) {
+        const vm = this.requireVM();
+        for (const write of writes) {
+            if (write.bytes) {
+                for (let i = 0; i < write.bytes.length; i++) {
+                    vm.memory.writeByte(write.address + i, write.bytes[i]);
+                }
+            } else {
+                vm.writeMemory(write.address, write.value, write.width);
+            }
+        }
+        return { writes: writes.length };
+    }
+
+    /**
+     * Run the loaded program with runAsync(), streaming output, draw commands
+     * and progress back to the main thread
+     * @param {number} maxSteps - Step limit (null for none)
+     * @param {Object} options - { budgetMs, compiled, canvas: { width, height } }
+     * @returns {Promise<Object>} Execution result plus halted and pc
+     */
+    async run(maxSteps, options) {
+        const vm = this.requireVM();
+        if (options.canvas) {
+            this.canvas = { width: options.canvas.width, height: options.canvas.height };
+        }
+
+        this.controller = new AbortController();
+        try {
+            const execution = await vm.runAsync(maxSteps == null ? Infinity : maxSteps, {
+                budgetMs: options.budgetMs,
+                compiled: options.compiled,
+                signal: this.controller.signal,
+                onProgress: progress => {
+                    this.flush();
+                    this.port.postMessage({ type: 'progress', progress });
+                }
+            });
+            this.flush();
+            return { ...execution, halted: vm.halted, pc: vm.pc };
+        } finally {
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Post draw commands and output produced since the last flush
+     */
+    flush() {
+        if (this.drawCommands.length) {
+            this.port.postMessage({ type: 'draw', commands: this.drawCommands });
+            this.drawCommands = [];
+        }
+        const output = this.vm.output;
+        let from = this.sentOutput;
+        if (from > 0 && output[from - 1] !== this.sentLine) {
+            from--; // The last line sent has grown since
+        }
+        if (output.length > from) {
+            this.port.postMessage({ type: 'output', values: output.slice(from), replacesLast: from < this.sentOutput });
+            this.sentOutput = output.length;
+            this.sentLine = output[output.length - 1];
+        }
+    }
+
+    /**
+     * Canvas stand-in for the drawing opcodes (MOV/DRW/STR/CLR): records
+     * calls for the main thread to replay on the real canvas
+     * @returns {Object} Recording 2D context
+     */
+    createCanvasRecorder() {
+        const record = (method) => (...args) => this.drawCommands.push([method, ...args]);
+        const host = this;
+        return {
+            moveTo: record('moveTo'),
+            lineTo: record('lineTo'),
+            stroke: record('stroke'),
+            beginPath: record('beginPath'),
+            clearRect: record('clearRect'),
+            get canvas() {
+                return host.canvas;
+            }
+        };
+    }
+
+    requireVM() {
+        if (!this.vm) {
+            throw new Error('No program loaded');
+        }
+        return this.vm;
+    }
+}
+
+// Start the host when loaded as a worker
+if (typeof WorkerGlobalScope !== 'undefined' && typeof self !== 'undefined' && self instanceof WorkerGlobalScope) {
+    importScripts('romasm-vm.js');
+    new RomasmVMWorkerHost(self, RomasmVM);
+} else if (typeof module !== 'undefined' && module.exports) {
+    const { isMainThread, parentPort } = require('worker_threads');
+    if (!isMainThread && parentPort) {
+        new RomasmVMWorkerHost(parentPort, require('./romasm-vm.js').RomasmVM);
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RomasmVMWorkerHost };
+}
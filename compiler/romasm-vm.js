@@ -4,12 +4,268 @@
  * Executes compiled Romasm programs
  */
 
+/**
+ * Byte-addressable linear memory for the VM.
+ * Backed by 4 KiB Uint8Array pages allocated on first write, so a large
+ * address space costs nothing until it is used. All accesses are
+ * little-endian and bounds-checked against the configured size.
+ */
+class RomasmMemory {
+    /**
+     * @param {number} size - Size of the address space in bytes
+     */
+    constructor(size = RomasmMemory.DEFAULT_SIZE) {
+        this.size = size;
+        this.pages = new Map();
+    }
+
+    /**
+     * Throw if [address, address + width) is outside memory
+     */
+    checkAddress(address, width) {
+        if (!Number.isInteger(address) || address < 0 || address + width > this.size) {
+            throw new Error(`Memory access out of bounds: ${address} (width ${width}, size ${this.size})`);
+        }
+    }
+
+    readByte(address) {
+        const page = this.pages.get(Math.floor(address / RomasmMemory.PAGE_SIZE));
+        return page ? page[address % RomasmMemory.PAGE_SIZE] : 0;
+    }
+
+    writeByte(address, value) {
+        const pageIndex = Math.floor(address / RomasmMemory.PAGE_SIZE);
+        let page = this.pages.get(pageIndex);
+        if (!page) {
+            page = new Uint8Array(RomasmMemory.PAGE_SIZE);
+            this.pages.set(pageIndex, page);
+        }
+        page[address % RomasmMemory.PAGE_SIZE] = value & 0xFF;
+    }
+
+    /**
+     * Read a little-endian value
+     * @param {number} address - Byte address
+     * @param {number} width - 1, 2, 4 or 8 bytes
+     * @returns {number} Zero-extended value (8-byte reads are signed)
+     */
+    read(address, width) {
+        this.checkAddress(address, width);
+        if (width === 8) {
+            let value = 0n;
+            for (let i = 7; i >= 0; i--) {
+                value = (value << 8n) | BigInt(this.readByte(address + i));
+            }
+            return Number(BigInt.asIntN(64, value));
+        }
+        let value = 0;
+        for (let i = width - 1; i >= 0; i--) {
+            value = value * 256 + this.readByte(address + i);
+        }
+        return value;
+    }
+
+    /**
+     * Write a little-endian value (truncated to the access width)
+     * @param {number} address - Byte address
+     * @param {number} width - 1, 2, 4 or 8 bytes
+     * @param {number} value - Value to write
+     */
+    write(address, width, value) {
+        this.checkAddress(address, width);
+        if (width === 8) {
+            let bits = BigInt.asUintN(64, BigInt(Math.trunc(value)));
+            for (let i = 0; i < 8; i++) {
+                this.writeByte(address + i, Number(bits & 0xFFn));
+                bits >>= 8n;
+            }
+            return;
+        }
+        let bits = Math.trunc(value);
+        for (let i = 0; i < width; i++) {
+            this.writeByte(address + i, bits & 0xFF);
+            bits = Math.floor(bits / 256);
+        }
+    }
+
+    /**
+     * Set a range of bytes to one value. Whole pages cleared to zero are released.
+     * @param {number} address - First byte
+     * @param {number} length - Number of bytes
+     * @param {number} value - Byte value (default 0)
+     */
+    fill(address, length, value = 0) {
+        this.checkAddress(address, length);
+        const pageSize = RomasmMemory.PAGE_SIZE;
+        let current = address;
+        const end = address + length;
+        while (current < end) {
+            const pageIndex = Math.floor(current / pageSize);
+            const offset = current % pageSize;
+            const count = Math.min(pageSize - offset, end - current);
+            if (value === 0 && count === pageSize) {
+                this.pages.delete(pageIndex);
+            } else if (value !== 0 || this.pages.has(pageIndex)) {
+                if (!this.pages.has(pageIndex)) {
+                    this.pages.set(pageIndex, new Uint8Array(pageSize));
+                }
+                this.pages.get(pageIndex).fill(value & 0xFF, offset, offset + count);
+            }
+            current += count;
+        }
+    }
+
+    /**
+     * Non-zero bytes as an address -> value map (for display)
+     * @returns {Object} Sparse byte map
+     */
+    toObject() {
+        const bytes = {};
+        const indices = [...this.pages.keys()].sort((a, b) => a - b);
+        for (const index of indices) {
+            const page = this.pages.get(index);
+            for (let i = 0; i < page.length; i++) {
+                if (page[i] !== 0) {
+                    bytes[index * RomasmMemory.PAGE_SIZE + i] = page[i];
+                }
+            }
+        }
+        return bytes;
+    }
+}
+
+RomasmMemory.PAGE_SIZE = 4096;
+RomasmMemory.DEFAULT_SIZE = 16 * 1024 * 1024; // 16 MiB
+
+/**
+ * CPU exception raised by an instruction (#DE, #UD, #SS or #GP, see RomasmVM.EXCEPTIONS).
+ * step() delivers it to the Romasm handler in the interrupt vector table,
+ * or reports it to the host as result.fault (see toJSON()).
+ */
+class RomasmFault extends Error {
+    /**
+     * @param {string} mnemonic - 'DE', 'UD', 'SS' or 'GP'
+     * @param {string} message - What went wrong
+     * @param {Object} details - Fault details
+     * @param {number} details.address - Address of the faulting instruction
+     * @param {Array} details.backtrace - CALL frames, innermost first (see RomasmVM.backtrace())
+     * @param {number} details.memoryAddress - Offending memory address (#GP only)
+     */
+    constructor(mnemonic, message, details = {}) {
+        super(message);
+        this.name = 'RomasmFault';
+        this.mnemonic = mnemonic;
+        this.vector = RomasmVM.EXCEPTIONS[mnemonic].vector;
+        this.description = RomasmVM.EXCEPTIONS[mnemonic].name;
+        this.address = details.address;
+        this.backtrace = details.backtrace || [];
+        this.memoryAddress = details.memoryAddress;
+    }
+
+    /**
+     * Plain JSON-serialisable form, as reported in step() and run() results
+     * @returns {Object} { type, vector, name, message, address, memoryAddress, backtrace }
+     */
+    toJSON() {
+        return {
+            type: `#${this.mnemonic}`,
+            vector: this.vector,
+            name: this.description,
+            message: this.message,
+            address: this.address,
+            memoryAddress: this.memoryAddress,
+            backtrace: this.backtrace.map(frame => ({ ...frame }))
+        };
+    }
+}
+
 class RomasmVM {
-    constructor(canvasContext = null) {
+    /**
+     * @param {CanvasRenderingContext2D} canvasContext - Optional canvas for drawing opcodes
+     * @param {Object} options - VM options
+     * @param {number} options.wordSize - Register width in bits: 16, 32 or 64 (default 64)
+     * @param {number} options.memorySize - Size of linear memory in bytes (default 16 MiB)
+     * @param {number} options.historyLimit - Record this many instructions for stepBack() (default off)
+     * @param {number} options.ivtBase - Address of the interrupt vector table (default: top 1 KiB of memory)
+     * @param {number} options.stackBase - Initial stack pointer; the stack grows down from here (default: ivtBase)
+     * @param {number} options.stackLimit - Lowest address the stack may use (default: 64 KiB below stackBase)
+     * @param {string} options.stackRegister - Register that holds SP, e.g. 'VIII' for R7 (default: a dedicated SP)
+     * @param {boolean} options.returnToHost - A RET outside any CALL with nothing on the stack
+     *   ends the program, for code written as a function body (default false: #SS, as for POP)
+     */
+    constructor(canvasContext = null, options = {}) {
         this.canvasContext = canvasContext; // Canvas 2D context for drawing
+        this.setWordSize(options.wordSize || 64);
+        this.memorySize = options.memorySize || RomasmMemory.DEFAULT_SIZE;
+        // 256 vectors of 4 bytes, each the instruction address of a Romasm handler (0 = none).
+        // Kept clear of address 0, where loadImage() places program data.
+        this.ivtBase = options.ivtBase !== undefined ? options.ivtBase : this.memorySize - RomasmVM.IVT_SIZE;
+        this.setStack({ base: options.stackBase, limit: options.stackLimit, register: options.stackRegister });
+        this.returnToHost = !!options.returnToHost;
+        // Debugger state survives reset() so a program can be restarted with the same breakpoints
+        this.breakpoints = new Map();
+        this.watchpoints = new Map();
+        this.nextDebugId = 1;
+        this.profile = null; // See enableProfiling()
+        // runAsync() state: pauseRun()/resumeRun() are host controls and survive reset()
+        this.asyncRunning = false;
+        this.paused = false;
+        this.resumeWaiters = [];
+        // Attached I/O devices (see attachDevice()); they stay attached across reset()
+        this.ioDevices = [];
+        this.tickingDevices = [];
+        this.bios = null; // Set by RomasmBIOS.install()
+        this.uefi = null; // Set by RomasmUEFI.install()
+        // JS interrupt handlers (registerInterrupt) are host configuration and survive reset()
+        this.interruptVector = {};
+        this.hostFunctions = new Map(); // Address -> JS function reached by CALL (registerHostFunction)
+        // Syscall console (INT 0x80): null = built-in stdout lines and stdin queue, or
+        // { write(code, vm), read(vm) -> code | -1 (end of input) | null (nothing yet), echo }
+        this.console = null;
+        this.clock = options.clock || (() => Date.now()); // Milliseconds since the epoch, for the TIME syscall
+        this.disableHistory();
+        if (options.historyLimit) {
+            this.enableHistory(options.historyLimit);
+        }
         this.reset();
     }
 
+    /**
+     * Set the register width. Matches the x86 generator targets:
+     * 16 = boot sector (reg16Map), 32 = protected mode (reg32Map), 64 = UEFI (reg64Map)
+     * @param {number} bits - 16, 32 or 64
+     */
+    setWordSize(bits) {
+        if (![16, 32, 64].includes(bits)) {
+            throw new Error(`Unsupported word size: ${bits} (expected 16, 32 or 64)`);
+        }
+        this.wordSize = bits;
+    }
+
+    /**
+     * Place the stack in memory. It grows down from base (the first push
+     * writes just below it) and may not go below limit. Like the IVT it is
+     * machine configuration and survives reset(); SP is reset to base.
+     * @param {Object} options
+     * @param {number} options.base - Initial SP (default: ivtBase, so the stack sits just below the IVT)
+     * @param {number} options.limit - Lowest stack address (default: base - RomasmVM.DEFAULT_STACK_SIZE)
+     * @param {string|null} options.register - Register that holds SP, e.g. 'VIII' so that R7 is
+     *   SP/ESP/RSP as in the x86 generator (default null: a dedicated SP, R7 stays general purpose)
+     */
+    setStack(options = {}) {
+        this.stackBase = options.base !== undefined ? options.base : this.ivtBase;
+        this.stackLimit = options.limit !== undefined
+            ? options.limit
+            : Math.max(0, this.stackBase - RomasmVM.DEFAULT_STACK_SIZE);
+        this.stackRegister = options.register || null;
+        if (this.stackRegister && !['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX'].includes(this.stackRegister)) {
+            throw new Error(`Unknown stack register: ${this.stackRegister}`);
+        }
+        if (this.registers) { // Not yet during construction; reset() sets SP then
+            this.setStackPointer(this.stackBase);
+        }
+    }
+
     reset() {
         this.registers = {
             'I': 0, 'II': 0, 'III': 0, 'IV': 0, 'V': 0,
@@ -27,17 +283,28 @@ class RomasmVM {
         this.segmentRegisters = {
             'CS': 0, 'DS': 0, 'ES': 0, 'SS': 0, 'FS': 0, 'GS': 0
         };
-        this.memory = {};
-        this.stack = [];
+        this.memory = new RomasmMemory(this.memorySize);
+        // Control registers (MOV_CR0/CR3/CR4)
+        this.controlRegisters = { 'CR0': 0, 'CR3': 0, 'CR4': 0 };
+        this.stackPointer = this.stackBase; // SP when no register holds it (see setStack())
+        if (this.stackRegister) {
+            this.registers[this.stackRegister] = this.stackBase;
+        }
+        this.callStack = []; // Active CALL frames: { returnAddress, target, callSite }
         this.pc = 0; // Program counter
         this.instructions = [];
+        this.labels = {};
+        this.dataBase = 0; // Address of the first data byte (see loadImage)
         this.output = [];
         this.running = false;
         this.halted = false;
+        this.lastFault = null; // Most recent CPU exception (RomasmFault)
+        // Arithmetic flags (x86 semantics)
         this.flags = {
-            equal: false,
-            lessThan: false,
-            greaterThan: false
+            ZF: false,  // Zero Flag
+            SF: false,  // Sign Flag
+            CF: false,  // Carry Flag (unsigned overflow / borrow)
+            OF: false   // Overflow Flag (signed overflow)
         };
         // CPU flags for OS development
         this.cpuFlags = {
@@ -47,13 +314,40 @@ class RomasmVM {
         };
         // Interrupt handling
         this.interruptsEnabled = true;
-        this.interruptVector = {}; // Interrupt handlers
         this.inInterrupt = false;
         this.interruptStack = [];
+        this.pendingIRQs = 0; // Bit n set = IRQ n raised and not yet delivered
+        this.waitingForInterrupt = false; // HLT with IF set
+        // Syscall state (see syscall())
+        this.stdin = [];              // Character codes queued by provideInput()
+        this.stdinPosition = 0;       // Next stdin entry to read
+        this.stdinClosed = false;     // closeInput() called: reads past the queue return -1
+        this.waitingForInput = false; // GETC/GETS found no input; the INT runs again on the next step
+        this.pendingLine = [];        // Characters of a GETS line read so far
+        this.consoleLine = -1;        // Output index of the stdout line being written
+        this.exitCode = null;         // Set by the EXIT syscall
         // I/O ports (emulated)
         this.ioPorts = {};
+        for (const { device } of this.ioDevices) {
+            if (device.reset) {
+                device.reset();
+            }
+        }
+        if (this.bios) {
+            this.bios.reset();
+        }
+        if (this.uefi) {
+            this.uefi.reset(); // Firmware tables live in the memory just replaced
+        }
         // Canvas drawing state
         this.pathStarted = false;
+        // Debugger stop state
+        this.watchHit = null;
+        this.lastStop = null;
+        this.currentHistoryEntry = null;
+        if (this.historyLimit) {
+            this.enableHistory(this.historyLimit);
+        }
     }
 
     /**
@@ -64,270 +358,1666 @@ class RomasmVM {
         this.instructions = instructions;
         this.pc = 0;
         this.halted = false;
+        if (this.profile) {
+            this.enableProfiling();
+        }
+    }
+
+    /**
+     * Load a full program image as returned by RomasmAssembler.assemble():
+     * instructions, the DB/DW/DD/DQ data segment and the merged label map.
+     * Data bytes are placed right after the instructions, at the addresses
+     * the assembler's merged labels promise (instructions.length + offset),
+     * and the .bss section records are cleared to zero.
+     * @param {Object} image - Assembly result ({ instructions, data, labels, sections })
+     */
+    loadImage(image) {
+        const labels = image.labels || {};
+        const instructions = image.instructions.map(instr => this.resolveImageLabels(instr, labels));
+        this.labels = { ...labels };
+        this.loadProgram(instructions);
+        this.dataBase = instructions.length;
+        for (const section of image.sections || []) {
+            if (section.name === '.bss' && section.size > 0) {
+                this.memory.fill(section.address, section.size);
+            }
+        }
+        for (const { address, value } of image.data || []) {
+            this.memory.writeByte(this.dataBase + address, value);
+        }
+    }
+
+    /**
+     * Patch operands the assembler left as unresolved labels (e.g. data labels
+     * such as [msg]) with their addresses from the image label map
+     * @param {Object} instruction - Instruction to resolve
+     * @param {Object} labels - Label address map
+     * @returns {Object} Instruction with resolved operands
+     */
+    resolveImageLabels(instruction, labels) {
+        if (!instruction.operands.some(op => op.labelName && op.labelName in labels)) {
+            return instruction;
+        }
+        return {
+            ...instruction,
+            operands: instruction.operands.map(op => {
+                if (!op.labelName || !(op.labelName in labels)) {
+                    return op;
+                }
+                if (op.type === 'memory') {
+                    // [label+R2] style operand: the label adds to the displacement
+                    const displacement = op.displacement + labels[op.labelName];
+                    return { ...op, value: displacement, displacement, labelName: undefined };
+                }
+                return {
+                    ...op,
+                    value: labels[op.labelName],
+                    labelName: undefined // Resolved
+                };
+            })
+        };
     }
 
     /**
      * Execute a single instruction
+     * @param {string} detail - What the result copies: 'full' (registers and all
+     *   output so far), 'registers', or 'none' when nobody keeps the result
      * @returns {Object} Execution result
      */
-    step() {
+    step(detail = 'full') {
+        if (this.waitingForInterrupt) {
+            // Time passes in HLT too: the device ticks (or the IRQ delivery) of a
+            // waiting step get their own history entry, so stepBack undoes them
+            this.currentHistoryEntry = this.historyLimit ? this.beginHistoryEntry() : null;
+            const woke = this.wakeFromHalt();
+            if (this.currentHistoryEntry) {
+                this.commitHistoryEntry(this.currentHistoryEntry);
+                this.currentHistoryEntry = null;
+            }
+            if (!woke) {
+                return { waiting: true, pc: this.pc };
+            }
+        }
         if (this.halted || this.pc >= this.instructions.length) {
             this.halted = true;
             return { halted: true };
         }
 
+        this.currentHistoryEntry = this.historyLimit ? this.beginHistoryEntry() : null;
+        if (this.pendingIRQs && this.cpuFlags.IF) {
+            this.deliverIRQ();
+        }
+
         const instruction = this.instructions[this.pc];
-        const result = {
-            instruction,
-            pc: this.pc,
-            registers: { ...this.registers },
-            output: [...this.output]
-        };
+        const result = { instruction, pc: this.pc };
+        if (detail !== 'none') {
+            result.registers = { ...this.registers };
+            if (detail === 'full') {
+                result.output = [...this.output];
+            }
+        }
+
+        if (this.profile) {
+            // Attributed to the frame the instruction runs in, before CALL/RET change it
+            this.recordProfileStep(this.pc);
+        }
 
         try {
             this.executeInstruction(instruction);
             this.pc++;
+            for (const device of this.tickingDevices) {
+                this.recordComponentState(device);
+                device.tick(this);
+            }
         } catch (error) {
-            result.error = error.message;
-            this.halted = true;
+            this.handleStepError(error, result);
+        }
+        if (this.waitingForInput) {
+            result.waiting = true;
+        }
+
+        if (this.currentHistoryEntry) {
+            this.commitHistoryEntry(this.currentHistoryEntry);
+            this.currentHistoryEntry = null;
         }
 
         return result;
     }
 
+    /**
+     * Deal with an error thrown while executing an instruction: a CPU fault
+     * goes to its handler if one is installed, anything else is recorded in
+     * the step result and halts the VM
+     * @param {Error} error - Thrown error
+     * @param {Object} result - Step result to annotate
+     */
+    handleStepError(error, result) {
+        if (error instanceof RomasmFault && this.deliverFault(error)) {
+            return;
+        }
+        result.error = error.message;
+        if (error instanceof RomasmFault) {
+            result.fault = error.toJSON();
+        }
+        this.halted = true;
+    }
+
     /**
      * Execute all instructions
      * @param {number} maxSteps - Maximum number of steps (safety limit)
-     * @returns {Object} Execution result
+     * @param {Object} options - Run options
+     * @param {boolean} options.compiled - Use the closure-compiled fast path (see runCompiled());
+     *   same results, but no per-step trace. Ignored when a ring buffer or onStep is requested
+     * @param {string|number} options.trace - 'full' (default) keeps every step result,
+     *   'none' keeps nothing, a number N keeps only the last N steps
+     * @param {Function} options.onStep - Called with each step result as it happens.
+     *   Ring buffer and onStep results copy registers but not the output (read vm.output)
+     * @param {boolean} options.memory - Include a dump of the non-zero memory bytes
+     *   (result.memory); off by default, as it walks every allocated page
+     * @returns {Object} Execution result, including stats (steps, elapsedMs, instructionsPerSecond)
      */
-    run(maxSteps = 10000) {
+    run(maxSteps = 10000, options = {}) {
+        const mode = options.trace === undefined ? 'full' : options.trace;
+        const ring = typeof mode === 'number' ? Math.max(0, Math.floor(mode)) : null;
+        const keepFull = mode === 'full' || mode === true;
+        const onStep = typeof options.onStep === 'function' ? options.onStep : null;
+        const detail = keepFull ? 'full' : (ring || onStep ? 'registers' : 'none');
+
         this.running = true;
+        const started = RomasmVM.now();
         let steps = 0;
-        const trace = [];
+        let trace = [];
+        let ringStart = 0;
+        let failure = null;
 
-        while (!this.halted && steps < maxSteps) {
-            const result = this.step();
-            trace.push(result);
-            steps++;
+        if (options.compiled && ring === null && !onStep) {
+            ({ steps, failure } = this.runCompiled(maxSteps));
+        } else {
+            while (!this.halted && steps < maxSteps) {
+                const result = this.step(detail);
+                if (keepFull) {
+                    trace.push(result);
+                } else if (ring) {
+                    if (trace.length < ring) {
+                        trace.push(result);
+                    } else {
+                        trace[ringStart] = result;
+                        ringStart = (ringStart + 1) % ring;
+                    }
+                }
+                if (onStep) {
+                    onStep(result);
+                }
+                steps++;
 
-            if (result.error) {
-                break;
+                if (result.error) {
+                    failure = result;
+                    break;
+                }
+                if (result.waiting && !this.tickingDevices.length && !this.pendingIRQs) {
+                    break; // Nothing in the VM can wake it; the host may raiseIRQ() and run again
+                }
             }
         }
 
         this.running = false;
+        if (ringStart) {
+            trace = trace.slice(ringStart).concat(trace.slice(0, ringStart));
+        }
+        return this.executionResult({ steps, maxSteps, failure, trace, started, memory: options.memory });
+    }
 
-        return {
-            success: !this.halted && steps < maxSteps,
+    /**
+     * Build the result object returned by run() and runAsync()
+     * @param {Object} run - { steps, maxSteps, failure, trace, started, aborted, memory }
+     * @returns {Object} Execution result
+     */
+    executionResult({ steps, maxSteps, failure, trace = [], started, aborted = false, memory = false }) {
+        const elapsedMs = RomasmVM.now() - started;
+        let error = null;
+        if (failure) {
+            error = failure.error;
+        } else if (aborted) {
+            error = 'Aborted';
+        } else if (steps >= maxSteps) {
+            error = 'Maximum steps exceeded';
+        }
+
+        const result = {
+            success: !this.halted && steps < maxSteps && !aborted,
+            waiting: this.waitingForInterrupt || this.waitingForInput,
+            aborted,
+            exitCode: this.exitCode,
             steps,
             trace,
+            stats: {
+                steps,
+                elapsedMs,
+                instructionsPerSecond: elapsedMs > 0 ? Math.round(steps * 1000 / elapsedMs) : null
+            },
             registers: { ...this.registers },
-            memory: { ...this.memory },
             output: [...this.output],
-            error: steps >= maxSteps ? 'Maximum steps exceeded' : null
+            error,
+            fault: failure && failure.fault ? failure.fault : null
         };
+        if (memory) {
+            result.memory = this.memory.toObject();
+        }
+        return result;
     }
 
     /**
-     * Execute a single instruction
-     * @param {Object} instruction - Instruction to execute
+     * Execute instructions without blocking the event loop. The VM runs for up
+     * to options.budgetMs at a time, then yields (setTimeout) so the page stays
+     * responsive. Stop it with options.signal, or suspend it with pauseRun() and
+     * resumeRun(); the promise settles once the program halts, fails, runs out of
+     * steps, waits with nothing able to wake it, or is aborted. An aborted VM
+     * is left as it was and can be run again.
+     * @param {number} maxSteps - Maximum number of steps (default: no limit)
+     * @param {Object} options - Run options
+     * @param {number} options.budgetMs - Milliseconds to run between yields (default 10)
+     * @param {AbortSignal} options.signal - Cancels the run; the result has aborted: true
+     * @param {boolean} options.compiled - Use the closure-compiled fast path
+     * @param {Function} options.onProgress - Called after every slice and on pause with
+     *   { steps, pc, label, elapsedMs, paused }
+     * @param {boolean} options.memory - Include a memory dump, as for run()
+     * @returns {Promise<Object>} Execution result as from run(), without a trace
      */
-    executeInstruction(instruction) {
-        const { opcode, operands } = instruction;
-
-        switch (opcode) {
-            case 'I': // INC
-                this.registers[operands[0].value]++;
-                break;
-
-            case 'D': // DEC
-                this.registers[operands[0].value]--;
-                break;
+    async runAsync(maxSteps = Infinity, options = {}) {
+        if (this.asyncRunning) {
+            throw new Error('runAsync() is already in progress');
+        }
+        const budgetMs = options.budgetMs > 0 ? options.budgetMs : 10;
+        const signal = options.signal || null;
+        const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+        const started = RomasmVM.now();
+        let steps = 0;
+        let failure = null;
+        let aborted = false;
+
+        const progress = (paused) => {
+            if (onProgress) {
+                onProgress({
+                    steps,
+                    pc: this.pc,
+                    label: this.labelAt(this.pc),
+                    elapsedMs: RomasmVM.now() - started,
+                    paused
+                });
+            }
+        };
 
-            case 'L': // LOAD
-                {
-                    const reg = operands[0].value;
-                    const src = operands[1];
-                    if (src.isMemory) {
-                        this.registers[reg] = this.memory[src.value] || 0;
-                    } else if (src.type === 'immediate') {
-                        this.registers[reg] = src.value;
-                    } else if (src.type === 'register') {
-                        this.registers[reg] = this.registers[src.value];
-                    }
+        this.asyncRunning = true;
+        try {
+            while (!this.halted && steps < maxSteps) {
+                if (signal && signal.aborted) {
+                    aborted = true;
+                    break;
                 }
-                break;
-
-            case 'X': // STORE
-                {
-                    const src = operands[0];
-                    const dst = operands[1];
-                    let value;
-                    if (src.type === 'register') {
-                        value = this.registers[src.value];
-                    } else {
-                        value = src.value;
-                    }
-                    if (dst.isMemory) {
-                        this.memory[dst.value] = value;
-                    } else if (dst.type === 'register') {
-                        this.registers[dst.value] = value;
-                    }
+                if (this.paused) {
+                    progress(true);
+                    await this.waitForResume(signal);
+                    continue;
                 }
-                break;
 
-            case 'A': // ADD
-                {
-                    const reg1 = operands[0].value;
-                    const reg2 = operands[1].value;
-                    this.registers[reg1] += this.registers[reg2];
+                const sliceStart = RomasmVM.now();
+                this.running = true;
+                let stuck = false;
+                do {
+                    const slice = this.runSlice(Math.min(RomasmVM.ASYNC_CHECK_STEPS, maxSteps - steps), options.compiled);
+                    steps += slice.steps;
+                    failure = slice.failure;
+                    stuck = (this.waitingForInterrupt || this.waitingForInput) &&
+                        !this.tickingDevices.length && !this.pendingIRQs;
+                } while (!failure && !stuck && !this.halted && steps < maxSteps &&
+                    RomasmVM.now() - sliceStart < budgetMs);
+                this.running = false;
+                progress(false);
+
+                if (failure || stuck) {
+                    break;
                 }
-                break;
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        } finally {
+            this.running = false;
+            this.asyncRunning = false;
+        }
 
-            case 'S': // SUB
-                {
-                    const reg1 = operands[0].value;
-                    const reg2 = operands[1].value;
-                    this.registers[reg1] -= this.registers[reg2];
-                }
-                break;
+        return this.executionResult({ steps, maxSteps, failure, started, aborted, memory: options.memory });
+    }
 
-            case 'M': // MUL
-                {
-                    const reg1 = operands[0].value;
-                    const reg2 = operands[1].value;
-                    this.registers[reg1] *= this.registers[reg2];
-                }
+    /**
+     * Run up to maxSteps steps without building step results (used by runAsync())
+     * @param {number} maxSteps - Maximum number of steps
+     * @param {boolean} compiled - Use runCompiled()
+     * @returns {Object} { steps, failure }
+     */
+    runSlice(maxSteps, compiled) {
+        if (compiled) {
+            return this.runCompiled(maxSteps);
+        }
+        let steps = 0;
+        while (!this.halted && steps < maxSteps) {
+            const result = this.step('none');
+            steps++;
+            if (result.error) {
+                return { steps, failure: result };
+            }
+            if (result.waiting && !this.tickingDevices.length && !this.pendingIRQs) {
                 break;
+            }
+        }
+        return { steps, failure: null };
+    }
 
-            case 'DI': // DIV
-                {
-                    const reg1 = operands[0].value;
-                    const reg2 = operands[1].value;
-                    const divisor = this.registers[reg2];
-                    if (divisor === 0) {
-                        throw new Error('Division by zero');
-                    }
-                    this.registers[reg1] = Math.floor(this.registers[reg1] / divisor);
-                }
-                break;
+    /**
+     * Suspend a runAsync() in progress at the end of its current slice
+     */
+    pauseRun() {
+        this.paused = true;
+    }
 
-            case 'MO': // MOD
-                {
-                    const reg1 = operands[0].value;
-                    const reg2 = operands[1].value;
-                    const divisor = this.registers[reg2];
-                    if (divisor === 0) {
-                        throw new Error('Modulo by zero');
-                    }
-                    this.registers[reg1] = this.registers[reg1] % divisor;
-                }
-                break;
+    /**
+     * Continue a paused runAsync() (resume() is the debugger's continue)
+     */
+    resumeRun() {
+        this.paused = false;
+        const waiters = this.resumeWaiters;
+        this.resumeWaiters = [];
+        for (const resolve of waiters) {
+            resolve();
+        }
+    }
 
-            case 'SL': // SHL (Shift Left - multiply by 2^n)
-                {
-                    const reg1 = operands[0].value;
-                    const reg2 = operands[1].value;
-                    const shift = this.registers[reg2];
-                    this.registers[reg1] = this.registers[reg1] << shift;
-                }
-                break;
+    /**
+     * Wait until resumeRun() is called or the signal aborts
+     * @param {AbortSignal|null} signal - Abort signal
+     * @returns {Promise<void>}
+     */
+    waitForResume(signal) {
+        return new Promise(resolve => {
+            if (signal) {
+                signal.addEventListener('abort', resolve, { once: true });
+            }
+            this.resumeWaiters.push(resolve);
+        });
+    }
 
-            case 'SR': // SHR (Shift Right - divide by 2^n)
-                {
-                    const reg1 = operands[0].value;
-                    const reg2 = operands[1].value;
-                    const shift = this.registers[reg2];
-                    this.registers[reg1] = Math.floor(this.registers[reg1] >> shift);
-                }
-                break;
+    /**
+     * Execute instructions as an async iterator of step results, e.g.
+     * `for await (const step of vm.stream(1e6)) { ... }`. Nothing is retained
+     * between steps, and control goes back to the event loop every
+     * options.yieldEvery steps. Stops after a step with an error or when the
+     * VM halts or waits with nothing able to wake it. Results copy registers
+     * but not the output (read vm.output).
+     * @param {number} maxSteps - Maximum number of steps (safety limit)
+     * @param {Object} options - Stream options
+     * @param {number} options.yieldEvery - Steps between event loop yields (default 1000)
+     * @returns {AsyncGenerator<Object>} Step results
+     */
+    async *stream(maxSteps = 10000, options = {}) {
+        const yieldEvery = Math.max(1, options.yieldEvery || 1000);
+        let steps = 0;
 
-            case 'C': // CMP
-                {
-                    const reg1 = operands[0].value;
-                    const op2 = operands[1];
-                    const val1 = this.registers[reg1];
-                    // Handle both register and immediate values for second operand
-                    let val2;
-                    if (op2.type === 'immediate') {
-                        val2 = op2.value;
-                    } else if (op2.type === 'register') {
-                        val2 = this.registers[op2.value];
+        while (!this.halted && steps < maxSteps) {
+            this.running = true;
+            const result = this.step('registers');
+            this.running = false;
+            steps++;
+            yield result;
+
+            if (result.error || (result.waiting && !this.tickingDevices.length && !this.pendingIRQs)) {
+                return;
+            }
+            if (steps % yieldEvery === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+    }
+
+    /**
+     * Run loop behind run(maxSteps, { compiled: true }). Instructions execute
+     * as precompiled closures (see RomasmVM.compileProgram()) and no per-step
+     * result objects are built. Whenever step() has extra work to do (history,
+     * profiling, a pending IRQ, HLT waiting or ticking devices) the instruction
+     * goes through step() instead, so semantics are identical.
+     * @param {number} maxSteps - Maximum number of steps
+     * @returns {Object} { steps, failure } where failure is the failing step result or null
+     */
+    runCompiled(maxSteps) {
+        const ops = RomasmVM.compileProgram(this.instructions);
+        let steps = 0;
+
+        while (!this.halted && steps < maxSteps) {
+            if (this.historyLimit || this.profile || this.waitingForInterrupt || this.tickingDevices.length ||
+                (this.pendingIRQs && this.cpuFlags.IF)) {
+                // Only error and waiting are read, so skip copying registers and output
+                const result = this.step('none');
+                steps++;
+                if (result.error) {
+                    return { steps, failure: result };
+                }
+                if (result.waiting && !this.tickingDevices.length && !this.pendingIRQs) {
+                    break;
+                }
+                continue;
+            }
+
+            const pc = this.pc;
+            steps++;
+            if (pc >= ops.length) {
+                this.halted = true;
+                break;
+            }
+            try {
+                ops[pc](this);
+                this.pc++;
+                if (this.waitingForInput) {
+                    break;
+                }
+            } catch (error) {
+                const result = { instruction: this.instructions[pc], pc };
+                this.handleStepError(error, result);
+                if (result.error) {
+                    return { steps, failure: result };
+                }
+            }
+        }
+        return { steps, failure: null };
+    }
+
+    /**
+     * Compile a program into one closure (vm) => void per instruction.
+     * Common register/immediate forms of LOAD, STORE, ADD, SUB, INC, DEC, CMP,
+     * the jumps and PRINT get specialised closures with their operands
+     * decoded up front; everything else calls executeInstruction().
+     * Results are cached per instructions array (treat loaded programs as immutable).
+     * @param {Array} instructions - Loaded instructions
+     * @returns {Array} Closures indexed by instruction address
+     */
+    static compileProgram(instructions) {
+        let ops = RomasmVM.compiledPrograms.get(instructions);
+        if (!ops) {
+            ops = instructions.map(instruction => {
+                try {
+                    return RomasmVM.compileInstruction(instruction);
+                } catch (error) {
+                    // Malformed instruction: let executeInstruction() report it when it runs
+                    return vm => vm.executeInstruction(instruction);
+                }
+            });
+            RomasmVM.compiledPrograms.set(instructions, ops);
+        }
+        return ops;
+    }
+
+    /**
+     * Compile one instruction (see compileProgram())
+     * @param {Object} instruction - Instruction
+     * @returns {Function} (vm) => void, with the same effect as vm.executeInstruction(instruction)
+     */
+    static compileInstruction(instruction) {
+        const { opcode, operands } = instruction;
+        const generic = vm => vm.executeInstruction(instruction);
+        const [first, second] = operands;
+        const reg = first && first.value;
+        const source = second && RomasmVM.compileOperandRead(second);
+
+        switch (opcode) {
+            case 'I': // INC
+            case 'D': // DEC
+                {
+                    const delta = opcode === 'I' ? 1 : -1;
+                    return vm => {
+                        const raw = vm.registers[reg] + delta;
+                        const result = vm.wrap(raw);
+                        vm.registers[reg] = result;
+                        vm.setResultFlags(result);
+                        vm.flags.OF = raw !== result;
+                    };
+                }
+
+            case 'L': // LOAD
+                if (second.isMemory) {
+                    return generic;
+                }
+                if (second.type === 'immediate' || second.type === 'label') {
+                    return vm => {
+                        vm.registers[reg] = vm.wrap(second.value);
+                    };
+                }
+                if (second.type === 'register') {
+                    return vm => {
+                        vm.registers[reg] = vm.registers[second.value];
+                    };
+                }
+                return () => {};
+
+            case 'X': // STORE register to register
+                if (first.type === 'register' && second.type === 'register' && !second.isMemory) {
+                    return vm => {
+                        vm.registers[second.value] = vm.registers[reg];
+                    };
+                }
+                return generic;
+
+            case 'A': // ADD
+                return source ? vm => {
+                    vm.registers[reg] = vm.addWithFlags(vm.registers[reg], source(vm), 0);
+                } : generic;
+
+            case 'S': // SUB
+                return source ? vm => {
+                    vm.registers[reg] = vm.subWithFlags(vm.registers[reg], source(vm), 0);
+                } : generic;
+
+            case 'C': // CMP
+                if (second.type !== 'immediate' && second.type !== 'register') {
+                    return generic; // Reports the invalid operand
+                }
+                return vm => {
+                    vm.subWithFlags(vm.registers[reg], source(vm), 0);
+                };
+
+            case 'V': // JMP
+                return vm => {
+                    vm.pc = reg - 1;
+                };
+
+            case 'JE':
+            case 'JN':
+            case 'JL':
+            case 'JG':
+            case 'JLE':
+            case 'JGE':
+                {
+                    const condition = RomasmVM.jumpConditions[opcode];
+                    return vm => {
+                        if (vm.checkCondition(condition)) {
+                            vm.pc = reg - 1;
+                        }
+                    };
+                }
+
+            case 'PR': // PRINT
+                return vm => {
+                    vm.output.push(vm.registers[reg]);
+                };
+
+            default:
+                return generic;
+        }
+    }
+
+    /**
+     * Compile a register, immediate or label operand read (see readOperand())
+     * @param {Object} operand - Operand
+     * @returns {Function|null} (vm) => value, or null for operands left to readOperand()
+     */
+    static compileOperandRead(operand) {
+        if (operand.isMemory) {
+            return null;
+        }
+        switch (operand.type) {
+            case 'register':
+                return vm => vm.registers[operand.value];
+            case 'immediate':
+            case 'label':
+                return () => operand.value;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Add a breakpoint
+     * @param {number|string} location - Instruction address or label name
+     * @param {Object} options - Breakpoint options
+     * @param {string|Function} options.condition - Register expression such as
+     *   "R0 > 10 && R1 == 0", or a function (vm) => boolean
+     * @returns {number} Breakpoint id
+     */
+    addBreakpoint(location, options = {}) {
+        const address = this.resolveLocation(location);
+        const id = this.nextDebugId++;
+        this.breakpoints.set(id, {
+            id,
+            address,
+            label: typeof location === 'string' ? location : this.labelAt(address),
+            condition: options.condition || null,
+            test: options.condition ? this.compileCondition(options.condition) : null,
+            enabled: true,
+            hits: 0
+        });
+        return id;
+    }
+
+    /**
+     * Remove a breakpoint
+     * @param {number} id - Breakpoint id
+     * @returns {boolean} Whether a breakpoint was removed
+     */
+    removeBreakpoint(id) {
+        return this.breakpoints.delete(id);
+    }
+
+    /**
+     * Watch a memory range for reads, writes or value changes
+     * @param {number|string} location - Byte address or data label
+     * @param {Object} options - Watchpoint options
+     * @param {string} options.type - 'read', 'write' or 'change' (default 'write')
+     * @param {number} options.width - Bytes to watch (default one register)
+     * @returns {number} Watchpoint id
+     */
+    addWatchpoint(location, options = {}) {
+        const type = options.type || 'write';
+        if (!['read', 'write', 'change'].includes(type)) {
+            throw new Error(`Unknown watchpoint type: ${type}`);
+        }
+        const address = this.resolveLocation(location);
+        const id = this.nextDebugId++;
+        this.watchpoints.set(id, {
+            id,
+            address,
+            width: options.width || this.wordSize / 8,
+            type,
+            hits: 0
+        });
+        return id;
+    }
+
+    /**
+     * Remove a watchpoint
+     * @param {number} id - Watchpoint id
+     * @returns {boolean} Whether a watchpoint was removed
+     */
+    removeWatchpoint(id) {
+        return this.watchpoints.delete(id);
+    }
+
+    /**
+     * Remove all breakpoints and watchpoints
+     */
+    clearBreakpoints() {
+        this.breakpoints.clear();
+        this.watchpoints.clear();
+    }
+
+    /**
+     * Resolve a debugger location (address or label) to an address
+     */
+    resolveLocation(location) {
+        if (typeof location === 'number') {
+            return location;
+        }
+        if (!(location in this.labels)) {
+            throw new Error(`Unknown label: ${location}`);
+        }
+        return this.labels[location];
+    }
+
+    /**
+     * Find the closest instruction label at or before an address
+     * @param {number} address - Instruction address
+     * @returns {string|null} Label name
+     */
+    labelAt(address) {
+        let best = null;
+        let bestAddress = -1;
+        for (const [name, labelAddress] of Object.entries(this.labels)) {
+            if (labelAddress <= address && labelAddress > bestAddress && labelAddress < this.instructions.length) {
+                best = name;
+                bestAddress = labelAddress;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Compile a breakpoint condition. Strings may use registers R0-R8,
+     * integers, parentheses and the operators + - * / % == != < <= > >= && || !
+     * @param {string|Function} condition - Condition
+     * @returns {Function} (vm) => boolean
+     */
+    compileCondition(condition) {
+        if (typeof condition === 'function') {
+            return condition;
+        }
+        const source = String(condition);
+        if (!/^(\s|R[0-8]\b|0x[0-9a-fA-F]+|\d+|[()+\-*/%<>=!&|])*$/.test(source)) {
+            throw new Error(`Invalid breakpoint condition: ${source}`);
+        }
+        const names = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX'];
+        const body = source.replace(/R([0-8])\b/g, (match, n) => `r['${names[n]}']`);
+        let test;
+        try {
+            test = new Function('r', `return (${body});`);
+        } catch (error) {
+            throw new Error(`Invalid breakpoint condition: ${source}`);
+        }
+        return (vm) => Boolean(test(vm.registers));
+    }
+
+    /**
+     * Build a structured stop record
+     * @param {string} reason - 'breakpoint', 'watchpoint', 'step', 'halted', 'error' or 'step-limit'
+     * @param {Object} details - Reason-specific fields
+     * @returns {Object} Stop record
+     */
+    makeStop(reason, details = {}) {
+        const stop = {
+            reason,
+            pc: this.pc,
+            label: this.labelAt(this.pc),
+            callDepth: this.callStack.length,
+            ...details
+        };
+        this.lastStop = stop;
+        return stop;
+    }
+
+    /**
+     * Check whether an enabled breakpoint fires at the current pc
+     * @returns {Object|null} Breakpoint that fired
+     */
+    checkBreakpoints() {
+        for (const breakpoint of this.breakpoints.values()) {
+            if (!breakpoint.enabled || breakpoint.address !== this.pc) continue;
+            if (breakpoint.test && !breakpoint.test(this)) continue;
+            breakpoint.hits++;
+            return breakpoint;
+        }
+        return null;
+    }
+
+    /**
+     * Record memory accesses that hit a watchpoint (called from readMemory/writeMemory)
+     */
+    checkWatchpoints(address, width, access, oldValues) {
+        for (const watchpoint of this.watchpoints.values()) {
+            if (address >= watchpoint.address + watchpoint.width || address + width <= watchpoint.address) {
+                continue;
+            }
+            let hit = false;
+            let oldValue;
+            let newValue;
+            if (access === 'read') {
+                hit = watchpoint.type === 'read';
+            } else if (watchpoint.type !== 'read') {
+                oldValue = oldValues.get(watchpoint.id);
+                newValue = this.memory.read(watchpoint.address, watchpoint.width);
+                hit = watchpoint.type === 'write' || oldValue !== newValue;
+            }
+            if (hit && !this.watchHit) {
+                watchpoint.hits++;
+                this.watchHit = {
+                    id: watchpoint.id,
+                    type: watchpoint.type,
+                    access,
+                    address,
+                    width,
+                    pc: this.pc,
+                    oldValue,
+                    newValue
+                };
+            }
+        }
+    }
+
+    /**
+     * Execute one instruction under the debugger
+     * @returns {Object} Stop record ('step', 'watchpoint', 'halted' or 'error')
+     */
+    stepInto() {
+        if (this.halted || this.pc >= this.instructions.length) {
+            this.halted = true;
+            return this.makeStop('halted');
+        }
+        this.watchHit = null;
+        const result = this.step();
+        if (result.error) {
+            return this.makeStop('error', { message: result.error, address: result.pc, fault: result.fault });
+        }
+        if (this.watchHit) {
+            return this.makeStop('watchpoint', { watchpoint: this.watchHit });
+        }
+        if (this.halted) {
+            return this.makeStop('halted');
+        }
+        return this.makeStop('step', { address: result.pc });
+    }
+
+    /**
+     * Run until a breakpoint, watchpoint, halt, error or the step limit.
+     * A breakpoint at the current pc does not fire, so resume() after a stop makes progress.
+     * @param {number} maxSteps - Safety limit
+     * @param {Function} until - Optional extra stop test, (vm) => boolean, checked after each step
+     * @returns {Object} Stop record
+     */
+    resume(maxSteps = 100000, until = null) {
+        for (let steps = 0; steps < maxSteps; steps++) {
+            if (steps > 0) {
+                const breakpoint = this.checkBreakpoints();
+                if (breakpoint) {
+                    return this.makeStop('breakpoint', { breakpoint: breakpoint.id });
+                }
+            }
+            const stop = this.stepInto();
+            if (stop.reason !== 'step') {
+                return stop;
+            }
+            if (until && until(this)) {
+                return this.makeStop('step', { address: stop.address });
+            }
+        }
+        return this.makeStop('step-limit', { maxSteps });
+    }
+
+    /**
+     * Step over the current instruction: a CALL runs until it returns
+     * (breakpoints and watchpoints inside the callee still stop execution)
+     * @param {number} maxSteps - Safety limit
+     * @returns {Object} Stop record
+     */
+    stepOver(maxSteps = 100000) {
+        const instruction = this.instructions[this.pc];
+        if (!instruction || instruction.opcode !== 'CA') {
+            return this.stepInto();
+        }
+        const depth = this.callStack.length;
+        return this.resume(maxSteps, vm => vm.callStack.length <= depth);
+    }
+
+    /**
+     * Run until the current subroutine returns to its caller
+     * @param {number} maxSteps - Safety limit
+     * @returns {Object} Stop record
+     */
+    stepOut(maxSteps = 100000) {
+        const depth = this.callStack.length;
+        if (depth === 0) {
+            return this.resume(maxSteps);
+        }
+        return this.resume(maxSteps, vm => vm.callStack.length < depth);
+    }
+
+    /**
+     * Start profiling: counts executions per instruction and attributes
+     * cost to functions by pairing CALL/RET (targets are named by their label)
+     */
+    enableProfiling() {
+        this.profile = {
+            root: this.labelAt(this.pc) || '(top)',
+            totalSteps: 0,
+            instructionCounts: new Float64Array(this.instructions.length),
+            calls: new Map(),       // function name -> number of calls
+            folded: new Map(),      // "root;caller;callee" -> steps
+            stackKey: null,
+            stackDepth: -1
+        };
+    }
+
+    /**
+     * Stop profiling and discard collected data
+     */
+    disableProfiling() {
+        this.profile = null;
+    }
+
+    /**
+     * Name of the routine starting at an instruction address
+     * @param {number} address - CALL target
+     * @returns {string} Label name or sub_<address>
+     */
+    functionName(address) {
+        for (const [name, labelAddress] of Object.entries(this.labels)) {
+            if (labelAddress === address) {
+                return name;
+            }
+        }
+        return `sub_${address}`;
+    }
+
+    /**
+     * Record one instruction about to execute (called from step())
+     * @param {number} pc - Address of the instruction
+     */
+    recordProfileStep(pc) {
+        const profile = this.profile;
+        if (profile.stackDepth !== this.callStack.length) {
+            // Call depth changed since the last step: rebuild the folded stack key
+            if (this.callStack.length > profile.stackDepth && profile.stackDepth >= 0) {
+                const callee = this.functionName(this.callStack[this.callStack.length - 1].target);
+                profile.calls.set(callee, (profile.calls.get(callee) || 0) + 1);
+            }
+            profile.stackKey = [profile.root, ...this.callStack.map(frame => this.functionName(frame.target))].join(';');
+            profile.stackDepth = this.callStack.length;
+        }
+        profile.totalSteps++;
+        if (pc < profile.instructionCounts.length) {
+            profile.instructionCounts[pc]++;
+        }
+        profile.folded.set(profile.stackKey, (profile.folded.get(profile.stackKey) || 0) + 1);
+    }
+
+    /**
+     * Profiling results as plain JSON-serialisable data
+     * @returns {Object} { totalSteps, functions, labels, instructions }
+     */
+    getProfile() {
+        const profile = this.profile;
+        if (!profile) {
+            throw new Error('Profiling is not enabled');
+        }
+        const percent = (count) => profile.totalSteps ? (count / profile.totalSteps) * 100 : 0;
+
+        // Functions: exclusive = stacks ending in the function,
+        // inclusive = stacks containing it (counted once per stack for recursion)
+        const functions = new Map();
+        const entryFor = (name) => {
+            if (!functions.has(name)) {
+                functions.set(name, { name, calls: profile.calls.get(name) || 0, inclusive: 0, exclusive: 0 });
+            }
+            return functions.get(name);
+        };
+        for (const [key, count] of profile.folded) {
+            const frames = key.split(';');
+            entryFor(frames[frames.length - 1]).exclusive += count;
+            for (const name of new Set(frames)) {
+                entryFor(name).inclusive += count;
+            }
+        }
+
+        const labels = new Map();
+        const instructions = [];
+        profile.instructionCounts.forEach((count, address) => {
+            if (!count) return;
+            const label = this.labelAt(address) || '(none)';
+            labels.set(label, (labels.get(label) || 0) + count);
+            const instruction = this.instructions[address];
+            instructions.push({ address, label, instruction: instruction ? instruction.raw : null, count, percent: percent(count) });
+        });
+
+        return {
+            totalSteps: profile.totalSteps,
+            functions: [...functions.values()]
+                .map(f => ({ ...f, inclusivePercent: percent(f.inclusive), exclusivePercent: percent(f.exclusive) }))
+                .sort((a, b) => b.inclusive - a.inclusive),
+            labels: [...labels.entries()]
+                .map(([label, count]) => ({ label, count, percent: percent(count) }))
+                .sort((a, b) => b.count - a.count),
+            instructions: instructions.sort((a, b) => b.count - a.count)
+        };
+    }
+
+    /**
+     * Export the profile in folded-stack format ("main;sin_fast;mul 1234" per line),
+     * as consumed by flamegraph.pl, speedscope and similar tools
+     * @returns {string} Folded stacks
+     */
+    exportFoldedStacks() {
+        if (!this.profile) {
+            throw new Error('Profiling is not enabled');
+        }
+        return [...this.profile.folded.entries()]
+            .map(([key, count]) => `${key} ${count}`)
+            .join('\n');
+    }
+
+    /**
+     * Start recording reversible history so the debugger can step backwards.
+     * Only the most recent `limit` instructions are kept. Attached devices,
+     * the BIOS screen and keys and the UEFI firmware are restored with their
+     * saveState()/loadState(); canvas drawing and JS interrupt handlers
+     * registered by the host are not undone.
+     * @param {number} limit - Maximum number of instructions to remember
+     */
+    enableHistory(limit = 10000) {
+        this.historyLimit = limit;
+        this.history = new Array(limit);
+        this.historyHead = 0;   // Next slot to write
+        this.historyCount = 0;
+    }
+
+    /**
+     * Stop recording history and drop what has been recorded
+     */
+    disableHistory() {
+        this.historyLimit = 0;
+        this.history = null;
+        this.historyHead = 0;
+        this.historyCount = 0;
+    }
+
+    /**
+     * Capture the state an instruction may change, before it runs.
+     * The CALL and interrupt stacks change by at most one element per instruction,
+     * so only their length and top element are kept; memory writes (including
+     * the stack itself) are logged by writeMemory, device/BIOS/UEFI state by
+     * recordComponentState() and unmapped port writes by writeIOPort.
+     * @returns {Object} History entry
+     */
+    beginHistoryEntry() {
+        return {
+            pc: this.pc,
+            registers: { ...this.registers },
+            registers8bit: { ...this.registers8bit },
+            segmentRegisters: { ...this.segmentRegisters },
+            controlRegisters: { ...this.controlRegisters },
+            flags: { ...this.flags },
+            cpuFlags: { ...this.cpuFlags },
+            interruptsEnabled: this.interruptsEnabled,
+            inInterrupt: this.inInterrupt,
+            pendingIRQs: this.pendingIRQs,
+            waitingForInterrupt: this.waitingForInterrupt,
+            halted: this.halted,
+            pathStarted: this.pathStarted,
+            stackPointer: this.stackPointer,
+            callStackLength: this.callStack.length,
+            callStackTop: this.callStack[this.callStack.length - 1],
+            interruptStackLength: this.interruptStack.length,
+            interruptStackTop: this.interruptStack[this.interruptStack.length - 1],
+            outputLength: this.output.length,
+            outputTop: this.output[this.output.length - 1], // Console lines are appended to in place
+            consoleLine: this.consoleLine,
+            stdinPosition: this.stdinPosition,
+            pendingLine: [...this.pendingLine],
+            waitingForInput: this.waitingForInput,
+            exitCode: this.exitCode,
+            memory: [], // { address, bytes } in write order
+            components: [], // { component, state } saved before the instruction changed them
+            ports: [] // { port, value } previous values of unmapped ports
+        };
+    }
+
+    /**
+     * Save a component's state (an attached device, vm.bios or vm.uefi) in the
+     * current history entry before the instruction changes it, so undo can
+     * hand it back to loadState(). Only the first save per instruction counts.
+     * @param {Object} component - Object with saveState() and loadState()
+     */
+    recordComponentState(component) {
+        const entry = this.currentHistoryEntry;
+        if (!entry || !component || typeof component.saveState !== 'function' ||
+            entry.components.some(saved => saved.component === component)) {
+            return;
+        }
+        entry.components.push({ component, state: JSON.parse(JSON.stringify(component.saveState())) });
+    }
+
+    /**
+     * Log the bytes about to be overwritten in the current history entry.
+     * writeMemory() does this itself; firmware that writes VM memory directly
+     * calls it first.
+     * @param {number} address - First byte
+     * @param {number} length - Number of bytes
+     */
+    recordMemoryHistory(address, length) {
+        if (!this.currentHistoryEntry) {
+            return;
+        }
+        const bytes = [];
+        for (let i = 0; i < length; i++) {
+            bytes.push(this.memory.readByte(address + i));
+        }
+        this.currentHistoryEntry.memory.push({ address, bytes });
+    }
+
+    /**
+     * Add a finished entry to the history ring
+     */
+    commitHistoryEntry(entry) {
+        this.history[this.historyHead] = entry;
+        this.historyHead = (this.historyHead + 1) % this.historyLimit;
+        this.historyCount = Math.min(this.historyCount + 1, this.historyLimit);
+    }
+
+    /**
+     * Restore an array to the length/top recorded before an instruction
+     */
+    restoreStack(stack, length, top) {
+        if (length === 0) {
+            stack.length = 0;
+            return;
+        }
+        stack.length = length - 1;
+        stack.push(top);
+    }
+
+    /**
+     * Undo the most recent instruction
+     * @returns {Object|null} The undone history entry, or null if history is empty
+     */
+    undoLastInstruction() {
+        if (!this.historyCount) {
+            return null;
+        }
+        this.historyHead = (this.historyHead - 1 + this.historyLimit) % this.historyLimit;
+        this.historyCount--;
+        const entry = this.history[this.historyHead];
+        this.history[this.historyHead] = undefined;
+
+        // Undo memory writes newest first
+        for (let i = entry.memory.length - 1; i >= 0; i--) {
+            const { address, bytes } = entry.memory[i];
+            bytes.forEach((byte, offset) => this.memory.writeByte(address + offset, byte));
+        }
+        for (let i = entry.components.length - 1; i >= 0; i--) {
+            entry.components[i].component.loadState(entry.components[i].state);
+        }
+        for (let i = entry.ports.length - 1; i >= 0; i--) {
+            const { port, value } = entry.ports[i];
+            if (value === undefined) {
+                delete this.ioPorts[port];
+            } else {
+                this.ioPorts[port] = value;
+            }
+        }
+        this.pc = entry.pc;
+        this.registers = entry.registers;
+        this.registers8bit = entry.registers8bit;
+        this.segmentRegisters = entry.segmentRegisters;
+        this.controlRegisters = entry.controlRegisters;
+        this.flags = entry.flags;
+        this.cpuFlags = entry.cpuFlags;
+        this.interruptsEnabled = entry.interruptsEnabled;
+        this.inInterrupt = entry.inInterrupt;
+        this.pendingIRQs = entry.pendingIRQs;
+        this.waitingForInterrupt = entry.waitingForInterrupt;
+        this.halted = entry.halted;
+        this.pathStarted = entry.pathStarted;
+        this.stackPointer = entry.stackPointer;
+        this.restoreStack(this.callStack, entry.callStackLength, entry.callStackTop);
+        this.restoreStack(this.interruptStack, entry.interruptStackLength, entry.interruptStackTop);
+        this.restoreStack(this.output, entry.outputLength, entry.outputTop);
+        this.consoleLine = entry.consoleLine;
+        this.stdinPosition = entry.stdinPosition;
+        this.pendingLine = entry.pendingLine;
+        this.waitingForInput = entry.waitingForInput;
+        this.exitCode = entry.exitCode;
+        return entry;
+    }
+
+    /**
+     * Step one instruction backwards
+     * @returns {Object} Stop record ('step-back' or 'history-empty')
+     */
+    stepBack() {
+        const entry = this.undoLastInstruction();
+        if (!entry) {
+            return this.makeStop('history-empty');
+        }
+        return this.makeStop('step-back', { address: entry.pc });
+    }
+
+    /**
+     * Run backwards until a breakpoint, a write to a watched range, or the
+     * start of the recorded history
+     * @param {number} maxSteps - Safety limit
+     * @returns {Object} Stop record
+     */
+    reverseResume(maxSteps = 100000) {
+        for (let steps = 0; steps < maxSteps; steps++) {
+            const entry = this.undoLastInstruction();
+            if (!entry) {
+                return this.makeStop('history-empty');
+            }
+            const watchpoint = this.findReverseWatchHit(entry);
+            if (watchpoint) {
+                return this.makeStop('watchpoint', { watchpoint: { id: watchpoint.id, type: watchpoint.type, access: 'write', pc: entry.pc } });
+            }
+            const breakpoint = this.checkBreakpoints();
+            if (breakpoint) {
+                return this.makeStop('breakpoint', { breakpoint: breakpoint.id });
+            }
+        }
+        return this.makeStop('step-limit', { maxSteps });
+    }
+
+    /**
+     * Find a write/change watchpoint touched by an undone instruction
+     */
+    findReverseWatchHit(entry) {
+        for (const { address, bytes } of entry.memory) {
+            for (const watchpoint of this.watchpoints.values()) {
+                if (watchpoint.type !== 'read' &&
+                    address < watchpoint.address + watchpoint.width &&
+                    address + bytes.length > watchpoint.address) {
+                    return watchpoint;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Execute a single instruction
+     * @param {Object} instruction - Instruction to execute
+     */
+    executeInstruction(instruction) {
+        const { opcode, operands } = instruction;
+
+        switch (opcode) {
+            case 'I': // INC (CF unaffected, as on x86)
+                {
+                    const reg = operands[0].value;
+                    const raw = this.registers[reg] + 1;
+                    const result = this.wrap(raw);
+                    this.registers[reg] = result;
+                    this.setResultFlags(result);
+                    this.flags.OF = raw !== result;
+                }
+                break;
+
+            case 'D': // DEC (CF unaffected, as on x86)
+                {
+                    const reg = operands[0].value;
+                    const raw = this.registers[reg] - 1;
+                    const result = this.wrap(raw);
+                    this.registers[reg] = result;
+                    this.setResultFlags(result);
+                    this.flags.OF = raw !== result;
+                }
+                break;
+
+            case 'L': // LOAD
+                {
+                    const reg = operands[0].value;
+                    const src = operands[1];
+                    if (src.isMemory) {
+                        this.registers[reg] = this.readOperand(src, src.size || this.defaultLoadWidth(reg));
+                    } else if (src.type === 'immediate' || src.type === 'label') {
+                        // A bare label loads its address
+                        this.registers[reg] = this.wrap(src.value);
+                    } else if (src.type === 'register') {
+                        this.registers[reg] = this.registers[src.value];
+                    }
+                }
+                break;
+
+            case 'X': // STORE
+                {
+                    const src = operands[0];
+                    const dst = operands[1];
+                    let value;
+                    if (src.type === 'register') {
+                        value = this.registers[src.value];
                     } else {
-                        throw new Error('CMP: Invalid operand type for second operand');
+                        value = this.wrap(src.value);
+                    }
+                    if (dst.isMemory) {
+                        this.writeOperand(dst, value);
+                    } else if (dst.type === 'register') {
+                        this.registers[dst.value] = value;
                     }
-                    this.flags.equal = val1 === val2;
-                    this.flags.lessThan = val1 < val2;
-                    this.flags.greaterThan = val1 > val2;
                 }
                 break;
 
-            case 'V': // JMP
-                this.pc = operands[0].value - 1; // -1 because pc will be incremented
+            case 'A': // ADD
+            case 'ADC': // ADC - Add with Carry
+                {
+                    const reg = operands[0].value;
+                    const carryIn = opcode === 'ADC' && this.flags.CF ? 1 : 0;
+                    this.registers[reg] = this.addWithFlags(this.registers[reg], this.readOperand(operands[1]), carryIn);
+                }
                 break;
 
-            case 'JE': // JEQ
-                if (this.flags.equal) {
-                    this.pc = operands[0].value - 1;
+            case 'S': // SUB
+            case 'SBB': // SBB - Subtract with Borrow
+                {
+                    const reg = operands[0].value;
+                    const borrowIn = opcode === 'SBB' && this.flags.CF ? 1 : 0;
+                    this.registers[reg] = this.subWithFlags(this.registers[reg], this.readOperand(operands[1]), borrowIn);
                 }
                 break;
 
-            case 'JN': // JNE
-                if (!this.flags.equal) {
-                    this.pc = operands[0].value - 1;
+            case 'M': // MUL
+                {
+                    const reg = operands[0].value;
+                    const a = this.registers[reg];
+                    const b = this.readOperand(operands[1]);
+                    let raw = a * b;
+                    if (!Number.isSafeInteger(raw)) {
+                        raw = BigInt(a) * BigInt(b);
+                    }
+                    const result = this.wrap(raw);
+                    this.registers[reg] = result;
+                    // CF/OF signal that the full product did not fit in the register
+                    this.setResultFlags(result);
+                    this.flags.CF = this.flags.OF = typeof raw === 'bigint' ? BigInt(result) !== raw : raw !== result;
                 }
                 break;
 
-            case 'JL': // JLT
-                if (this.flags.lessThan) {
-                    this.pc = operands[0].value - 1;
+            case 'DI': // DIV
+                {
+                    const reg1 = operands[0].value;
+                    const divisor = this.readOperand(operands[1]);
+                    if (divisor === 0) {
+                        throw this.fault('DE', 'Division by zero');
+                    }
+                    // Quotient truncated toward zero, like x86 IDIV
+                    this.registers[reg1] = this.wrap(Math.trunc(this.registers[reg1] / divisor));
                 }
                 break;
 
-            case 'JG': // JGT
-                if (this.flags.greaterThan) {
-                    this.pc = operands[0].value - 1;
+            case 'MO': // MOD
+                {
+                    const reg1 = operands[0].value;
+                    const divisor = this.readOperand(operands[1]);
+                    if (divisor === 0) {
+                        throw this.fault('DE', 'Modulo by zero');
+                    }
+                    // Remainder takes the sign of the dividend, so a == DIV(a, b) * b + MOD(a, b)
+                    this.registers[reg1] = this.wrap(this.registers[reg1] % divisor);
+                }
+                break;
+
+            case 'SL': // SHL (Shift Left - multiply by 2^n)
+            case 'SR': // SHR (Logical Shift Right - unsigned divide by 2^n)
+                {
+                    const reg = operands[0].value;
+                    const count = this.maskShiftCount(this.readOperand(operands[1]));
+                    if (count === 0) {
+                        break; // x86 leaves flags untouched for a zero count
+                    }
+                    const bits = BigInt(this.wordSize);
+                    const value = this.toUnsignedBig(this.registers[reg]);
+                    const shift = BigInt(count);
+                    let result;
+                    if (opcode === 'SL') {
+                        this.flags.CF = shift <= bits && ((value >> (bits - shift)) & 1n) === 1n;
+                        result = this.fromBig(value << shift);
+                    } else {
+                        this.flags.CF = ((value >> (shift - 1n)) & 1n) === 1n;
+                        result = this.fromBig(value >> shift);
+                    }
+                    this.registers[reg] = result;
+                    this.setResultFlags(result);
+                    // OF is only defined for 1-bit shifts
+                    this.flags.OF = opcode === 'SL'
+                        ? (result < 0) !== this.flags.CF
+                        : value >> (bits - 1n) === 1n;
+                }
+                break;
+
+            case 'AN': // AND
+            case 'OR': // OR
+            case 'XO': // XOR
+            case 'TEST': // TEST (AND without storing the result)
+                {
+                    const reg = operands[0].value;
+                    const a = this.toUnsignedBig(this.registers[reg]);
+                    const b = this.toUnsignedBig(this.readOperand(operands[1]));
+                    let result;
+                    if (opcode === 'OR') {
+                        result = this.fromBig(a | b);
+                    } else if (opcode === 'XO') {
+                        result = this.fromBig(a ^ b);
+                    } else {
+                        result = this.fromBig(a & b);
+                    }
+                    if (opcode !== 'TEST') {
+                        this.registers[reg] = result;
+                    }
+                    this.setResultFlags(result);
+                    this.flags.CF = false;
+                    this.flags.OF = false;
+                }
+                break;
+
+            case 'NOT': // NOT (flags unaffected, as on x86)
+                {
+                    const reg = operands[0].value;
+                    this.registers[reg] = this.fromBig(~this.toUnsignedBig(this.registers[reg]));
+                }
+                break;
+
+            case 'NEG': // NEG - Two's complement negation (0 - value)
+                {
+                    const reg = operands[0].value;
+                    this.registers[reg] = this.subWithFlags(0, this.registers[reg], 0);
+                }
+                break;
+
+            case 'SETZ': // SETcc - Set low byte to 1/0 on condition
+            case 'SETNZ':
+            case 'SETL':
+            case 'SETG':
+            case 'SETLE':
+            case 'SETGE':
+            case 'SETC':
+            case 'SETNC':
+                {
+                    const dst = operands[0];
+                    const bit = this.checkCondition(opcode.slice(3)) ? 1 : 0;
+                    if (dst.type === 'register8bit') {
+                        this.registers8bit[dst.value] = bit;
+                    } else {
+                        // Only the low byte is written, like SETcc AL
+                        const value = this.toUnsignedBig(this.registers[dst.value]);
+                        this.registers[dst.value] = this.fromBig((value & ~0xFFn) | BigInt(bit));
+                    }
+                }
+                break;
+
+            case 'CMOVZ': // CMOVcc - Conditional move
+            case 'CMOVNZ':
+            case 'CMOVL':
+            case 'CMOVG':
+            case 'CMOVLE':
+            case 'CMOVGE':
+            case 'CMOVC':
+            case 'CMOVNC':
+                if (this.checkCondition(opcode.slice(4))) {
+                    this.registers[operands[0].value] = this.wrap(this.readOperand(operands[1]));
+                }
+                break;
+
+            case 'XCHG': // XCHG - Exchange
+                {
+                    const reg = operands[0].value;
+                    const other = operands[1];
+                    const value = this.registers[reg];
+                    if (other.type === 'immediate' && !other.isMemory) {
+                        // Generator loads the immediate into a scratch register first
+                        this.registers[reg] = this.wrap(other.value);
+                    } else {
+                        this.registers[reg] = this.readOperand(other);
+                        this.writeOperand(other, value);
+                    }
+                }
+                break;
+
+            case 'CMPXCHG': // CMPXCHG - Compare accumulator (R0) with dest
+                {
+                    const dest = operands[0];
+                    const destValue = this.readOperand(dest);
+                    const acc = this.registers['I'];
+                    this.subWithFlags(acc, destValue, 0);
+                    if (this.flags.ZF) {
+                        this.writeOperand(dest, this.readOperand(operands[1]));
+                    } else {
+                        this.registers['I'] = destValue;
+                    }
+                }
+                break;
+
+            case 'BT': // BT - Bit Test (CF = selected bit)
+            case 'BTS': // BTS - Bit Test and Set
+            case 'BTR': // BTR - Bit Test and Reset
+            case 'BTC': // BTC - Bit Test and Complement
+                {
+                    const reg = operands[0].value;
+                    const bitIndex = this.toUnsignedBig(this.readOperand(operands[1])) % BigInt(this.wordSize);
+                    const value = this.toUnsignedBig(this.registers[reg]);
+                    const mask = 1n << bitIndex;
+                    this.flags.CF = (value & mask) !== 0n;
+                    if (opcode === 'BTS') {
+                        this.registers[reg] = this.fromBig(value | mask);
+                    } else if (opcode === 'BTR') {
+                        this.registers[reg] = this.fromBig(value & ~mask);
+                    } else if (opcode === 'BTC') {
+                        this.registers[reg] = this.fromBig(value ^ mask);
+                    }
+                }
+                break;
+
+            case 'BSF': // BSF - Bit Scan Forward (lowest set bit)
+            case 'BSR': // BSR - Bit Scan Reverse (highest set bit)
+                {
+                    const source = this.toUnsignedBig(this.readOperand(operands[1]));
+                    // Destination is left unchanged when the source is zero (ZF=1)
+                    this.flags.ZF = source === 0n;
+                    if (source !== 0n) {
+                        const bits = source.toString(2);
+                        this.registers[operands[0].value] = opcode === 'BSF'
+                            ? bits.length - 1 - bits.lastIndexOf('1')
+                            : bits.length - 1;
+                    }
+                }
+                break;
+
+            case 'ROL': // ROL - Rotate Left
+            case 'ROR': // ROR - Rotate Right
+            case 'RCL': // RCL - Rotate Left through Carry
+            case 'RCR': // RCR - Rotate Right through Carry
+                {
+                    const reg = operands[0].value;
+                    const throughCarry = opcode === 'RCL' || opcode === 'RCR';
+                    const left = opcode === 'ROL' || opcode === 'RCL';
+                    const count = this.maskShiftCount(this.readOperand(operands[1]));
+                    const topBit = 1n << BigInt(this.wordSize - 1);
+                    let value = this.toUnsignedBig(this.registers[reg]);
+                    let carry = this.flags.CF;
+                    for (let i = 0; i < count; i++) {
+                        let out;
+                        if (left) {
+                            out = (value & topBit) !== 0n;
+                            value = ((value & (topBit - 1n)) << 1n) | ((throughCarry ? carry : out) ? 1n : 0n);
+                        } else {
+                            out = (value & 1n) !== 0n;
+                            value = (value >> 1n) | ((throughCarry ? carry : out) ? topBit : 0n);
+                        }
+                        carry = out;
+                    }
+                    if (count > 0) {
+                        // OF as x86 defines it for 1-bit rotates, computed the same way for any count:
+                        // left, top bit XOR CF; right, XOR of the two top bits
+                        const top = (value & topBit) !== 0n;
+                        this.flags.CF = carry;
+                        this.flags.OF = left ? top !== carry : top !== ((value & (topBit >> 1n)) !== 0n);
+                    }
+                    this.registers[reg] = this.fromBig(value);
+                }
+                break;
+
+            case 'CLD': // CLD - Clear Direction Flag
+                this.cpuFlags.DF = false;
+                break;
+
+            case 'STD': // STD - Set Direction Flag
+                this.cpuFlags.DF = true;
+                break;
+
+            case 'CLC': // CLC - Clear Carry Flag
+                this.flags.CF = false;
+                break;
+
+            case 'STC': // STC - Set Carry Flag
+                this.flags.CF = true;
+                break;
+
+            case 'CMC': // CMC - Complement Carry Flag
+                this.flags.CF = !this.flags.CF;
+                break;
+
+            case 'PUSHF': // PUSHF - Push flags as an EFLAGS-style word
+                this.pushStack(this.getFlagsWord(), 'PUSHF');
+                break;
+
+            case 'POPF': // POPF - Pop flags
+                this.setFlagsWord(this.popStack('POPF'));
+                break;
+
+            case 'MOVS': // MOVS - Move String
+            case 'STOS': // STOS - Store String
+            case 'LODS': // LODS - Load String
+            case 'CMPS': // CMPS - Compare String
+            case 'SCAS': // SCAS - Scan String
+                this.executeStringInstruction(instruction);
+                break;
+
+            case 'C': // CMP
+                {
+                    const reg1 = operands[0].value;
+                    const op2 = operands[1];
+                    if (op2.type !== 'immediate' && op2.type !== 'register') {
+                        throw new Error('CMP: Invalid operand type for second operand');
+                    }
+                    this.subWithFlags(this.registers[reg1], this.readOperand(op2), 0);
                 }
                 break;
 
-            case 'JLE': // JLE (Jump if Less or Equal)
-                if (this.flags.lessThan || this.flags.equal) {
-                    this.pc = operands[0].value - 1;
-                }
+            case 'V': // JMP
+                this.pc = operands[0].value - 1; // -1 because pc will be incremented
                 break;
 
-            case 'JGE': // JGE (Jump if Greater or Equal)
-                if (this.flags.greaterThan || this.flags.equal) {
+            case 'JE': // JEQ (ZF=1)
+            case 'JN': // JNE (ZF=0)
+            case 'JL': // JLT (SF!=OF)
+            case 'JG': // JGT (ZF=0 and SF=OF)
+            case 'JLE': // JLE (ZF=1 or SF!=OF)
+            case 'JGE': // JGE (SF=OF)
+                if (this.checkCondition(RomasmVM.jumpConditions[opcode])) {
                     this.pc = operands[0].value - 1;
                 }
                 break;
 
             case 'CA': // CALL
-                this.stack.push(this.pc);
-                this.pc = operands[0].value - 1;
+                {
+                    // CALL label, CALL reg (address in a register) or CALL [mem] (address stored in memory)
+                    const operand = operands[0];
+                    const target = operand.type === 'label' && !operand.isMemory
+                        ? operand.value
+                        : this.readOperand(operand, this.wordSize / 8);
+                    if (this.hostFunctions.has(target)) {
+                        // Firmware/host routine: runs in place and returns immediately
+                        this.recordComponentState(this.uefi);
+                        this.hostFunctions.get(target).call(this, this);
+                        break;
+                    }
+                    this.pushStack(this.pc, 'CALL');
+                    this.callStack.push({
+                        returnAddress: this.pc + 1,
+                        target,
+                        callSite: this.pc
+                    });
+                    this.pc = target - 1;
+                }
                 break;
 
             case 'R': // RET
-                if (this.stack.length > 0) {
-                    this.pc = this.stack.pop();
+                if (this.returnToHost && this.getStackPointer() >= this.stackBase && this.callStack.length === 0 && !this.inInterrupt) {
+                    this.halted = true; // Top-level RET with nothing on the stack returns to the host
                 } else {
-                    this.halted = true;
+                    // The return address must be on the stack; popStack() raises #SS if it is empty
+                    this.pc = this.popStack('RET');
+                    this.callStack.pop();
                 }
                 break;
 
             case 'P': // PUSH
                 {
                     const reg = operands[0].value;
-                    this.stack.push(this.registers[reg]);
+                    this.pushStack(this.registers[reg], 'PUSH');
                 }
                 break;
 
             case 'PO': // POP
                 {
                     const reg = operands[0].value;
-                    if (this.stack.length > 0) {
-                        this.registers[reg] = this.stack.pop();
-                    }
+                    this.registers[reg] = this.popStack('POP');
                 }
                 break;
 
@@ -409,7 +2099,8 @@ class RomasmVM {
                         this.pc = savedState.pc;
                         this.flags = savedState.flags;
                         this.cpuFlags = savedState.cpuFlags;
-                        this.inInterrupt = false;
+                        this.interruptsEnabled = this.cpuFlags.IF;
+                        this.inInterrupt = this.interruptStack.length > 0;
                     } else {
                         throw new Error('IRET called but not in interrupt');
                     }
@@ -427,7 +2118,12 @@ class RomasmVM {
                 break;
 
             case 'HLT': // HLT - Halt CPU
-                this.halted = true;
+                if (this.cpuFlags.IF) {
+                    // Interrupts enabled: sleep until the next IRQ, as on x86
+                    this.waitingForInterrupt = true;
+                } else {
+                    this.halted = true;
+                }
                 break;
 
             case 'NOP': // NOP - No Operation
@@ -482,139 +2178,917 @@ class RomasmVM {
                 }
                 break;
 
-            case 'MSEG': // MOV_SEG - Move to segment register
-                {
-                    const segReg = operands[0].value;
-                    const src = operands[1];
-                    let value;
-                    if (src.type === 'register') {
-                        value = this.registers[src.value];
-                    } else if (src.type === 'immediate') {
-                        value = src.value;
-                    } else {
-                        throw new Error('MOV_SEG: Invalid source operand');
-                    }
-                    if (segReg in this.segmentRegisters) {
-                        this.segmentRegisters[segReg] = value;
-                    } else {
-                        throw new Error(`MOV_SEG: Invalid segment register: ${segReg}`);
-                    }
-                }
+            case 'MSEG': // MOV_SEG - Move to segment register
+                {
+                    const segReg = operands[0].value;
+                    const src = operands[1];
+                    let value;
+                    if (src.type === 'register') {
+                        value = this.registers[src.value];
+                    } else if (src.type === 'immediate') {
+                        value = src.value;
+                    } else {
+                        throw new Error('MOV_SEG: Invalid source operand');
+                    }
+                    if (segReg in this.segmentRegisters) {
+                        this.segmentRegisters[segReg] = value;
+                    } else {
+                        throw new Error(`MOV_SEG: Invalid segment register: ${segReg}`);
+                    }
+                }
+                break;
+
+            case 'MCR0': // MOV_CR0 - Move to CR0
+            case 'MCR3': // MOV_CR3 - Move to CR3
+            case 'MCR4': // MOV_CR4 - Move to CR4
+                {
+                    // Control register operations - the value is recorded but
+                    // does not change how the VM executes
+                    const reg = operands[0].value;
+                    const value = this.registers[reg];
+                    const crName = opcode === 'MCR0' ? 'CR0' : (opcode === 'MCR3' ? 'CR3' : 'CR4');
+                    this.controlRegisters[crName] = value;
+                }
+                break;
+
+            case 'L8': // LOAD8 - Load 8-bit value
+                {
+                    const reg = operands[0].value;
+                    const src = operands[1];
+                    let value;
+                    if (src.isMemory) {
+                        value = this.readOperand(src, 1);
+                    } else if (src.type === 'immediate') {
+                        value = src.value;
+                    } else if (src.type === 'register8bit') {
+                        value = this.registers8bit[src.value];
+                    } else if (src.type === 'register') {
+                        value = this.registers[src.value] & 0xFF;
+                    } else {
+                        throw new Error('LOAD8: Invalid source operand');
+                    }
+                    if (reg in this.registers8bit) {
+                        this.registers8bit[reg] = value & 0xFF;
+                    } else {
+                        throw new Error('LOAD8: Invalid 8-bit register');
+                    }
+                }
+                break;
+
+            case 'X8': // STORE8 - Store 8-bit value
+                {
+                    const src = operands[0];
+                    const dst = operands[1];
+                    let value;
+                    if (src.type === 'register8bit') {
+                        value = this.registers8bit[src.value];
+                    } else if (src.type === 'register') {
+                        value = this.registers[src.value] & 0xFF;
+                    } else {
+                        value = src.value & 0xFF;
+                    }
+                    if (dst.isMemory) {
+                        this.writeOperand(dst, value, 1);
+                    } else if (dst.type === 'register8bit') {
+                        this.registers8bit[dst.value] = value;
+                    } else {
+                        throw new Error('STORE8: Invalid destination');
+                    }
+                }
+                break;
+
+            case 'M8': // MOV8 - Move 8-bit between registers
+                {
+                    const dst = operands[0].value;
+                    const src = operands[1].value;
+                    let value;
+                    if (src in this.registers8bit) {
+                        value = this.registers8bit[src];
+                    } else if (src in this.registers) {
+                        value = this.registers[src] & 0xFF;
+                    } else {
+                        throw new Error('MOV8: Invalid source register');
+                    }
+                    if (dst in this.registers8bit) {
+                        this.registers8bit[dst] = value;
+                    } else {
+                        throw new Error('MOV8: Invalid destination register');
+                    }
+                }
+                break;
+
+            default:
+                throw this.fault('UD', `Unknown opcode: ${opcode}`);
+        }
+    }
+
+    /**
+     * Wrap a value to the register width (two's complement, signed result)
+     * @param {number|bigint} value - Raw value
+     * @returns {number} Wrapped signed value
+     */
+    wrap(value) {
+        if (typeof value === 'bigint') {
+            return Number(BigInt.asIntN(this.wordSize, value));
+        }
+        switch (this.wordSize) {
+            case 16:
+                return (value << 16) >> 16;
+            case 32:
+                return value | 0;
+            default:
+                if (Number.isSafeInteger(value)) {
+                    return value;
+                }
+                if (!Number.isFinite(value)) {
+                    return 0;
+                }
+                return Number(BigInt.asIntN(64, BigInt(Math.trunc(value))));
+        }
+    }
+
+    /**
+     * Reinterpret a register value as an unsigned word
+     * @param {number} value - Register value
+     * @returns {bigint} Unsigned value
+     */
+    toUnsignedBig(value) {
+        return BigInt.asUintN(this.wordSize, BigInt(Math.trunc(value)));
+    }
+
+    /**
+     * Convert an unsigned word back to a signed register value
+     * @param {bigint} value - Unsigned value
+     * @returns {number} Signed value
+     */
+    fromBig(value) {
+        return Number(BigInt.asIntN(this.wordSize, value));
+    }
+
+    /**
+     * Mask a shift/rotate count like x86 (5 bits, or 6 bits in 64-bit mode)
+     */
+    maskShiftCount(count) {
+        return Number(BigInt(Math.trunc(count)) & (this.wordSize === 64 ? 63n : 31n));
+    }
+
+    /**
+     * Unsigned less-than on two signed register values
+     */
+    unsignedLess(a, b) {
+        return (a < 0) === (b < 0) ? a < b : a >= 0;
+    }
+
+    /**
+     * Update ZF and SF from a result
+     * @param {number} result - Wrapped result
+     */
+    setResultFlags(result) {
+        this.flags.ZF = result === 0;
+        this.flags.SF = result < 0;
+    }
+
+    /**
+     * a + b + carryIn with x86 flag updates
+     * @returns {number} Wrapped sum
+     */
+    addWithFlags(a, b, carryIn) {
+        b = this.wrap(b);
+        const raw = a + b + carryIn;
+        const result = this.wrap(raw);
+        this.setResultFlags(result);
+        // Unsigned carry out: both negative, or mixed signs with a non-negative sum
+        this.flags.CF = (a < 0 && b < 0) || ((a < 0) !== (b < 0) && raw >= 0);
+        this.flags.OF = raw !== result;
+        return result;
+    }
+
+    /**
+     * a - b - borrowIn with x86 flag updates (also used by CMP and NEG)
+     * @returns {number} Wrapped difference
+     */
+    subWithFlags(a, b, borrowIn) {
+        b = this.wrap(b);
+        const raw = a - b - borrowIn;
+        const result = this.wrap(raw);
+        this.setResultFlags(result);
+        this.flags.CF = borrowIn ? !this.unsignedLess(b, a) : this.unsignedLess(a, b);
+        this.flags.OF = raw !== result;
+        return result;
+    }
+
+    /**
+     * CMP of two string elements: flags from a - b at the element width
+     * (full-word elements go through subWithFlags())
+     * @param {number} a - First value (only the low width bytes are compared)
+     * @param {number} b - Second value
+     * @param {number} width - Element width in bytes
+     */
+    compareElements(a, b, width) {
+        if (width * 8 >= this.wordSize) {
+            this.subWithFlags(a, b, 0);
+            return;
+        }
+        const range = 2 ** (width * 8);
+        const unsigned = value => ((value % range) + range) % range;
+        const signed = value => (value >= range / 2 ? value - range : value);
+        const ua = unsigned(a);
+        const ub = unsigned(b);
+        const result = unsigned(ua - ub);
+        this.flags.ZF = result === 0;
+        this.flags.SF = result >= range / 2;
+        this.flags.CF = ua < ub;
+        this.flags.OF = signed(ua) - signed(ub) !== signed(result);
+    }
+
+    /**
+     * Compute the effective address of a memory operand:
+     * [R1], [100], [label], or base + index * scale + displacement
+     * @param {Object} operand - Memory operand
+     * @returns {number} Byte address
+     */
+    effectiveAddress(operand) {
+        switch (operand.type) {
+            case 'register':
+                return this.registers[operand.value];
+            case 'memory':
+                return (operand.base ? this.registers[operand.base] : 0) +
+                    (operand.index ? this.registers[operand.index] * operand.scale : 0) +
+                    operand.displacement;
+            default:
+                return operand.value;
+        }
+    }
+
+    /**
+     * Default access width for LOAD from an unsized memory operand. Mirrors the
+     * x86 generator: 16/32-bit code loads a zero-extended byte into R0-R3
+     * (AL/BL/CL/DL), everything else reads a full register.
+     * @param {string} reg - Destination register
+     * @returns {number} Width in bytes
+     */
+    defaultLoadWidth(reg) {
+        if (this.wordSize !== 64 && ['I', 'II', 'III', 'IV'].includes(reg)) {
+            return 1;
+        }
+        return this.wordSize / 8;
+    }
+
+    /**
+     * Read from memory, sign-wrapping full-width reads to the register size
+     * (narrower reads are zero-extended, like MOVZX)
+     */
+    readMemory(address, width = this.wordSize / 8) {
+        this.checkMemoryAccess(address, width);
+        const value = this.memory.read(address, width);
+        if (this.watchpoints.size > 0) {
+            this.checkWatchpoints(address, width, 'read');
+        }
+        return width * 8 >= this.wordSize ? this.wrap(value) : value;
+    }
+
+    /**
+     * Write to memory
+     */
+    writeMemory(address, value, width = this.wordSize / 8) {
+        this.checkMemoryAccess(address, width);
+        this.recordMemoryHistory(address, width);
+        if (this.watchpoints.size === 0) {
+            this.memory.write(address, width, value);
+            return;
+        }
+        // Capture watched values first so 'change' watchpoints can compare
+        const oldValues = new Map();
+        for (const watchpoint of this.watchpoints.values()) {
+            if (watchpoint.type !== 'read') {
+                oldValues.set(watchpoint.id, this.memory.read(watchpoint.address, watchpoint.width));
+            }
+        }
+        this.memory.write(address, width, value);
+        this.checkWatchpoints(address, width, 'write', oldValues);
+    }
+
+    /**
+     * Raise #GP for an access outside memory
+     * @param {number} address - Byte address
+     * @param {number} width - Access width in bytes
+     */
+    checkMemoryAccess(address, width) {
+        if (!Number.isInteger(address) || address < 0 || address + width > this.memory.size) {
+            throw this.fault('GP', `Memory access out of bounds: ${address} (width ${width}, size ${this.memory.size})`, {
+                memoryAddress: address
+            });
+        }
+    }
+
+    /**
+     * Current stack pointer (unsigned)
+     * @returns {number} Address of the top stack slot
+     */
+    getStackPointer() {
+        if (!this.stackRegister) {
+            return this.stackPointer;
+        }
+        const sp = this.registers[this.stackRegister];
+        return sp < 0 && this.wordSize < 64 ? sp + 2 ** this.wordSize : sp;
+    }
+
+    /**
+     * Set the stack pointer
+     * @param {number} address - New SP
+     */
+    setStackPointer(address) {
+        if (this.stackRegister) {
+            this.registers[this.stackRegister] = this.wrap(address);
+        } else {
+            this.stackPointer = address;
+        }
+    }
+
+    /**
+     * Push a word-sized value onto the stack in memory (#SS on overflow)
+     * @param {number} value - Value to push
+     * @param {string} what - Instruction name for the fault message
+     */
+    pushStack(value, what) {
+        const width = this.wordSize / 8;
+        const sp = this.getStackPointer() - width;
+        if (sp < this.stackLimit) {
+            throw this.fault('SS', `${what}: stack overflow (SP ${sp} below limit ${this.stackLimit})`);
+        }
+        this.writeMemory(sp, value, width);
+        this.setStackPointer(sp);
+    }
+
+    /**
+     * Pop a word-sized value from the stack in memory (#SS on underflow)
+     * @param {string} what - Instruction name for the fault message
+     * @returns {number} Popped value
+     */
+    popStack(what) {
+        const width = this.wordSize / 8;
+        const sp = this.getStackPointer();
+        if (sp + width > this.stackBase) {
+            throw this.fault('SS', `${what} with an empty stack`);
+        }
+        const value = this.readMemory(sp, width);
+        this.setStackPointer(sp + width);
+        return value;
+    }
+
+    /**
+     * Values on the stack, bottom first (the top of the stack is last)
+     * @returns {Array} Stack words
+     */
+    stackValues() {
+        const width = this.wordSize / 8;
+        const top = Math.max(this.getStackPointer(), this.stackLimit);
+        const values = [];
+        for (let address = this.stackBase - width; address >= top; address -= width) {
+            values.push(this.memory.read(address, width));
+        }
+        return values;
+    }
+
+    /**
+     * Read the value of an operand (register, 8-bit register, immediate, label or memory)
+     * @param {Object} operand - Parsed operand
+     * @param {number} width - Access width in bytes for memory operands
+     * @returns {number} Operand value
+     */
+    readOperand(operand, width = operand.size) {
+        if (operand.isMemory) {
+            return this.readMemory(this.effectiveAddress(operand), width);
+        }
+        switch (operand.type) {
+            case 'register':
+                return this.registers[operand.value];
+            case 'register8bit':
+                return this.registers8bit[operand.value];
+            case 'segment':
+                return this.segmentRegisters[operand.value];
+            default:
+                return operand.value;
+        }
+    }
+
+    /**
+     * Write a value to a register or memory operand
+     * @param {Object} operand - Parsed operand
+     * @param {number} value - Value to write
+     * @param {number} width - Access width in bytes for memory operands
+     */
+    writeOperand(operand, value, width = operand.size) {
+        if (operand.isMemory) {
+            this.writeMemory(this.effectiveAddress(operand), value, width);
+        } else if (operand.type === 'register') {
+            this.registers[operand.value] = value;
+        } else if (operand.type === 'register8bit') {
+            this.registers8bit[operand.value] = value & 0xFF;
+        } else {
+            throw new Error(`Cannot write to ${operand.type} operand`);
+        }
+    }
+
+    /**
+     * Evaluate an x86 condition code (Z, NZ, L, G, LE, GE, C, NC, ...)
+     * @param {string} condition - Condition suffix
+     * @returns {boolean} Whether the condition holds
+     */
+    checkCondition(condition) {
+        const { ZF, SF, CF, OF } = this.flags;
+        switch (condition) {
+            case 'Z': return ZF;
+            case 'NZ': return !ZF;
+            case 'L': return SF !== OF;
+            case 'G': return !ZF && SF === OF;
+            case 'LE': return ZF || SF !== OF;
+            case 'GE': return SF === OF;
+            case 'C': return CF;
+            case 'NC': return !CF;
+            case 'A': return !CF && !ZF;
+            case 'BE': return CF || ZF;
+            case 'O': return OF;
+            case 'NO': return !OF;
+            case 'S': return SF;
+            case 'NS': return !SF;
+            default:
+                throw new Error(`Unknown condition: ${condition}`);
+        }
+    }
+
+    /**
+     * Pack flags into an x86 EFLAGS-style word
+     * (CF=bit 0, ZF=6, SF=7, IF=9, DF=10, OF=11)
+     * @returns {number} Flags word
+     */
+    getFlagsWord() {
+        let word = 0x2; // Bit 1 is always set on x86
+        if (this.flags.CF) word |= 0x1;
+        if (this.flags.ZF) word |= 0x40;
+        if (this.flags.SF) word |= 0x80;
+        if (this.cpuFlags.IF) word |= 0x200;
+        if (this.cpuFlags.DF) word |= 0x400;
+        if (this.flags.OF) word |= 0x800;
+        return word;
+    }
+
+    /**
+     * Restore flags from an EFLAGS-style word
+     * @param {number} word - Flags word
+     */
+    setFlagsWord(word) {
+        this.flags.CF = (word & 0x1) !== 0;
+        this.flags.ZF = (word & 0x40) !== 0;
+        this.flags.SF = (word & 0x80) !== 0;
+        this.flags.OF = (word & 0x800) !== 0;
+        this.cpuFlags.IF = (word & 0x200) !== 0;
+        this.interruptsEnabled = this.cpuFlags.IF;
+        this.cpuFlags.DF = (word & 0x400) !== 0;
+    }
+
+    /**
+     * Execute a string instruction, honouring REP/REPE/REPNE and DF.
+     *
+     * Register convention (same operand order the x86 generator uses):
+     *   MOVS dst, src    [dst] = [src]; both pointers advance
+     *   STOS dst, value  [dst] = value; dst advances
+     *   LODS reg, src    reg = [src]; src advances
+     *   CMPS a, b        flags from [a] - [b]; both pointers advance
+     *   SCAS addr, value flags from value - [addr]; addr advances
+     * Pointers step by one element, backwards when DF is set. An element is
+     * instruction.width bytes (MOVSB/W/D/Q and friends), or a full word
+     * (wordSize / 8 bytes) for the unsized forms. Narrower loads zero-extend and
+     * CMPS/SCAS set flags from an element-width subtraction.
+     * With a REP prefix the count is taken from R2 (CX/ECX/RCX) and decremented.
+     * @param {Object} instruction - String instruction
+     */
+    executeStringInstruction(instruction) {
+        const { opcode, operands, repPrefix } = instruction;
+        const first = operands[0].value;
+        const second = operands[1];
+        const elementSize = instruction.width || this.wordSize / 8;
+        if (elementSize * 8 > this.wordSize) {
+            throw this.fault('UD', `${opcode} with ${elementSize}-byte elements needs a ${elementSize * 8}-bit word size`);
+        }
+        const delta = this.cpuFlags.DF ? -elementSize : elementSize;
+        const advance = (reg) => {
+            this.registers[reg] = this.wrap(this.registers[reg] + delta);
+        };
+
+        const iterate = () => {
+            switch (opcode) {
+                case 'MOVS':
+                    this.writeMemory(this.registers[first], this.readMemory(this.registers[second.value], elementSize), elementSize);
+                    advance(first);
+                    advance(second.value);
+                    break;
+                case 'STOS':
+                    this.writeMemory(this.registers[first], this.readOperand(second), elementSize);
+                    advance(first);
+                    break;
+                case 'LODS':
+                    this.registers[first] = this.readMemory(this.registers[second.value], elementSize);
+                    advance(second.value);
+                    break;
+                case 'CMPS':
+                    this.compareElements(
+                        this.readMemory(this.registers[first], elementSize),
+                        this.readMemory(this.registers[second.value], elementSize),
+                        elementSize
+                    );
+                    advance(first);
+                    advance(second.value);
+                    break;
+                case 'SCAS':
+                    this.compareElements(this.readOperand(second), this.readMemory(this.registers[first], elementSize), elementSize);
+                    advance(first);
+                    break;
+            }
+        };
+
+        if (!repPrefix) {
+            iterate();
+            return;
+        }
+
+        // Only CMPS/SCAS test ZF; on the others every prefix behaves as plain REP
+        const testsZF = opcode === 'CMPS' || opcode === 'SCAS';
+        const countReg = 'III';
+        while (this.registers[countReg] !== 0) {
+            iterate();
+            this.registers[countReg] = this.wrap(this.registers[countReg] - 1);
+            if (testsZF) {
+                if (repPrefix === 'REPNE' ? this.flags.ZF : !this.flags.ZF) {
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Handle software interrupt.
+     * A Romasm handler installed in the interrupt vector table runs first;
+     * otherwise a JS handler from registerInterrupt() is called in place.
+     * @param {number} interruptNum - Interrupt number
+     */
+    handleInterrupt(interruptNum) {
+        if (this.enterInterrupt(interruptNum, this.pc)) {
+            this.pc--; // step() advances pc after the instruction
+            return;
+        }
+
+        // The BIOS services (INT 10h/16h and the syscall console) keep the screen and keys outside memory
+        this.recordComponentState(this.bios);
+        if (this.interruptVector[interruptNum]) {
+            const handler = this.interruptVector[interruptNum];
+            const wasInInterrupt = this.inInterrupt;
+            this.inInterrupt = true;
+            try {
+                handler.call(this);
+            } finally {
+                this.inInterrupt = wasInInterrupt;
+            }
+        } else if (interruptNum === RomasmVM.SYSCALL_VECTOR) {
+            this.syscall();
+        } else {
+            // Default interrupt handling
+            // For BIOS interrupts, we'll handle them in the x86 generator
+            // For now, just log
+            this.output.push(`[INT ${interruptNum.toString(16)}]`);
+        }
+    }
+
+    /**
+     * Built-in handler for INT 0x80 (RomasmVM.SYSCALL_VECTOR), used when the
+     * program has not installed its own. The function number is in R0,
+     * arguments in R1-R3 and the result in R0 (-1 for an unknown function):
+     *   EXIT (0x00)  R1 = exit code; halts with vm.exitCode set
+     *   PUTC (0x01)  R1 = character
+     *   PUTS (0x02)  R1 = address, R2 = length (0 = up to a NUL byte); R0 = bytes written
+     *   GETC (0x03)  R0 = character, or -1 at end of input
+     *   GETS (0x04)  R1 = buffer, R2 = buffer size; reads a line without its newline,
+     *                NUL-terminated; R0 = length, or -1 at end of input
+     *   TIME (0x05)  R0 = hours, R1 = minutes, R2 = seconds, R3 = milliseconds (local time)
+     * With no input available yet, GETC and GETS set waitingForInput and run
+     * again on the next step, so run() stops with waiting: true until the
+     * host calls provideInput() or closeInput().
+     * The x86 generator lowers the same calls to BIOS or UEFI services.
+     */
+    syscall() {
+        const unsigned = value => (value < 0 && this.wordSize < 64 ? value + 2 ** this.wordSize : value);
+        const calls = RomasmVM.SYSCALLS;
+        this.waitingForInput = false;
+
+        switch (this.registers['I']) {
+            case calls.EXIT:
+                this.exitCode = this.registers['II'];
+                this.halted = true;
+                break;
+
+            case calls.PUTC:
+                this.writeConsole(this.registers['II'] & 0xFF);
+                this.registers['I'] = 0;
                 break;
 
-            case 'MCR0': // MOV_CR0 - Move to CR0
-            case 'MCR3': // MOV_CR3 - Move to CR3
-            case 'MCR4': // MOV_CR4 - Move to CR4
+            case calls.PUTS:
                 {
-                    // Control register operations - for now, just store in memory
-                    // In a real implementation, this would affect CPU state
-                    const reg = operands[0].value;
-                    const value = this.registers[reg];
-                    const crName = opcode === 'MCR0' ? 'CR0' : (opcode === 'MCR3' ? 'CR3' : 'CR4');
-                    this.memory[crName] = value;
+                    const address = unsigned(this.registers['II']);
+                    const length = unsigned(this.registers['III']);
+                    let count = 0;
+                    while (length ? count < length : true) {
+                        const byte = this.readMemory(address + count, 1);
+                        if (!length && byte === 0) {
+                            break;
+                        }
+                        this.writeConsole(byte);
+                        count++;
+                    }
+                    this.registers['I'] = this.wrap(count);
                 }
                 break;
 
-            case 'L8': // LOAD8 - Load 8-bit value
+            case calls.GETC:
                 {
-                    const reg = operands[0].value;
-                    const src = operands[1];
-                    let value;
-                    if (src.isMemory) {
-                        value = this.memory[src.value] || 0;
-                    } else if (src.type === 'immediate') {
-                        value = src.value;
-                    } else if (src.type === 'register8bit') {
-                        value = this.registers8bit[src.value];
-                    } else if (src.type === 'register') {
-                        value = this.registers[src.value] & 0xFF;
-                    } else {
-                        throw new Error('LOAD8: Invalid source operand');
-                    }
-                    if (reg in this.registers8bit) {
-                        this.registers8bit[reg] = value & 0xFF;
-                    } else {
-                        throw new Error('LOAD8: Invalid 8-bit register');
+                    const code = this.readConsole();
+                    if (code === null) {
+                        this.blockForInput();
+                        return;
                     }
+                    this.registers['I'] = this.wrap(code);
                 }
                 break;
 
-            case 'X8': // STORE8 - Store 8-bit value
+            case calls.GETS:
                 {
-                    const src = operands[0];
-                    const dst = operands[1];
-                    let value;
-                    if (src.type === 'register8bit') {
-                        value = this.registers8bit[src.value];
-                    } else if (src.type === 'register') {
-                        value = this.registers[src.value] & 0xFF;
-                    } else {
-                        value = src.value & 0xFF;
+                    const buffer = unsigned(this.registers['II']);
+                    const size = unsigned(this.registers['III']);
+                    const echo = this.console && this.console.echo;
+                    let code;
+                    while ((code = this.readConsole()) !== null) {
+                        if (code === -1 || code === 0x0A) {
+                            break;
+                        }
+                        if (code === 0x08) {
+                            if (this.pendingLine.length) {
+                                this.pendingLine.pop();
+                                if (echo) {
+                                    [0x08, 0x20, 0x08].forEach(c => this.writeConsole(c));
+                                }
+                            }
+                        } else if (this.pendingLine.length < size - 1) {
+                            this.pendingLine.push(code & 0xFF);
+                            if (echo) {
+                                this.writeConsole(code & 0xFF);
+                            }
+                        }
                     }
-                    if (dst.isMemory) {
-                        this.memory[dst.value] = value;
-                    } else if (dst.type === 'register8bit') {
-                        this.registers8bit[dst.value] = value;
-                    } else {
-                        throw new Error('STORE8: Invalid destination');
+                    if (code === null) {
+                        this.blockForInput();
+                        return;
+                    }
+                    if (code === -1 && !this.pendingLine.length) {
+                        this.registers['I'] = this.wrap(-1);
+                        break;
+                    }
+                    const line = this.pendingLine;
+                    this.pendingLine = [];
+                    if (size > 0) {
+                        line.forEach((byte, i) => this.writeMemory(buffer + i, byte, 1));
+                        this.writeMemory(buffer + line.length, 0, 1);
+                    }
+                    if (echo) {
+                        this.writeConsole(0x0A);
                     }
+                    this.registers['I'] = this.wrap(line.length);
                 }
                 break;
 
-            case 'M8': // MOV8 - Move 8-bit between registers
+            case calls.TIME:
                 {
-                    const dst = operands[0].value;
-                    const src = operands[1].value;
-                    let value;
-                    if (src in this.registers8bit) {
-                        value = this.registers8bit[src];
-                    } else if (src in this.registers) {
-                        value = this.registers[src] & 0xFF;
-                    } else {
-                        throw new Error('MOV8: Invalid source register');
-                    }
-                    if (dst in this.registers8bit) {
-                        this.registers8bit[dst] = value;
-                    } else {
-                        throw new Error('MOV8: Invalid destination register');
-                    }
+                    const now = new Date(this.clock());
+                    this.registers['I'] = now.getHours();
+                    this.registers['II'] = now.getMinutes();
+                    this.registers['III'] = now.getSeconds();
+                    this.registers['IV'] = now.getMilliseconds();
                 }
                 break;
 
             default:
-                throw new Error(`Unknown opcode: ${opcode}`);
+                this.registers['I'] = this.wrap(-1);
         }
     }
 
     /**
-     * Handle software interrupt
-     * @param {number} interruptNum - Interrupt number
+     * Make the current syscall wait for input: it runs again on the next step
      */
-    handleInterrupt(interruptNum) {
-        if (!this.interruptsEnabled && interruptNum !== 0x10 && interruptNum !== 0x16) {
-            // Some interrupts can't be disabled (like BIOS interrupts)
-            // For now, allow BIOS interrupts even if IF is clear
+    blockForInput() {
+        this.waitingForInput = true;
+        this.pc--; // step() advances pc after the instruction
+    }
+
+    /**
+     * Write one character to the syscall console. The built-in console appends
+     * text to output, one entry per line.
+     * @param {number} code - Character code
+     */
+    writeConsole(code) {
+        if (this.console) {
+            this.console.write(code, this);
+            return;
+        }
+        if (code === 0x0A) {
+            if (this.consoleLine === -1) {
+                this.output.push(''); // Empty line
+            }
+            this.consoleLine = -1;
+            return;
+        }
+        if (code === 0x0D) {
+            return;
+        }
+        const char = String.fromCharCode(code);
+        if (this.consoleLine === this.output.length - 1 && typeof this.output[this.consoleLine] === 'string') {
+            this.output[this.consoleLine] += char;
+        } else {
+            this.output.push(char);
+            this.consoleLine = this.output.length - 1;
+        }
+    }
+
+    /**
+     * Read one character from the syscall console
+     * @returns {number|null} Character code, -1 at end of input, or null if none is available yet
+     */
+    readConsole() {
+        if (this.console) {
+            return this.console.read(this);
         }
+        if (this.stdinPosition < this.stdin.length) {
+            return this.stdin[this.stdinPosition++];
+        }
+        return this.stdinClosed ? -1 : null;
+    }
+
+    /**
+     * Queue text for the GETC/GETS syscalls (built-in console)
+     * @param {string|Array<number>} data - Text or character codes
+     */
+    provideInput(data) {
+        const codes = typeof data === 'string' ? [...data].map(c => c.charCodeAt(0) & 0xFF) : data;
+        this.stdin.push(...codes);
+    }
+
+    /**
+     * Mark the end of input: once the queue is empty, GETC and GETS return -1
+     */
+    closeInput() {
+        this.stdinClosed = true;
+    }
 
-        // Save current state
+    /**
+     * Transfer control to the Romasm handler for a vector, x86 style:
+     * save pc and flags on the interrupt stack and clear IF and TF.
+     * @param {number} vector - Interrupt vector
+     * @param {number} returnPc - pc saved for IRET (IRET resumes at returnPc + 1)
+     * @returns {boolean} Whether a handler was installed
+     */
+    enterInterrupt(vector, returnPc) {
+        const handler = this.getInterruptVector(vector);
+        if (!handler) {
+            return false;
+        }
         this.interruptStack.push({
-            pc: this.pc,
+            pc: returnPc,
             flags: { ...this.flags },
-            cpuFlags: { ...this.cpuFlags }
+            cpuFlags: { ...this.cpuFlags },
+            vector
         });
-
         this.inInterrupt = true;
+        this.cpuFlags.IF = false;
+        this.cpuFlags.TF = false;
+        this.interruptsEnabled = false;
+        this.pc = handler;
+        return true;
+    }
 
-        // Call interrupt handler if registered
-        if (this.interruptVector[interruptNum]) {
-            const handler = this.interruptVector[interruptNum];
-            handler.call(this);
+    /**
+     * Read a handler address from the interrupt vector table
+     * @param {number} vector - Interrupt vector (0-255)
+     * @returns {number} Instruction address, or 0 if no handler is installed
+     */
+    getInterruptVector(vector) {
+        return this.memory.read(this.ivtBase + vector * 4, 4);
+    }
+
+    /**
+     * Install a Romasm handler in the interrupt vector table.
+     * Programs can do the same by storing a label address:
+     *   LOAD R0, timer_handler
+     *   STORE R0, DWORD [ivtBase + vector * 4]
+     * @param {number} vector - Interrupt vector (0-255)
+     * @param {number|string} location - Handler address or label (0 removes it)
+     */
+    setInterruptVector(vector, location) {
+        this.memory.write(this.ivtBase + vector * 4, 4, location ? this.resolveLocation(location) : 0);
+    }
+
+    /**
+     * Raise a hardware interrupt line. It stays pending until IF is set,
+     * then its handler runs between instructions. IRQ n uses vector
+     * RomasmVM.IRQ_VECTOR_BASE + n (0x20-0x2F), clear of the CPU exceptions.
+     * @param {number} irq - IRQ line (0 = timer, 1 = keyboard, 4 = COM1)
+     */
+    raiseIRQ(irq) {
+        if (!(irq >= 0 && irq < 16)) {
+            throw new Error(`Invalid IRQ: ${irq}`);
+        }
+        this.pendingIRQs |= 1 << irq;
+    }
+
+    /**
+     * Advance time by one instruction while halted (HLT with IF set)
+     * @returns {boolean} Whether an interrupt handler woke the CPU
+     */
+    wakeFromHalt() {
+        if (this.pendingIRQs && this.cpuFlags.IF) {
+            this.deliverIRQ();
         } else {
-            // Default interrupt handling
-            // For BIOS interrupts, we'll handle them in the x86 generator
-            // For now, just log
-            this.output.push(`[INT ${interruptNum.toString(16)}]`);
+            for (const device of this.tickingDevices) {
+                this.recordComponentState(device);
+                device.tick(this);
+            }
+        }
+        return !this.waitingForInterrupt;
+    }
+
+    /**
+     * Deliver the highest-priority (lowest-numbered) pending IRQ.
+     * IRQs without an installed handler are dropped.
+     */
+    deliverIRQ() {
+        const irq = 31 - Math.clz32(this.pendingIRQs & -this.pendingIRQs);
+        this.pendingIRQs &= ~(1 << irq);
+        const vector = RomasmVM.IRQ_VECTOR_BASE + irq;
+        // Nothing executed at pc yet, so IRET must resume at pc itself
+        if (this.enterInterrupt(vector, this.pc - 1)) {
+            this.waitingForInterrupt = false;
+        }
+    }
+
+    /**
+     * Create a CPU exception for the instruction at pc
+     * @param {string} mnemonic - 'DE', 'UD', 'SS' or 'GP'
+     * @param {string} message - What went wrong
+     * @param {Object} details - Extra fields (memoryAddress for #GP)
+     * @returns {RomasmFault} Fault to throw
+     */
+    fault(mnemonic, message, details = {}) {
+        return new RomasmFault(mnemonic, message, {
+            ...details,
+            address: this.pc,
+            backtrace: this.backtrace()
+        });
+    }
+
+    /**
+     * Hand a fault to its Romasm handler in the interrupt vector table.
+     * The faulting instruction address is pushed as the error code (the
+     * handler POPs it) and IRET resumes after the faulting instruction.
+     * A fault raised while its own handler is active is not re-entered.
+     * @param {RomasmFault} fault - Fault thrown by executeInstruction()
+     * @returns {boolean} Whether a handler took it
+     */
+    deliverFault(fault) {
+        this.lastFault = fault;
+        if (this.interruptStack.some(saved => saved.vector === fault.vector) || !this.getInterruptVector(fault.vector)) {
+            return false;
+        }
+        try {
+            this.pushStack(fault.address, 'fault');
+        } catch (error) {
+            return false; // No room for the error code (e.g. the fault was a stack overflow)
+        }
+        this.enterInterrupt(fault.vector, fault.address);
+        return true;
+    }
+
+    /**
+     * Active CALL frames, innermost first. Each frame names the routine
+     * (by the label of its CALL target) and the address executing in it:
+     * the current pc for the innermost frame, the CALL site for the others.
+     * @param {number} address - Address executing in the innermost frame (default pc)
+     * @returns {Array} [{ address, function }]
+     */
+    backtrace(address = this.pc) {
+        const frames = [];
+        let current = address;
+        for (let i = this.callStack.length - 1; i >= 0; i--) {
+            frames.push({ address: current, function: this.functionName(this.callStack[i].target) });
+            current = this.callStack[i].callSite;
         }
+        frames.push({ address: current, function: this.labelAt(current) || '(top)' });
+        return frames;
     }
 
     /**
@@ -627,23 +3101,107 @@ class RomasmVM {
     }
 
     /**
-     * Read from I/O port (emulated)
+     * Register a JS function at an address so that CALL to that address
+     * (usually through a function pointer in memory, e.g. a UEFI protocol
+     * table) runs it instead of Romasm code. Arguments and results are
+     * passed in registers; the handler is called with the VM.
+     * Use addresses outside the program, such as RomasmVM.HOST_FUNCTION_BASE + n.
+     * @param {number} address - Call target address
+     * @param {Function} handler - Handler function (vm) => void
+     */
+    registerHostFunction(address, handler) {
+        this.hostFunctions.set(address, handler);
+    }
+
+    /**
+     * Attach a device to a range of I/O ports.
+     * The device receives reads and writes as offsets from basePort:
+     * device.read(offset, vm) and device.write(offset, value, vm).
+     * If it has a tick(vm) method it is called after every instruction;
+     * an unset onInterrupt property is wired to raiseIRQ().
+     * See romasm-vm-devices.js for the standard PC devices.
+     * @param {Object} device - Device with read/write hooks
+     * @param {number} basePort - First port
+     * @param {number} portCount - Number of consecutive ports (default 1)
+     * @returns {Object} The device
+     */
+    attachDevice(device, basePort, portCount = 1) {
+        if (typeof device.read !== 'function' || typeof device.write !== 'function') {
+            throw new Error('attachDevice: device needs read() and write() methods');
+        }
+        const start = basePort;
+        const end = basePort + portCount - 1;
+        for (const mapping of this.ioDevices) {
+            if (start <= mapping.end && end >= mapping.start) {
+                throw new Error(`attachDevice: ports 0x${start.toString(16)}-0x${end.toString(16)} overlap ${mapping.device.name || 'device'} at 0x${mapping.start.toString(16)}`);
+            }
+        }
+        this.ioDevices.push({ start, end, device });
+        if ('onInterrupt' in device && !device.onInterrupt) {
+            // Devices raise their IRQ lines on this VM unless the host wired them elsewhere
+            device.onInterrupt = (irq) => this.raiseIRQ(irq);
+        }
+        if (typeof device.tick === 'function' && !this.tickingDevices.includes(device)) {
+            this.tickingDevices.push(device);
+        }
+        return device;
+    }
+
+    /**
+     * Detach a device from every port range it is attached to
+     * @param {Object} device - Device passed to attachDevice()
+     */
+    detachDevice(device) {
+        this.ioDevices = this.ioDevices.filter(mapping => mapping.device !== device);
+        this.tickingDevices = this.tickingDevices.filter(d => d !== device);
+    }
+
+    /**
+     * Find the device mapping that handles a port
+     * @param {number} port - Port number
+     * @returns {Object|null} { start, end, device } or null if unmapped
+     */
+    deviceAt(port) {
+        for (const mapping of this.ioDevices) {
+            if (port >= mapping.start && port <= mapping.end) {
+                return mapping;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read from I/O port
      * @param {number} port - Port number
      * @returns {number} Value read from port
      */
     readIOPort(port) {
-        // Default: return 0 or last written value
+        const mapping = this.deviceAt(port);
+        if (mapping) {
+            // Reads can change device state too (e.g. draining a receive queue)
+            this.recordComponentState(mapping.device);
+            return mapping.device.read(port - mapping.start, this) & 0xFF;
+        }
+        // Unmapped port: return the last value written, or 0
         return this.ioPorts[port] || 0;
     }
 
     /**
-     * Write to I/O port (emulated)
+     * Write to I/O port
      * @param {number} port - Port number
      * @param {number} value - Value to write
      */
     writeIOPort(port, value) {
+        const mapping = this.deviceAt(port);
+        if (mapping) {
+            this.recordComponentState(mapping.device);
+            mapping.device.write(port - mapping.start, value & 0xFF, this);
+            return;
+        }
+        if (this.currentHistoryEntry) {
+            this.currentHistoryEntry.ports.push({ port, value: this.ioPorts[port] });
+        }
         this.ioPorts[port] = value & 0xFF;
-        // In a real implementation, this would trigger hardware
     }
 
     /**
@@ -655,8 +3213,10 @@ class RomasmVM {
             registers: { ...this.registers },
             registers8bit: { ...this.registers8bit },
             segmentRegisters: { ...this.segmentRegisters },
-            memory: { ...this.memory },
-            stack: [...this.stack],
+            memory: this.memory.toObject(),
+            controlRegisters: { ...this.controlRegisters },
+            stack: this.stackValues(),
+            stackPointer: this.getStackPointer(),
             pc: this.pc,
             flags: { ...this.flags },
             cpuFlags: { ...this.cpuFlags },
@@ -666,15 +3226,240 @@ class RomasmVM {
             inInterrupt: this.inInterrupt
         };
     }
+
+    /**
+     * Capture the complete machine state as JSON-serialisable data:
+     * program image, memory, registers, flags, stacks, I/O ports and canvas path state.
+     * JS interrupt handlers (registerInterrupt) cannot be serialised; only
+     * their vector numbers are recorded and the host re-registers them.
+     * @returns {Object} Snapshot (pass to restore(), or JSON.stringify it)
+     */
+    snapshot() {
+        const pages = [];
+        for (const [index, page] of this.memory.pages) {
+            if (page.some(byte => byte !== 0)) {
+                pages.push([index, RomasmVM.encodeBytes(page)]);
+            }
+        }
+        const copy = (value) => JSON.parse(JSON.stringify(value));
+
+        return {
+            version: RomasmVM.SNAPSHOT_VERSION,
+            wordSize: this.wordSize,
+            memorySize: this.memorySize,
+            program: {
+                instructions: copy(this.instructions),
+                labels: { ...this.labels },
+                dataBase: this.dataBase
+            },
+            pc: this.pc,
+            halted: this.halted,
+            registers: { ...this.registers },
+            registers8bit: { ...this.registers8bit },
+            segmentRegisters: { ...this.segmentRegisters },
+            controlRegisters: { ...this.controlRegisters },
+            flags: { ...this.flags },
+            cpuFlags: { ...this.cpuFlags },
+            interruptsEnabled: this.interruptsEnabled,
+            inInterrupt: this.inInterrupt,
+            stackBase: this.stackBase,
+            stackLimit: this.stackLimit,
+            stackRegister: this.stackRegister,
+            stackPointer: this.stackPointer,
+            callStack: copy(this.callStack),
+            interruptStack: copy(this.interruptStack),
+            ivtBase: this.ivtBase,
+            pendingIRQs: this.pendingIRQs,
+            waitingForInterrupt: this.waitingForInterrupt,
+            ioPorts: { ...this.ioPorts },
+            devices: this.ioDevices
+                .filter(mapping => mapping.device.saveState)
+                .map(mapping => ({
+                    name: mapping.device.name,
+                    port: mapping.start,
+                    state: copy(mapping.device.saveState())
+                })),
+            bios: this.bios ? this.bios.saveState() : null,
+            uefi: this.uefi ? this.uefi.saveState() : null,
+            output: copy(this.output),
+            console: {
+                stdin: this.stdin.slice(this.stdinPosition),
+                stdinClosed: this.stdinClosed,
+                waitingForInput: this.waitingForInput,
+                pendingLine: [...this.pendingLine],
+                consoleLine: this.consoleLine,
+                exitCode: this.exitCode
+            },
+            pathStarted: this.pathStarted,
+            memory: {
+                pageSize: RomasmMemory.PAGE_SIZE,
+                pages
+            },
+            interruptVectors: Object.keys(this.interruptVector).map(Number)
+        };
+    }
+
+    /**
+     * Restore a machine state captured by snapshot()
+     * Breakpoints, watchpoints, attached devices and registered JS interrupt handlers are kept;
+     * reverse-execution history starts afresh.
+     * @param {Object|string} snapshot - Snapshot object or its JSON text
+     */
+    restore(snapshot) {
+        const state = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+        if (!state || state.version !== RomasmVM.SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version: ${state && state.version}`);
+        }
+        if (state.memory.pageSize !== RomasmMemory.PAGE_SIZE) {
+            throw new Error(`Snapshot page size ${state.memory.pageSize} does not match ${RomasmMemory.PAGE_SIZE}`);
+        }
+
+        this.setWordSize(state.wordSize);
+        this.memorySize = state.memorySize;
+        if (state.stackBase !== undefined) {
+            this.setStack({ base: state.stackBase, limit: state.stackLimit, register: state.stackRegister });
+        }
+        this.reset();
+
+        this.labels = { ...state.program.labels };
+        this.loadProgram(state.program.instructions);
+        this.dataBase = state.program.dataBase;
+        for (const [index, encoded] of state.memory.pages) {
+            this.memory.pages.set(index, RomasmVM.decodeBytes(encoded, RomasmMemory.PAGE_SIZE));
+        }
+
+        this.pc = state.pc;
+        this.halted = state.halted;
+        this.registers = { ...state.registers };
+        this.registers8bit = { ...state.registers8bit };
+        this.segmentRegisters = { ...state.segmentRegisters };
+        this.controlRegisters = { ...state.controlRegisters };
+        this.flags = { ...state.flags };
+        this.cpuFlags = { ...state.cpuFlags };
+        this.interruptsEnabled = state.interruptsEnabled;
+        this.inInterrupt = state.inInterrupt;
+        if (state.stackPointer !== undefined) {
+            this.stackPointer = state.stackPointer;
+        } else {
+            // Older snapshots kept the stack as an array outside memory
+            state.stack.forEach(value => this.pushStack(value, 'PUSH'));
+        }
+        this.callStack = state.callStack.map(frame => ({ ...frame }));
+        this.interruptStack = state.interruptStack.map(saved => JSON.parse(JSON.stringify(saved)));
+        if (state.ivtBase !== undefined) {
+            this.ivtBase = state.ivtBase;
+            this.pendingIRQs = state.pendingIRQs;
+            this.waitingForInterrupt = state.waitingForInterrupt;
+        }
+        this.ioPorts = { ...state.ioPorts };
+        // Device state is matched to the devices attached now by name and base port
+        for (const saved of state.devices || []) {
+            const mapping = this.deviceAt(saved.port);
+            if (mapping && mapping.start === saved.port && mapping.device.name === saved.name) {
+                mapping.device.loadState(JSON.parse(JSON.stringify(saved.state)));
+            }
+        }
+        if (this.bios && state.bios) {
+            this.bios.loadState(state.bios);
+        }
+        if (this.uefi && state.uefi) {
+            this.uefi.loadState(state.uefi);
+        }
+        this.output = [...state.output];
+        if (state.console) {
+            this.stdin = [...state.console.stdin];
+            this.stdinPosition = 0;
+            this.stdinClosed = state.console.stdinClosed;
+            this.waitingForInput = state.console.waitingForInput;
+            this.pendingLine = [...state.console.pendingLine];
+            this.consoleLine = state.console.consoleLine;
+            this.exitCode = state.console.exitCode;
+        }
+        this.pathStarted = state.pathStarted;
+    }
+
+    /**
+     * Base64-encode bytes (browser and Node)
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64 text
+     */
+    static encodeBytes(bytes) {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+        }
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 text into a fixed-size byte array
+     * @param {string} text - Base64 text
+     * @param {number} length - Expected length
+     * @returns {Uint8Array} Bytes
+     */
+    static decodeBytes(text, length) {
+        const bytes = new Uint8Array(length);
+        if (typeof Buffer !== 'undefined') {
+            bytes.set(Buffer.from(text, 'base64').subarray(0, length));
+        } else {
+            const binary = atob(text);
+            for (let i = 0; i < binary.length && i < length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * Current time in milliseconds for run() statistics (high resolution where available)
+     * @returns {number} Milliseconds
+     */
+    static now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
 }
 
+// Bumped whenever the snapshot() format changes incompatibly (new fields are optional)
+RomasmVM.SNAPSHOT_VERSION = 1;
+RomasmVM.IVT_SIZE = 256 * 4; // Interrupt vector table: 256 four-byte handler addresses
+RomasmVM.IRQ_VECTOR_BASE = 0x20; // IRQ 0-15 use vectors 0x20-0x2F, after the 32 reserved for CPU exceptions
+RomasmVM.HOST_FUNCTION_BASE = 0x7FF00000; // Suggested base for registerHostFunction() addresses
+RomasmVM.DEFAULT_STACK_SIZE = 64 * 1024;
+RomasmVM.SYSCALL_VECTOR = 0x80; // INT 0x80: built-in syscalls (see syscall())
+RomasmVM.SYSCALLS = { EXIT: 0x00, PUTC: 0x01, PUTS: 0x02, GETC: 0x03, GETS: 0x04, TIME: 0x05 };
+RomasmVM.ASYNC_CHECK_STEPS = 1000; // runAsync() checks the clock, signal and pauseRun() this often
+RomasmVM.compiledPrograms = new WeakMap(); // instructions array -> closures (see compileProgram())
+
+// CPU exceptions and their interrupt vectors (x86 numbering)
+RomasmVM.EXCEPTIONS = {
+    'DE': { vector: 0x00, name: 'Divide Error' },
+    'UD': { vector: 0x06, name: 'Invalid Opcode' },
+    'SS': { vector: 0x0C, name: 'Stack Fault' },
+    'GP': { vector: 0x0D, name: 'General Protection' }
+};
+
+// Condition codes tested by the conditional jump opcodes
+RomasmVM.jumpConditions = {
+    'JE': 'Z',
+    'JN': 'NZ',
+    'JL': 'L',
+    'JG': 'G',
+    'JLE': 'LE',
+    'JGE': 'GE'
+};
+
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { RomasmVM };
+    module.exports = { RomasmVM, RomasmMemory, RomasmFault };
 }
 
 // Make available globally for browser
 if (typeof window !== 'undefined') {
     window.RomasmVM = RomasmVM;
+    window.RomasmMemory = RomasmMemory;
+    window.RomasmFault = RomasmFault;
 }
 
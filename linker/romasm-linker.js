@@ -71,14 +71,7 @@ class RomasmLinker {
      * @param {boolean} forceReload - If true, force reload all stdlib files (bypass cache)
      */
     async loadStdlibFunctions(forceReload = false) {
-        const stdlibFiles = [
-            'trig.romasm',
-            'math.romasm',
-            'sine-taylor.romasm',
-            'calculus.romasm',
-            'binary.romasm',
-            'advanced-math.romasm'
-        ];
+        const stdlibFiles = RomasmLinker.STDLIB_FILES;
         
         const allInstructions = [];
         let offset = 0;
@@ -204,3 +197,13 @@ class RomasmLinker {
     }
 }
 
+// Standard library files linked in front of user code, in link order
+RomasmLinker.STDLIB_FILES = [
+    'trig.romasm',
+    'math.romasm',
+    'sine-taylor.romasm',
+    'calculus.romasm',
+    'binary.romasm',
+    'advanced-math.romasm'
+];
+
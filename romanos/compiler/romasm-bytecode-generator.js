@@ -3,6 +3,14 @@
  * 
  * Converts assembled Romasm VM instructions into compact binary bytecode
  * that can be executed by the native Romasm VM bootloader.
+ *
+ * Layout (all counts and addresses 2 bytes, little-endian):
+ *   "RMSM", version 1.1
+ *   instruction count, encoded instructions
+ *   data size, data bytes (.data and .rodata as laid out after the code,
+ *     alignment gaps filled with zeros)
+ *   label count, [name_len(1), name, addr(2)] entries
+ *   section count, [type(1), addr(2), size(2)] entries, type from sectionTypes
  */
 
 class RomasmBytecodeGenerator {
@@ -59,6 +67,14 @@ class RomasmBytecodeGenerator {
             'VII': 0x06,    // R6
             'VIII': 0x07,   // R7
         };
+
+        // Section record types in the section table
+        this.sectionTypes = {
+            '.text': 0x00,
+            '.data': 0x01,
+            '.rodata': 0x02,
+            '.bss': 0x03
+        };
     }
 
     /**
@@ -68,11 +84,12 @@ class RomasmBytecodeGenerator {
      */
     generate(assembledProgram) {
         const { instructions, labels, data } = assembledProgram;
+        const sections = assembledProgram.sections || [];
         const bytecode = [];
 
         // Header: Magic number + version
         bytecode.push(0x52, 0x4D, 0x53, 0x4D); // "RMSM" magic
-        bytecode.push(0x01, 0x00); // Version 1.0
+        bytecode.push(0x01, 0x01); // Version 1.1
 
         // Code section: instruction count (2 bytes)
         const instructionCount = instructions.length;
@@ -85,15 +102,18 @@ class RomasmBytecodeGenerator {
             bytecode.push(...encoded);
         }
 
-        // Data section: data count (2 bytes)
-        const dataCount = data.length;
-        bytecode.push(dataCount & 0xFF);
-        bytecode.push((dataCount >> 8) & 0xFF);
-
-        // Data bytes
+        // Data section: bytes from the end of the code to the last initialised byte,
+        // so data addresses are the same as in the VM
+        const dataBytes = [];
         for (const dataItem of data) {
-            bytecode.push(dataItem.value & 0xFF);
+            while (dataBytes.length < dataItem.address) {
+                dataBytes.push(0);
+            }
+            dataBytes[dataItem.address] = dataItem.value & 0xFF;
         }
+        bytecode.push(dataBytes.length & 0xFF);
+        bytecode.push((dataBytes.length >> 8) & 0xFF);
+        bytecode.push(...dataBytes);
 
         // Label table (for debugging): label count (2 bytes)
         const labelCount = Object.keys(labels).length;
@@ -109,6 +129,22 @@ class RomasmBytecodeGenerator {
             bytecode.push((addr >> 8) & 0xFF);
         }
 
+        // Section table: section count (2 bytes), then [type(1), addr(2), size(2)]
+        // (.bss is not in the data bytes: the loader clears it)
+        bytecode.push(sections.length & 0xFF);
+        bytecode.push((sections.length >> 8) & 0xFF);
+        for (const section of sections) {
+            const type = this.sectionTypes[section.name];
+            if (type === undefined) {
+                throw new Error(`Unknown section: ${section.name}`);
+            }
+            bytecode.push(type);
+            bytecode.push(section.address & 0xFF);
+            bytecode.push((section.address >> 8) & 0xFF);
+            bytecode.push(section.size & 0xFF);
+            bytecode.push((section.size >> 8) & 0xFF);
+        }
+
         return Buffer.from(bytecode);
     }
 
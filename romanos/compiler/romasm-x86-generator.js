@@ -125,9 +125,10 @@ class RomasmX86Generator {
      * @param {Array} instructions - Romasm VM instructions
      * @param {Array} data - Data bytes from DB directives
      * @param {Object} labels - Label address map (including data labels)
+     * @param {Array} sections - Section records from RomasmAssembler.assemble()
      * @returns {string} Complete UEFI x86-64 assembly
      */
-    generateUEFI(instructions, data = [], labels = {}) {
+    generateUEFI(instructions, data = [], labels = {}, sections = []) {
         // Use 64-bit register mapping for UEFI
         // IMPORTANT: Always use fixed 64-bit mapping for UEFI
         // Smart allocator uses 16-bit registers which break 64-bit mode
@@ -151,6 +152,13 @@ class RomasmX86Generator {
         asm += `global efi_main\n`;
         asm += `efi_main:\n`;
         
+        // The syscall runtime needs ImageHandle (RCX) and SystemTable (RDX) from the entry call
+        const usesSyscalls = this.usesSyscalls(instructions);
+        if (usesSyscalls) {
+            asm += `    MOV [rel romasm_image_handle], RCX\n`;
+            asm += `    MOV [rel romasm_system_table], RDX\n`;
+        }
+        
         // Track which labels we've already output
         const outputLabels = new Set(['efi_main']);
         
@@ -168,72 +176,96 @@ class RomasmX86Generator {
             asm += this.generateInstruction(instr, regMap, bits, labels);
         }
         
-        // Data section
-        if (data && data.length > 0) {
+        if (usesSyscalls) {
+            asm += this.generateSyscallRuntime(bits);
+        }
+        
+        // Data sections
+        asm += this.generateDataSections(data, labels, sections, instructions.length, outputLabels);
+        
+        if (usesSyscalls) {
             asm += `\nsection .data\n`;
-            
-            // Create a map of data array indices to labels
-            const dataLabelMap = {};
-            for (const [labelName, address] of Object.entries(labels)) {
-                if (address >= instructions.length) {
-                    const dataIndex = address - instructions.length;
-                    if (dataIndex >= 0 && dataIndex < data.length) {
-                        // Find the data item at this index by matching address field
-                        let found = false;
-                        for (let i = 0; i < data.length; i++) {
-                            if (data[i].address === dataIndex) {
-                                dataLabelMap[i] = labelName;
-                                found = true;
-                                break;
-                            }
-                        }
-                        if (!found) {
-                            dataLabelMap[dataIndex] = labelName;
-                        }
-                    }
-                }
+            asm += `romasm_image_handle: dq 0\n`;
+            asm += `romasm_system_table: dq 0\n`;
+        }
+        
+        return asm;
+    }
+
+    /**
+     * Generate the data sections from the assembler's section records: .data
+     * and .rodata (as .rdata) as db bytes and .bss as resb reservations, each
+     * with its labels. Sections keep the alignment they have in the VM, so
+     * ALIGN padding lands on the same boundaries. Data and labels that no
+     * record covers (linked modules, results without records) go to .data.
+     * @param {Array} data - Data bytes ({ address, value }, address relative to dataBase)
+     * @param {Object} labels - Label address map
+     * @param {Array} sections - Section records from RomasmAssembler.assemble()
+     * @param {number} dataBase - Address of the first data byte (instruction count)
+     * @param {Set} outputLabels - Labels already emitted (updated)
+     * @returns {string} x86 assembly
+     */
+    generateDataSections(data, labels, sections, dataBase, outputLabels) {
+        const directives = { '.data': 'section .data', '.rodata': 'section .rdata', '.bss': 'section .bss' };
+        const records = sections.filter(section => section.name in directives).map(section => ({ ...section }));
+        const rodata = records.find(section => section.name === '.rodata');
+
+        // Bytes by address; anything outside .rodata belongs to .data
+        const bytes = new Map();
+        let dataStart = Infinity;
+        let dataEnd = -Infinity;
+        for (const { address, value } of data) {
+            const absolute = dataBase + address;
+            bytes.set(absolute, value);
+            if (!rodata || absolute < rodata.address || absolute >= rodata.address + rodata.size) {
+                dataStart = Math.min(dataStart, absolute);
+                dataEnd = Math.max(dataEnd, absolute + 1);
             }
-            
-            // Output data with labels
-            let currentLabel = null;
-            let dataBytes = [];
-            
-            for (let i = 0; i < data.length; i++) {
-                const dataItem = data[i];
-                const label = dataLabelMap[i];
-                
-                // If we encounter a new label, output previous data first
-                if (label && label !== currentLabel) {
-                    if (currentLabel !== null && dataBytes.length > 0) {
-                        asm += `    db ${dataBytes.join(', ')}\n`;
-                        dataBytes = [];
-                    }
-                    if (label && !outputLabels.has(label)) {
-                        asm += `${label}:\n`;
-                        outputLabels.add(label);
-                    }
-                    currentLabel = label;
-                } else if (!label && currentLabel !== null) {
-                    if (dataBytes.length > 0) {
-                        asm += `    db ${dataBytes.join(', ')}\n`;
-                        dataBytes = [];
+        }
+
+        let dataSection = records.find(section => section.name === '.data');
+        if (!dataSection && dataEnd > dataStart) {
+            dataSection = { name: '.data', address: dataStart, size: 0, align: 1, labels: [] };
+            records.unshift(dataSection);
+        }
+        if (dataSection) {
+            const start = Math.min(dataSection.address, dataStart);
+            const end = Math.max(dataSection.address + dataSection.size, dataEnd);
+            const placed = new Set(sections.flatMap(section => section.labels || []));
+            const unplaced = Object.keys(labels).filter(name => !placed.has(name) &&
+                labels[name] >= Math.max(start, dataBase) && labels[name] <= end);
+            Object.assign(dataSection, { address: start, size: end - start, labels: [...(dataSection.labels || []), ...unplaced] });
+        }
+
+        let asm = '';
+        for (const section of records) {
+            asm += `\n${directives[section.name]}${section.align > 1 ? ` align=${section.align}` : ''}\n`;
+            const end = section.address + section.size;
+            let address = section.address;
+            const emit = (until) => {
+                if (until <= address) {
+                    return;
+                }
+                if (section.name === '.bss') {
+                    asm += `    resb ${until - address}\n`;
+                } else {
+                    const values = [];
+                    for (let a = address; a < until; a++) {
+                        values.push(bytes.has(a) ? bytes.get(a) : 0);
                     }
-                    currentLabel = null;
-                }
-                
-                dataBytes.push(dataItem.value);
-            }
-            
-            // Output remaining data
-            if (dataBytes.length > 0) {
-                if (currentLabel !== null && !outputLabels.has(currentLabel)) {
-                    asm += `${currentLabel}:\n`;
-                    outputLabels.add(currentLabel);
+                    asm += `    db ${values.join(', ')}\n`;
                 }
-                asm += `    db ${dataBytes.join(', ')}\n`;
+                address = until;
+            };
+
+            const sectionLabels = (section.labels || []).filter(name => name in labels && !outputLabels.has(name));
+            for (const name of sectionLabels.sort((a, b) => labels[a] - labels[b])) {
+                emit(Math.min(labels[name], end));
+                asm += `${name}:\n`;
+                outputLabels.add(name);
             }
+            emit(end);
         }
-        
         return asm;
     }
 
@@ -271,6 +303,13 @@ class RomasmX86Generator {
         // Entry point
         asm += `start:\n`;
         
+        // Stack below the boot sector: SS:SP = 0000:7C00 (RomasmBIOS.boot() uses the same layout)
+        asm += `    CLI\n`;
+        asm += `    XOR AX, AX\n`;
+        asm += `    MOV SS, AX\n`;
+        asm += `    MOV SP, 0x7C00\n`;
+        asm += `    STI\n`;
+        
         // Track which labels we've already output
         const outputLabels = new Set(['start']);
         
@@ -294,6 +333,10 @@ class RomasmX86Generator {
             asm += this.generateInstruction(instr, regMap, bits, labels);
         }
         
+        if (this.usesSyscalls(instructions)) {
+            asm += this.generateSyscallRuntime(bits);
+        }
+        
         // Data section (if any)
         if (data && data.length > 0) {
             asm += `\n; Data section\n`;
@@ -386,6 +429,307 @@ class RomasmX86Generator {
         return asm;
     }
 
+    /**
+     * Whether a program makes Romasm syscalls (INT 0x80, see RomasmVM.syscall())
+     * @param {Array} instructions - Romasm VM instructions
+     * @returns {boolean}
+     */
+    usesSyscalls(instructions) {
+        return instructions.some(instr => instr.opcode === 'INT' && instr.operands.length > 0 &&
+            instr.operands[0].type === 'immediate' && instr.operands[0].value === RomasmX86Generator.SYSCALL_VECTOR);
+    }
+
+    /**
+     * Generate the romasm_syscall routine that INT 0x80 is lowered to, with the
+     * same ABI as the VM: function in R0, arguments in R1-R3, result in R0.
+     * 16-bit code uses BIOS services (INT 0x10 teletype, INT 0x16 keyboard,
+     * INT 0x1A RTC) and halts on EXIT; 64-bit code uses the UEFI system table
+     * saved by generateUEFI() (ConOut, ConIn, GetTime, and Exit with the code).
+     * @param {number} bits - 16 (boot sector) or 64 (UEFI)
+     * @returns {string} x86 assembly
+     */
+    generateSyscallRuntime(bits) {
+        const r = bits === 64
+            ? { a: 'RAX', b: 'RBX', c: 'RCX', d: 'RDX', si: 'RSI', di: 'RDI' }
+            : { a: 'AX', b: 'BX', c: 'CX', d: 'DX', si: 'SI', di: 'DI' };
+        const p = bits === 64 ? 'romasm_efi_' : 'romasm_bios_';
+        const calls = RomasmX86Generator.SYSCALLS;
+        let asm = `
+; Romasm syscalls (INT 0x${RomasmX86Generator.SYSCALL_VECTOR.toString(16)}): R0 = function, R1-R3 = arguments, result in R0
+romasm_syscall:
+    TEST ${r.a}, ${r.a}
+    JZ ${p}exit
+    CMP ${r.a}, ${calls.PUTC}
+    JE .putc
+    CMP ${r.a}, ${calls.PUTS}
+    JE .puts
+    CMP ${r.a}, ${calls.GETC}
+    JE ${p}getc
+    CMP ${r.a}, ${calls.GETS}
+    JE .gets
+    CMP ${r.a}, ${calls.TIME}
+    JE ${p}time
+    MOV ${r.a}, -1
+    RET
+.putc:
+    MOV AL, BL
+    CALL ${p}putc
+    XOR ${r.a}, ${r.a}
+    RET
+.puts:                          ; R1 = address, R2 = length (0 = NUL-terminated)
+    PUSH ${r.si}
+    PUSH ${r.di}
+    PUSH ${r.c}
+    MOV ${r.si}, ${r.b}
+    XOR ${r.di}, ${r.di}
+    TEST ${r.c}, ${r.c}
+    JNZ .puts_counted
+.puts_string:
+    MOV AL, [${r.si}]
+    TEST AL, AL
+    JZ .puts_done
+    CALL ${p}putc
+    INC ${r.si}
+    INC ${r.di}
+    JMP .puts_string
+.puts_counted:
+    MOV AL, [${r.si}]
+    CALL ${p}putc
+    INC ${r.si}
+    INC ${r.di}
+    DEC ${r.c}
+    JNZ .puts_counted
+.puts_done:
+    MOV ${r.a}, ${r.di}
+    POP ${r.c}
+    POP ${r.di}
+    POP ${r.si}
+    RET
+.gets:                          ; R1 = buffer, R2 = size; echoes, handles backspace
+    PUSH ${r.c}
+    PUSH ${r.d}
+    PUSH ${r.di}
+    MOV ${r.di}, ${r.b}
+    TEST ${r.c}, ${r.c}
+    JZ .gets_empty
+    DEC ${r.c}                  ; Room for the NUL
+.gets_key:
+    CALL ${p}getc
+    CMP AL, 0x0A
+    JE .gets_done
+    CMP AL, 0x08
+    JE .gets_backspace
+    MOV ${r.d}, ${r.di}
+    SUB ${r.d}, ${r.b}
+    CMP ${r.d}, ${r.c}
+    JAE .gets_key               ; Buffer full: ignore the key
+    MOV [${r.di}], AL
+    INC ${r.di}
+    CALL ${p}putc
+    JMP .gets_key
+.gets_backspace:
+    CMP ${r.di}, ${r.b}
+    JE .gets_key
+    DEC ${r.di}
+    CALL ${p}putc
+    MOV AL, 0x20
+    CALL ${p}putc
+    MOV AL, 0x08
+    CALL ${p}putc
+    JMP .gets_key
+.gets_done:
+    MOV BYTE [${r.di}], 0
+    CALL ${p}putc               ; Echo the newline
+    MOV ${r.a}, ${r.di}
+    SUB ${r.a}, ${r.b}
+    JMP .gets_return
+.gets_empty:
+    XOR ${r.a}, ${r.a}
+.gets_return:
+    POP ${r.di}
+    POP ${r.d}
+    POP ${r.c}
+    RET
+`;
+        if (bits === 64) {
+            asm += `
+; UEFI console helpers (MS x64 calls through the saved system table)
+romasm_efi_putc:                ; AL = character ('\n' is written as CR LF); preserves all registers
+    PUSH RAX
+    PUSH RCX
+    PUSH RDX
+    PUSH R8
+    PUSH R9
+    PUSH R10
+    PUSH R11
+    PUSH RBP
+    MOV RBP, RSP
+    AND RSP, -16
+    SUB RSP, 48                 ; Shadow space + CHAR16 string
+    MOVZX EAX, AL
+    MOV [RSP + 32], RAX         ; Character followed by NULs
+    CMP AL, 0x0A
+    JNE .write
+    MOV DWORD [RSP + 32], 0x000A000D
+.write:
+    MOV RCX, [rel romasm_system_table]
+    MOV RCX, [RCX + 0x40]       ; ConOut
+    LEA RDX, [RSP + 32]
+    CALL [RCX + 0x08]           ; OutputString
+    MOV RSP, RBP
+    POP RBP
+    POP R11
+    POP R10
+    POP R9
+    POP R8
+    POP RDX
+    POP RCX
+    POP RAX
+    RET
+romasm_efi_getc:                ; RAX = character (Enter reads as '\n'; keys without one are skipped)
+    PUSH RCX
+    PUSH RDX
+    PUSH R8
+    PUSH R9
+    PUSH R10
+    PUSH R11
+    PUSH RBP
+    MOV RBP, RSP
+    AND RSP, -16
+    SUB RSP, 48                 ; Shadow space + event index + EFI_INPUT_KEY
+.wait:
+    MOV RAX, [rel romasm_system_table]
+    MOV RDX, [RAX + 0x30]       ; ConIn
+    ADD RDX, 0x10               ; &ConIn->WaitForKey
+    MOV RCX, 1
+    LEA R8, [RSP + 32]
+    MOV RAX, [RAX + 0x60]       ; BootServices
+    CALL [RAX + 0x60]           ; WaitForEvent
+    MOV RCX, [rel romasm_system_table]
+    MOV RCX, [RCX + 0x30]
+    LEA RDX, [RSP + 40]
+    CALL [RCX + 0x08]           ; ReadKeyStroke
+    TEST RAX, RAX
+    JNZ .wait                   ; EFI_NOT_READY
+    MOVZX EAX, WORD [RSP + 42]  ; UnicodeChar
+    TEST EAX, EAX
+    JZ .wait
+    CMP EAX, 0x0D
+    JNE .done
+    MOV EAX, 0x0A
+.done:
+    MOV RSP, RBP
+    POP RBP
+    POP R11
+    POP R10
+    POP R9
+    POP R8
+    POP RDX
+    POP RCX
+    RET
+romasm_efi_time:                ; RAX = hours, RBX = minutes, RCX = seconds, RDX = milliseconds
+    PUSH R8
+    PUSH R9
+    PUSH R10
+    PUSH R11
+    PUSH RBP
+    MOV RBP, RSP
+    AND RSP, -16
+    SUB RSP, 48                 ; Shadow space + EFI_TIME
+    LEA RCX, [RSP + 32]
+    XOR EDX, EDX
+    MOV RAX, [rel romasm_system_table]
+    MOV RAX, [RAX + 0x58]       ; RuntimeServices
+    CALL [RAX + 0x18]           ; GetTime
+    MOV EAX, [RSP + 40]         ; Nanosecond
+    XOR EDX, EDX
+    MOV ECX, 1000000
+    DIV ECX
+    MOV EDX, EAX
+    MOVZX EAX, BYTE [RSP + 36]  ; Hour
+    MOVZX EBX, BYTE [RSP + 37]  ; Minute
+    MOVZX ECX, BYTE [RSP + 38]  ; Second
+    MOV RSP, RBP
+    POP RBP
+    POP R11
+    POP R10
+    POP R9
+    POP R8
+    RET
+romasm_efi_exit:                ; BootServices->Exit(ImageHandle, R1, 0, NULL)
+    MOV RDX, RBX
+    MOV RCX, [rel romasm_image_handle]
+    XOR R8, R8
+    XOR R9, R9
+    AND RSP, -16
+    SUB RSP, 32
+    MOV RAX, [rel romasm_system_table]
+    MOV RAX, [RAX + 0x60]
+    CALL [RAX + 0xD8]           ; Exit (does not return)
+.halt:
+    HLT
+    JMP .halt
+`;
+        } else {
+            asm += `
+; BIOS console helpers
+romasm_bios_putc:               ; AL = character ('\n' is written as CR LF); preserves all registers
+    PUSH AX
+    PUSH BX
+    MOV BX, 0x0007              ; Page 0, light grey
+    CMP AL, 0x0A
+    JNE .char
+    MOV AX, 0x0E0D
+    INT 0x10
+    MOV AL, 0x0A
+.char:
+    MOV AH, 0x0E
+    INT 0x10
+    POP BX
+    POP AX
+    RET
+romasm_bios_getc:               ; AX = character (Enter reads as '\n'; keys without ASCII are skipped)
+    XOR AH, AH
+    INT 0x16
+    TEST AL, AL
+    JZ romasm_bios_getc
+    CMP AL, 0x0D
+    JNE .done
+    MOV AL, 0x0A
+.done:
+    XOR AH, AH
+    RET
+romasm_bios_time:               ; AX = hours, BX = minutes, CX = seconds, DX = milliseconds (always 0)
+    MOV AH, 0x02
+    INT 0x1A                    ; RTC time in BCD: CH = hours, CL = minutes, DH = seconds
+    MOV AL, CH
+    CALL .bcd
+    PUSH AX
+    MOV AL, CL
+    CALL .bcd
+    MOV BX, AX
+    MOV AL, DH
+    CALL .bcd
+    MOV CX, AX
+    XOR DX, DX
+    POP AX
+    RET
+.bcd:                           ; AL = BCD byte -> AX = binary
+    MOV AH, AL
+    SHR AH, 4
+    AND AL, 0x0F
+    AAD
+    RET
+romasm_bios_exit:               ; No OS to return to: the exit code is dropped and the CPU halts
+    CLI
+.halt:
+    HLT
+    JMP .halt
+`;
+        }
+        return asm;
+    }
+
     /**
      * Get register name, handling 8-bit registers
      */
@@ -412,6 +756,15 @@ class RomasmX86Generator {
         return regMap[operand.value];
     }
     
+    /**
+     * Size suffix for a string instruction: B/W/D/Q from an explicit element
+     * width (MOVSB, STOSD, ...), otherwise the full register width
+     */
+    stringSizeSuffix(instruction, bits) {
+        const suffixes = { 1: 'B', 2: 'W', 4: 'D', 8: 'Q' };
+        return suffixes[instruction.width || bits / 8];
+    }
+
     /**
      * Generate x86 assembly for a single Romasm instruction
      */
@@ -428,7 +781,18 @@ class RomasmX86Generator {
                     const src = operands[1];
                     
                     // Check for memory access FIRST (before register check)
-                    if (src.isMemory && src.type === 'register') {
+                    if (src.isMemory && (src.type === 'memory' || src.size)) {
+                        // Addressing-mode or sized operand: [R6+4], BYTE [R1+R2*4]
+                        const memSize = src.size || bits / 8;
+                        const address = this.formatMemoryOperand(src, regMap, labels);
+                        if (memSize * 8 < bits && !(memSize === 4 && is64bit)) {
+                            asm += `    MOVZX ${reg}, ${this.memorySizeName(memSize)} ${address}\n`;
+                        } else {
+                            // 32-bit loads into a 64-bit register zero-extend implicitly
+                            const width = Math.min(memSize, bits / 8);
+                            asm += `    MOV ${this.subRegister(reg, width)}, ${this.memorySizeName(width)} ${address}\n`;
+                        }
+                    } else if (src.isMemory && src.type === 'register') {
                         // Load from memory via register
                         const regName = regMap[operands[0].value];
                         const srcReg = regMap[src.value];
@@ -523,7 +887,11 @@ class RomasmX86Generator {
                     } else {
                         srcReg = src.value;
                     }
-                    if (dst.isMemory) {
+                    if (dst.isMemory && (dst.type === 'memory' || dst.size)) {
+                        const memSize = dst.size || bits / 8;
+                        const value = src.type === 'register' ? this.subRegister(srcReg, memSize) : srcReg;
+                        asm += `    MOV ${this.memorySizeName(memSize)} ${this.formatMemoryOperand(dst, regMap, labels)}, ${value}\n`;
+                    } else if (dst.isMemory) {
                         if (dst.type === 'register') {
                             const memSize = is64bit ? 'QWORD' : sizePrefix;
                             asm += `    MOV ${memSize} [${regMap[dst.value]}], ${srcReg}\n`;
@@ -738,8 +1106,14 @@ class RomasmX86Generator {
             case 'CA': // CALL
                 if (operands.length > 0) {
                     const target = operands[0];
-                    // Prioritize labelName if it exists (unresolved label from assembler)
-                    if (target.labelName) {
+                    if (target.isMemory) {
+                        // Indirect call through a pointer in memory
+                        asm += `    CALL ${this.memorySizeName(bits / 8)} ${this.formatMemoryOperand(target, regMap, labels)}\n`;
+                    } else if (target.type === 'register') {
+                        // Indirect call to the address in a register
+                        asm += `    CALL ${regMap[target.value]}\n`;
+                    } else if (target.labelName) {
+                        // Prioritize labelName if it exists (unresolved label from assembler)
                         asm += `    CALL ${target.labelName}\n`;
                     } else if (target.type === 'label' || target.type === 'immediate') {
                         // Try to find label name from address, otherwise use address directly
@@ -1126,7 +1500,7 @@ class RomasmX86Generator {
                     // We need to set these up first
                     const srcStrReg = is64bit ? 'RSI' : 'ESI';
                     const dstStrReg = is64bit ? 'RDI' : 'EDI';
-                    const sizeSuffix = is64bit ? 'Q' : (bits === 32 ? 'D' : 'W');
+                    const sizeSuffix = this.stringSizeSuffix(instruction, bits);
                     
                     // Move source address to RSI/ESI
                     if (srcReg !== srcStrReg) {
@@ -1169,7 +1543,7 @@ class RomasmX86Generator {
                     
                     const dstStrReg = is64bit ? 'RDI' : 'EDI';
                     const accReg = is64bit ? 'RAX' : (bits === 32 ? 'EAX' : 'AX');
-                    const sizeSuffix = is64bit ? 'Q' : (bits === 32 ? 'D' : 'W');
+                    const sizeSuffix = this.stringSizeSuffix(instruction, bits);
                     
                     // Move value to accumulator
                     if (valueReg !== accReg) {
@@ -1204,12 +1578,16 @@ class RomasmX86Generator {
                     
                     const srcStrReg = is64bit ? 'RSI' : 'ESI';
                     const accReg = is64bit ? 'RAX' : (bits === 32 ? 'EAX' : 'AX');
-                    const sizeSuffix = is64bit ? 'Q' : (bits === 32 ? 'D' : 'W');
+                    const sizeSuffix = this.stringSizeSuffix(instruction, bits);
                     
                     // Move source address to RSI/ESI
                     if (srcReg !== srcStrReg) {
                         asm += `    MOV ${srcStrReg}, ${srcReg}\n`;
                     }
+                    // LODSB/LODSW only write AL/AX: clear the accumulator so the value is zero-extended
+                    if (instruction.width && instruction.width < 4 && instruction.width < bits / 8) {
+                        asm += `    XOR ${accReg}, ${accReg}\n`;
+                    }
                     
                     // Add REP prefix if present
                     const repPrefix = instruction.repPrefix || '';
@@ -1239,7 +1617,7 @@ class RomasmX86Generator {
                     
                     const srcStrReg = is64bit ? 'RSI' : 'ESI';
                     const dstStrReg = is64bit ? 'RDI' : 'EDI';
-                    const sizeSuffix = is64bit ? 'Q' : (bits === 32 ? 'D' : 'W');
+                    const sizeSuffix = this.stringSizeSuffix(instruction, bits);
                     
                     // Set up string registers
                     if (reg1 !== srcStrReg) {
@@ -1270,7 +1648,7 @@ class RomasmX86Generator {
                     
                     const dstStrReg = is64bit ? 'RDI' : 'EDI';
                     const accReg = is64bit ? 'RAX' : (bits === 32 ? 'EAX' : 'AX');
-                    const sizeSuffix = is64bit ? 'Q' : (bits === 32 ? 'D' : 'W');
+                    const sizeSuffix = this.stringSizeSuffix(instruction, bits);
                     
                     // Move value to accumulator
                     if (valueReg !== accReg) {
@@ -1510,7 +1888,12 @@ class RomasmX86Generator {
                 break;
 
             case 'INT': // INT
-                if (operands.length > 0 && operands[0].type === 'immediate') {
+                if (operands.length > 0 && operands[0].type === 'immediate' &&
+                    operands[0].value === RomasmX86Generator.SYSCALL_VECTOR && bits !== 32) {
+                    // Romasm syscall: there is no OS behind INT 0x80, so call the runtime
+                    // that generateBootSector()/generateUEFI() append
+                    asm += `    CALL romasm_syscall\n`;
+                } else if (operands.length > 0 && operands[0].type === 'immediate') {
                     const intNum = operands[0].value;
                     // For BIOS interrupts, we need to preserve register state
                     // The registers should already be set up by the calling code
@@ -1621,6 +2004,60 @@ class RomasmX86Generator {
         return asm;
     }
 
+    /**
+     * Format a memory operand as a NASM effective address
+     * @param {Object} operand - Memory operand from the assembler
+     * @param {Object} regMap - Register mapping for the target mode
+     * @param {Object} labels - Label map
+     * @returns {string} e.g. [RBX+RCX*4+8]
+     */
+    formatMemoryOperand(operand, regMap, labels) {
+        if (operand.type === 'register') {
+            return `[${regMap[operand.value]}]`;
+        }
+        if (operand.type !== 'memory') {
+            const name = operand.labelName || (operand.type === 'label' ? this.findLabelName(operand.value, labels) : null);
+            return `[${name || operand.value}]`;
+        }
+        const parts = [];
+        if (operand.base) parts.push(regMap[operand.base]);
+        if (operand.index) parts.push(operand.scale > 1 ? `${regMap[operand.index]}*${operand.scale}` : regMap[operand.index]);
+        if (operand.labelName) parts.push(operand.labelName);
+        let address = parts.join('+');
+        if (operand.displacement || parts.length === 0) {
+            address += operand.displacement < 0 || parts.length === 0 ? `${operand.displacement}` : `+${operand.displacement}`;
+        }
+        return `[${address}]`;
+    }
+
+    /**
+     * NASM size keyword for an access width in bytes
+     */
+    memorySizeName(size) {
+        return { 1: 'BYTE', 2: 'WORD', 4: 'DWORD', 8: 'QWORD' }[size];
+    }
+
+    /**
+     * Name of the low `size` bytes of an x86 register (e.g. RAX, 1 -> AL)
+     * @param {string} reg - Full register name (any width)
+     * @param {number} size - Width in bytes
+     * @returns {string} Sub-register name
+     */
+    subRegister(reg, size) {
+        const families = [
+            { 8: 'RAX', 4: 'EAX', 2: 'AX', 1: 'AL' },
+            { 8: 'RBX', 4: 'EBX', 2: 'BX', 1: 'BL' },
+            { 8: 'RCX', 4: 'ECX', 2: 'CX', 1: 'CL' },
+            { 8: 'RDX', 4: 'EDX', 2: 'DX', 1: 'DL' },
+            { 8: 'RSI', 4: 'ESI', 2: 'SI', 1: 'SIL' },
+            { 8: 'RDI', 4: 'EDI', 2: 'DI', 1: 'DIL' },
+            { 8: 'RBP', 4: 'EBP', 2: 'BP', 1: 'BPL' },
+            { 8: 'RSP', 4: 'ESP', 2: 'SP', 1: 'SPL' }
+        ];
+        const family = families.find(f => Object.values(f).includes(reg));
+        return family ? family[size] : reg;
+    }
+
     /**
      * Find label name by address
      * @param {number} address - Label address
@@ -1637,6 +2074,10 @@ class RomasmX86Generator {
     }
 }
 
+// Romasm syscall ABI, matching RomasmVM.SYSCALL_VECTOR and RomasmVM.SYSCALLS
+RomasmX86Generator.SYSCALL_VECTOR = 0x80;
+RomasmX86Generator.SYSCALLS = { EXIT: 0x00, PUTC: 0x01, PUTS: 0x02, GETC: 0x03, GETS: 0x04, TIME: 0x05 };
+
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = RomasmX86Generator;
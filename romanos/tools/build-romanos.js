@@ -38,6 +38,7 @@ function loadRomasmComponents() {
     }
     const assemblerModule = require(assemblerPath);
     const RomasmAssembler = assemblerModule.RomasmAssembler || assemblerModule;
+    const { RomasmNodeFileProvider } = require(path.join(projectRoot, 'compiler/romasm-file-providers.js'));
     
     // Load linker (optional - we'll do manual linking for now)
     // const linkerPath = path.join(projectRoot, 'linker/romasm-linker.js');
@@ -68,7 +69,7 @@ function loadRomasmComponents() {
     }
     const { RomasmOptimizer } = require(optimizerPath);
     
-    return { RomasmAssembler, RomasmX86Generator, RomasmBytecodeGenerator, RomasmOptimizer };
+    return { RomasmAssembler, RomasmNodeFileProvider, RomasmX86Generator, RomasmBytecodeGenerator, RomasmOptimizer };
 }
 
 async function buildRomanOS(exampleName = 'hello-world', mode = 'native') {
@@ -93,7 +94,7 @@ async function buildRomanOS(exampleName = 'hello-world', mode = 'native') {
     
     // Load components
     log('Loading Romasm components...', 'blue');
-    const { RomasmAssembler, RomasmX86Generator, RomasmBytecodeGenerator, RomasmOptimizer } = loadRomasmComponents();
+    const { RomasmAssembler, RomasmNodeFileProvider, RomasmX86Generator, RomasmBytecodeGenerator, RomasmOptimizer } = loadRomasmComponents();
     
     log(`Build mode: ${mode === 'vm' ? 'VM (Native Romasm)' : mode === 'efi' ? 'UEFI/GOP (Modern)' : 'Native x86 (BIOS)'}`, 'yellow');
     
@@ -109,165 +110,37 @@ async function buildRomanOS(exampleName = 'hello-world', mode = 'native') {
     log(`Reading source: ${sourceFile}`, 'blue');
     const source = fs.readFileSync(sourceFile, 'utf8');
     
-    // Step 2: Assemble Romasm
+    // Step 2: Assemble Romasm, with the libraries INCLUDEd after the program.
+    // INCLUDE reads each file once, so a program may also include them itself
     log('Assembling Romasm...', 'blue');
-    const assembler = new RomasmAssembler();
-    const assembleResult = assembler.assemble(source);
+    const libraries = mode === 'efi'
+        ? [
+            'uefi/bootloader/uefi-main.romasm',
+            'uefi/gop/gop.romasm',
+            'uefi/framebuffer/fb.romasm',
+            'uefi/fonts/font.romasm',
+            'uefi/terminal/term.romasm',
+            'uefi/gop.romasm' // romanos/stdlib/uefi/gop.romasm
+        ]
+        : ['bios.romasm'];
+    log(`  Including ${libraries.join(', ')}`, 'yellow');
+    // INCLUDE paths are relative to the including file, then romanos/stdlib, then romanos
+    const assembler = new RomasmAssembler({ files: new RomasmNodeFileProvider({ paths: [stdlibDir, romanosRoot] }) });
+    const program = `${source}\n${libraries.map(file => `INCLUDE "${file}"`).join('\n')}\n`;
+    const assembleResult = assembler.assemble(program, { file: sourceFile });
     
     if (!assembleResult.success) {
         log('Assembly errors:', 'red');
         assembleResult.errors.forEach(err => {
-            log(`  Line ${err.line}: ${err.message}`, 'red');
+            log(`  ${err.file ? `${path.relative(romanosRoot, err.file)}:` : 'Line '}${err.line}: ${err.message}`, 'red');
             log(`  Code: ${err.code}`, 'red');
         });
         throw new Error('Assembly failed');
     }
-    log(`✓ Assembled ${assembleResult.instructions.length} instructions`, 'green');
+    log(`✓ Assembled ${assembleResult.instructions.length} instructions from ${assembleResult.files.length} files`, 'green');
     log(`✓ Found ${Object.keys(assembleResult.labels).length} labels`, 'green');
     
-    // Step 3: Load and link with stdlib
-    log('Linking with standard library...', 'blue');
-    
-    // Store original instruction count before merging
-    const originalInstructionCount = assembleResult.instructions.length;
-    const originalDataCount = assembleResult.data.length;
-    
-    if (mode === 'efi') {
-        // UEFI Mode: Load UEFI modules
-        log('  Loading UEFI/GOP modules...', 'yellow');
-        
-        const uefiModules = [
-            { path: path.join(romanosRoot, 'uefi', 'bootloader', 'uefi-main.romasm'), name: 'UEFI Bootloader' },
-            { path: path.join(romanosRoot, 'uefi', 'gop', 'gop.romasm'), name: 'GOP Protocol' },
-            { path: path.join(romanosRoot, 'uefi', 'framebuffer', 'fb.romasm'), name: 'Framebuffer' },
-            { path: path.join(romanosRoot, 'uefi', 'fonts', 'font.romasm'), name: 'Font System' },
-            { path: path.join(romanosRoot, 'uefi', 'terminal', 'term.romasm'), name: 'Terminal' },
-            { path: path.join(stdlibDir, 'uefi', 'gop.romasm'), name: 'UEFI Stdlib' }
-        ];
-        
-        for (const module of uefiModules) {
-            if (fs.existsSync(module.path)) {
-                const moduleSource = fs.readFileSync(module.path, 'utf8');
-                const moduleResult = assembler.assemble(moduleSource);
-                if (moduleResult.success) {
-                    log(`    Loading ${module.name}...`, 'yellow');
-                    const instructionOffset = assembleResult.instructions.length;
-                    
-                    // Update CALL/JMP instructions in module
-                    for (const instr of moduleResult.instructions) {
-                        if ((instr.opcode === 'CA' || instr.opcode === 'V' || instr.opcode === 'JE' || instr.opcode === 'JN' || instr.opcode === 'JL' || instr.opcode === 'JG' || instr.opcode === 'JLE' || instr.opcode === 'JGE') && instr.operands.length > 0) {
-                            const target = instr.operands[0];
-                            if (target.type === 'label' && typeof target.value === 'number' && target.value < moduleResult.instructions.length) {
-                                target.value = instructionOffset + target.value;
-                            }
-                        }
-                    }
-                    
-                    assembleResult.instructions.push(...moduleResult.instructions);
-                    
-                    // Update labels
-                    for (const [label, addr] of Object.entries(moduleResult.labels)) {
-                        if (addr < moduleResult.instructions.length) {
-                            assembleResult.labels[label] = instructionOffset + addr;
-                        } else {
-                            const dataOffset = assembleResult.data.length;
-                            assembleResult.labels[label] = assembleResult.instructions.length + dataOffset + (addr - moduleResult.instructions.length);
-                        }
-                    }
-                    
-                    // Merge data
-                    if (moduleResult.data && moduleResult.data.length > 0) {
-                        for (const dataItem of moduleResult.data) {
-                            assembleResult.data.push({
-                                address: assembleResult.data.length + dataItem.address,
-                                value: dataItem.value
-                            });
-                        }
-                    }
-                    
-                    log(`    ✓ Loaded ${module.name} (${moduleResult.instructions.length} instructions)`, 'green');
-                } else {
-                    log(`    ✗ Failed to load ${module.name}`, 'red');
-                    if (moduleResult.errors && moduleResult.errors.length > 0) {
-                        moduleResult.errors.forEach(err => {
-                            log(`      Line ${err.line}: ${err.message}`, 'red');
-                            if (err.code) log(`        Code: ${err.code}`, 'red');
-                        });
-                    } else {
-                        log(`      (No error details available)`, 'red');
-                    }
-                }
-            } else {
-                log(`    ⚠ Module not found: ${module.path}`, 'yellow');
-            }
-        }
-    } else {
-        // BIOS Mode: Load BIOS library (manual linking)
-        const biosLibPath = path.join(stdlibDir, 'bios.romasm');
-    if (fs.existsSync(biosLibPath)) {
-        log('  Loading BIOS library...', 'yellow');
-        const biosSource = fs.readFileSync(biosLibPath, 'utf8');
-        const biosResult = assembler.assemble(biosSource);
-        if (biosResult.success) {
-            // Merge BIOS functions
-            const instructionOffset = assembleResult.instructions.length;
-            
-            // Update BIOS CALL/JMP instructions FIRST (before merging instructions)
-            // BIOS CALL/JMP instructions need their target addresses offset
-            for (const instr of biosResult.instructions) {
-                if ((instr.opcode === 'CA' || instr.opcode === 'V' || instr.opcode === 'JE' || instr.opcode === 'JN' || instr.opcode === 'JL' || instr.opcode === 'JG' || instr.opcode === 'JLE' || instr.opcode === 'JGE') && instr.operands.length > 0) {
-                    const target = instr.operands[0];
-                    // If it's a resolved label address (not labelName), offset it
-                    if (target.type === 'label' && typeof target.value === 'number' && target.value < biosResult.instructions.length) {
-                        target.value = instructionOffset + target.value;
-                    }
-                }
-            }
-            
-            assembleResult.instructions.push(...biosResult.instructions);
-            
-            // Update USER data labels FIRST (before merging BIOS labels)
-            // User data labels need to be offset by the new total instruction count
-            const newInstructionCount = assembleResult.instructions.length;
-            for (const [label, addr] of Object.entries(assembleResult.labels)) {
-                // If this label was originally a data label (addr >= original instruction count)
-                if (addr >= originalInstructionCount && addr < originalInstructionCount + originalDataCount) {
-                    // This is a user data label - update its offset
-                    const originalDataIndex = addr - originalInstructionCount;
-                    assembleResult.labels[label] = newInstructionCount + originalDataIndex;
-                }
-            }
-            
-            // Update BIOS labels with offset
-            for (const [label, addr] of Object.entries(biosResult.labels)) {
-                // Check if it's a data label or instruction label
-                if (addr < biosResult.instructions.length) {
-                    // Instruction label
-                    assembleResult.labels[label] = instructionOffset + addr;
-                } else {
-                    // Data label (if any) - BIOS library shouldn't have data labels, but handle it
-                    const dataOffset = assembleResult.data.length;
-                    assembleResult.labels[label] = newInstructionCount + dataOffset + (addr - biosResult.instructions.length);
-                }
-            }
-            
-            // Merge data if any
-            if (biosResult.data && biosResult.data.length > 0) {
-                const dataOffset = assembleResult.data.length;
-                for (const dataItem of biosResult.data) {
-                    assembleResult.data.push({
-                        address: dataOffset + dataItem.address,
-                        value: dataItem.value
-                    });
-                }
-            }
-            
-            log(`  ✓ Loaded BIOS library (${biosResult.instructions.length} instructions)`, 'green');
-        }
-    }
-    }
-    
-    // Step 4: Generate output (x86 or bytecode)
+    // Step 3: Generate output (x86 or bytecode)
     if (mode === 'vm') {
         // VM Mode: Generate bytecode
         log('Generating Romasm bytecode...', 'blue');
@@ -278,7 +151,7 @@ async function buildRomanOS(exampleName = 'hello-world', mode = 'native') {
         bytecodeGen.save(bytecode, rombinFile);
         log(`✓ Generated bytecode: ${rombinFile} (${bytecode.length} bytes)`, 'green');
         
-        // Step 5: Embed bytecode into VM bootloader
+        // Step 4: Embed bytecode into VM bootloader
         log('Creating VM bootloader image...', 'blue');
         const bootloaderPath = path.join(__dirname, '../vm/romasm-vm-bootloader.asm');
         if (!fs.existsSync(bootloaderPath)) {
@@ -298,7 +171,7 @@ async function buildRomanOS(exampleName = 'hello-world', mode = 'native') {
         fs.writeFileSync(vmAsmFile, bootloaderAsm, 'utf8');
         log(`✓ Generated VM bootloader: ${vmAsmFile}`, 'green');
         
-        // Step 6: Assemble VM bootloader with NASM
+        // Step 5: Assemble VM bootloader with NASM
         log('Assembling VM bootloader with NASM...', 'blue');
         const binFile = path.join(buildDir, `${exampleName}.bin`);
         const asmFile = vmAsmFile;  // Use VM bootloader ASM file
@@ -341,7 +214,7 @@ async function buildRomanOS(exampleName = 'hello-world', mode = 'native') {
             throw error;
         }
         
-        // Step 7: Create bootable image
+        // Step 6: Create bootable image
         log('Creating bootable image...', 'blue');
         const imgFile = path.join(buildDir, `${exampleName}.img`);
         
@@ -373,7 +246,7 @@ async function buildRomanOS(exampleName = 'hello-world', mode = 'native') {
         log('  Using fixed 64-bit register mapping (RAX, RBX, RCX, etc.)', 'yellow');
         log('  Generating 64-bit UEFI application', 'yellow');
         
-        let x86Asm = generator.generateUEFI(assembleResult.instructions, assembleResult.data, assembleResult.labels);
+        let x86Asm = generator.generateUEFI(assembleResult.instructions, assembleResult.data, assembleResult.labels, assembleResult.sections);
         
         // Optimize
         log('Optimizing x86-64 assembly...', 'blue');
@@ -424,7 +297,7 @@ async function buildRomanOS(exampleName = 'hello-world', mode = 'native') {
         fs.writeFileSync(asmFile, x86Asm, 'utf8');
         log(`✓ Generated x86 assembly: ${asmFile}`, 'green');
         
-        // Step 5: Assemble with NASM
+        // Step 4: Assemble with NASM
         log('Assembling with NASM...', 'blue');
         const binFile = path.join(buildDir, `${exampleName}.bin`);
         
@@ -466,7 +339,7 @@ async function buildRomanOS(exampleName = 'hello-world', mode = 'native') {
             throw error;
         }
         
-        // Step 6: Create bootable image
+        // Step 5: Create bootable image
         log('Creating bootable image...', 'blue');
         const imgFile = path.join(buildDir, `${exampleName}.img`);
         
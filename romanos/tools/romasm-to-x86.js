@@ -20,6 +20,7 @@ function loadRomasmComponents() {
     }
     const assemblerModule = require(assemblerPath);
     const RomasmAssembler = assemblerModule.RomasmAssembler || assemblerModule;
+    const { RomasmNodeFileProvider } = require(path.join(projectRoot, 'compiler/romasm-file-providers.js'));
     
     // Load x86 generator
     const generatorPath = path.join(__dirname, '../compiler/romasm-x86-generator.js');
@@ -28,7 +29,7 @@ function loadRomasmComponents() {
     }
     const RomasmX86Generator = require(generatorPath);
     
-    return { RomasmAssembler, RomasmX86Generator };
+    return { RomasmAssembler, RomasmX86Generator, RomasmNodeFileProvider };
 }
 
 function main() {
@@ -52,17 +53,19 @@ function main() {
     const source = fs.readFileSync(inputFile, 'utf8');
     
     // Load components
-    const { RomasmAssembler, RomasmX86Generator } = loadRomasmComponents();
+    const { RomasmAssembler, RomasmX86Generator, RomasmNodeFileProvider } = loadRomasmComponents();
     
-    // Assemble Romasm
+    // Assemble Romasm (INCLUDE paths are relative to the including file, then romanos/stdlib)
     console.log('Assembling Romasm...');
-    const assembler = new RomasmAssembler();
-    const result = assembler.assemble(source);
+    const assembler = new RomasmAssembler({
+        files: new RomasmNodeFileProvider({ paths: [path.join(__dirname, '../stdlib')] })
+    });
+    const result = assembler.assemble(source, { file: path.resolve(inputFile) });
     
     if (!result.success) {
         console.error('Assembly errors:');
         result.errors.forEach(err => {
-            console.error(`  Line ${err.line}: ${err.message}`);
+            console.error(`  ${err.file ? `${path.relative(process.cwd(), err.file)}:` : 'Line '}${err.line}: ${err.message}`);
         });
         process.exit(1);
     }
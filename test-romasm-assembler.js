@@ -0,0 +1,294 @@
+/**
+ * Test script for the Romasm assembler (compiler/romasm-assembler.js)
+ */
+
+const assert = require('assert');
+const { RomasmAssembler } = require('./compiler/romasm-assembler.js');
+const { RomasmBIOS } = require('./compiler/romasm-vm-bios.js');
+const { RomasmMemoryFileProvider, RomasmNodeFileProvider } = require('./compiler/romasm-file-providers.js');
+
+console.log('=== Romasm Assembler Test Suite ===\n');
+
+// Operand values of each instruction (the second operand, or the first if there is one)
+function operandValues(result) {
+    return result.instructions.map(instr => instr.operands[instr.operands.length - 1].value);
+}
+
+// Test 1: Macro expansion
+console.log('Test 1: Macro local labels, nested error locations and the depth limit');
+{
+    const result = new RomasmAssembler().assemble(`
+MACRO wait_zero reg
+%%loop:
+    DEC %reg
+    CMP %reg, 0
+    JNE %%loop
+ENDMACRO
+    wait_zero R2
+    wait_zero R3
+    HLT`);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.instructions.map(instr => instr.raw), [
+        'DEC R2', 'CMP R2, 0', 'JNE __wait_zero_loop_1',
+        'DEC R3', 'CMP R3, 0', 'JNE __wait_zero_loop_2',
+        'HLT'
+    ]);
+    assert.deepStrictEqual([result.labels.__wait_zero_loop_1, result.labels.__wait_zero_loop_2], [0, 3]);
+
+    const nested = new RomasmAssembler().assemble(`
+MACRO inner
+    BOGUS R0
+ENDMACRO
+MACRO outer
+    inner
+ENDMACRO
+    NOP
+    outer`).errors;
+    assert.strictEqual(nested.length, 1);
+    assert.strictEqual(nested[0].line, 9);
+    assert.strictEqual(nested[0].message, 'Unknown instruction: BOGUS (in macro inner at line 3, in macro outer at line 6)');
+    assert.deepStrictEqual(nested[0].expansion.map(({ macro, line }) => [macro, line]), [['inner', 3], ['outer', 6]]);
+
+    const recursive = new RomasmAssembler().assemble(`
+MACRO forever
+    forever
+ENDMACRO
+    forever`).errors;
+    assert.strictEqual(recursive.length, 1);
+    assert.match(recursive[0].message, /^Macro expansion nested more than 32 levels deep/);
+    console.log(`  ${nested[0].message}`);
+}
+console.log();
+
+// Test 2: % in a macro body
+console.log('Test 2: Macro parameters and the modulo operator');
+{
+    const result = new RomasmAssembler().assemble(`
+N EQU 4
+MACRO wrap reg, count
+    LOAD %reg, 10%N        ; modulo: N is not a parameter
+    LOAD %reg, (N+3)%N
+    LOAD %reg, %count
+ENDMACRO
+    wrap R0, 7`);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(operandValues(result), [2, 3, 7]);
+
+    const errors = new RomasmAssembler().assemble(`
+MACRO bad
+    LOAD R0, %count
+ENDMACRO
+    bad`).errors;
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /^Unknown macro parameter %count in bad/);
+    console.log(`  10%N = ${operandValues(result)[0]}, (N+3)%N = ${operandValues(result)[1]}; ${errors[0].message}`);
+}
+console.log();
+
+// Test 3: EQU constants and expressions
+console.log('Test 3: EQU constants, operator precedence, $ and forward references');
+{
+    const result = new RomasmAssembler().assemble(`
+SCALE   EQU 100
+DEG_90  EQU 90 * SCALE
+TWO_PI  EQU 2 * PI              ; PI is defined below
+PI      EQU 18000
+    LOAD R0, DEG_90
+    LOAD R1, msg_end - msg
+    LOAD R2, BYTE [msg + LEN - 1]
+    LOAD R3, (1 << 4) | 0b11 ^ ~0 & 0xF
+    LOAD R4, -7 / 2
+    HLT
+msg:
+    DB "Hello", 0
+msg_end:
+    DW LEN * 2, $
+LEN     EQU msg_end - msg`);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.constants, { SCALE: 100, DEG_90: 9000, PI: 18000, TWO_PI: 36000, LEN: 6 });
+    assert.deepStrictEqual(result.instructions.slice(0, 5).map(instr => instr.operands[1].value), [9000, 6, 5, 28, -3]);
+    assert.strictEqual(result.instructions[2].operands[1].labelName, 'msg');
+    // DW LEN * 2, $ where $ is the DW's own address
+    assert.deepStrictEqual(result.data.slice(6).map(({ value }) => value), [12, 0, result.labels.msg_end, 0]);
+
+    const errors = new RomasmAssembler({ wordSize: 16 }).assemble(`
+    LOAD R0, 0x10000
+    DB 256
+A EQU B
+B EQU A
+    LOAD R1, 1 / 0
+    LOAD R2, nowhere + 1`).errors;
+    assert.deepStrictEqual(errors.map(({ line, message }) => [line, message]), [
+        [2, 'Invalid operand: 0x10000 (Value 65536 overflows 16 bits)'],
+        [3, 'DB value 256 does not fit in 8 bits'],
+        [4, 'Constant A is defined in terms of itself'],
+        [5, 'Constant B is defined in terms of itself'],
+        [6, 'Invalid operand: 1 / 0 (Division by zero in expression)'],
+        [7, 'Undefined symbol: nowhere']
+    ]);
+    console.log(`  constants ${JSON.stringify(result.constants)}; ${errors.length} errors reported at their lines`);
+}
+console.log();
+
+// Test 4: INCLUDE resolution
+console.log('Test 4: INCLUDE paths, once-only includes, cycles and error files');
+{
+    const files = new RomasmMemoryFileProvider({
+        'main.romasm': 'INCLUDE "lib/math.inc"\nINCLUDE "lib/math.inc"\n    LOAD R0, SCALE\n    CALL square\n    HLT',
+        'lib/math.inc': 'INCLUDE "consts.inc"\nsquare:\n    MUL R0, R0\n    RET',
+        'lib/consts.inc': 'SCALE EQU 100',
+        'std/bad.inc': '    BOGUS',
+        'a.inc': 'INCLUDE "b.inc"',
+        'b.inc': 'INCLUDE "a.inc"'
+    }, { paths: ['std'] });
+    const assembler = new RomasmAssembler({ files });
+    const result = assembler.assemble(files.read('main.romasm'), { file: 'main.romasm' });
+    assert.deepStrictEqual(result.errors, []);
+    // consts.inc is found next to math.inc, and math.inc is included once
+    assert.deepStrictEqual(result.files, ['main.romasm', 'lib/math.inc', 'lib/consts.inc']);
+    assert.deepStrictEqual(result.instructions.map(instr => instr.raw), ['MUL R0, R0', 'RET', 'LOAD R0, SCALE', 'CALL square', 'HLT']);
+
+    const errors = assembler.assemble('INCLUDE "bad.inc"\nINCLUDE "a.inc"\nINCLUDE "missing.inc"').errors;
+    assert.deepStrictEqual(errors.map(({ file, line, message }) => [file, line, message]), [
+        ['std/bad.inc', 1, 'Unknown instruction: BOGUS'],
+        ['b.inc', 1, 'Include cycle: a.inc -> b.inc -> a.inc'],
+        [undefined, 3, 'Include file not found: missing.inc (looked for missing.inc, std/missing.inc)']
+    ]);
+
+    // Providers that return promises (RomasmFetchFileProvider) need assembleAsync()
+    const remote = { paths: [], read: path => Promise.resolve(files.read(path)) };
+    assert.match(new RomasmAssembler({ files: remote }).assemble('INCLUDE "lib/consts.inc"').errors[0].message, /assembleAsync/);
+    console.log(`  files ${JSON.stringify(result.files)}; ${errors[1].message}`);
+}
+console.log();
+
+// Test 5: Sections and layout directives
+console.log('Test 5: SECTION, ALIGN, TIMES and RESB/RESW layout');
+{
+    const assembler = new RomasmAssembler();
+    // The data sections follow the instructions as .data, .rodata, .bss
+    // whatever their order in the source
+    const result = assembler.assemble(`SECTION .bss
+ALIGN 8
+buffer:
+    RESB 10
+words:
+    RESW 2
+SECTION .rodata
+ALIGN 4
+table:
+    TIMES 3 DB 9
+SECTION .data
+counter:
+    DW 7
+SECTION .text
+main:
+    LOAD R0, counter
+    TIMES 2 NOP
+    HLT`);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.instructions.map(instr => instr.raw), ['LOAD R0, counter', 'NOP', 'NOP', 'HLT']);
+    assert.deepStrictEqual(result.sections, [
+        { name: '.text', address: 0, size: 4, align: 1, labels: ['main'] },
+        { name: '.data', address: 4, size: 2, align: 1, labels: ['counter'] },
+        { name: '.rodata', address: 8, size: 3, align: 4, labels: ['table'] },
+        { name: '.bss', address: 16, size: 14, align: 8, labels: ['buffer', 'words'] }
+    ]);
+    assert.deepStrictEqual(result.labels, { main: 0, counter: 4, table: 8, buffer: 16, words: 26 });
+    // result.data addresses are relative to the end of the instructions; .bss has no bytes
+    assert.deepStrictEqual(result.data.map(({ address, value }) => [address, value]), [[0, 7], [1, 0], [4, 9], [5, 9], [6, 9]]);
+
+    const errors = assembler.assemble(`SECTION .bss
+    DB 1
+    LOAD R0, 1
+SECTION .rodata
+    RESB 2
+SECTION .text
+    ALIGN 2
+SECTION .heap
+    TIMES N NOP
+N EQU 2`).errors;
+    assert.deepStrictEqual(errors.map(({ line, message }) => [line, message]), [
+        [2, 'DB cannot be used in .bss (reserve space with RESB/RESW/RESD/RESQ)'],
+        [3, 'Instructions must be in the .text section, not .bss'],
+        [5, 'RESB can only be used in .bss'],
+        [7, 'ALIGN can only be used in .data, .rodata and .bss'],
+        [8, 'Unknown section: .heap (use .text, .data, .rodata, .bss)'],
+        [9, 'TIMES count must use only numbers and constants defined above it (Undefined symbol: N)']
+    ]);
+    console.log(`  ${result.sections.map(({ name, address, size }) => `${name}@${address}+${size}`).join(', ')}; ${errors.length} errors reported at their lines`);
+}
+console.log();
+
+// Test 6: CALL targets must be defined or declared EXTERN
+console.log('Test 6: Undefined CALL targets and EXTERN');
+{
+    const errors = new RomasmAssembler().assemble(`
+    LOAD R0, 30
+    CALL sin
+    HLT`).errors;
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].line, 3);
+    assert.strictEqual(errors[0].message, 'Undefined label: sin');
+    assert.strictEqual(errors[0].symbol, 'sin');
+
+    const result = new RomasmAssembler().assemble(`
+EXTERN sin, cos
+    LOAD R0, 30
+    CALL sin
+    CALL done
+    HLT
+done:
+    RET`);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.externals, [{ name: 'sin', line: 4 }]);
+    assert.strictEqual(result.instructions[1].operands[0].labelName, 'sin');
+    assert.strictEqual(result.instructions[2].operands[0].value, result.labels.done);
+
+    // Names the linker resolves can be passed to the assembler instead of EXTERN lines
+    const linked = new RomasmAssembler({ externs: ['sin', 'cos'] }).assemble('    CALL sin\n    HLT');
+    assert.deepStrictEqual(linked.errors, []);
+    assert.deepStrictEqual(linked.externals, [{ name: 'sin', line: 1 }]);
+
+    // The IDE includes the stdlib file that defines a missing routine instead
+    const included = new RomasmAssembler({ files: new RomasmNodeFileProvider({ paths: ['stdlib'] }) })
+        .assemble('    LOAD R0, 30\n    CALL sin\n    HLT\nINCLUDE "trig.romasm"');
+    assert.deepStrictEqual(included.errors, []);
+    assert.deepStrictEqual(included.externals, []);
+    assert.strictEqual(included.instructions[1].operands[0].value, included.labels.sin);
+
+    const bios = new RomasmAssembler().assemble('    CALL bios_print_string\n    HLT');
+    assert.strictEqual(RomasmBIOS.needsLibrary(bios), true);
+    console.log(`  ${errors[0].message} at line ${errors[0].line}; with EXTERN: externals ${JSON.stringify(result.externals)}; INCLUDE "trig.romasm": sin at ${included.labels.sin}`);
+}
+console.log();
+
+// Test 7: Forward labels
+console.log('Test 7: Forward references and duplicate labels');
+{
+    const assembler = new RomasmAssembler();
+    const result = assembler.assemble(`    JMP done
+    LOAD R0, [value]
+done:
+    HLT
+value:
+    DW 42`);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.labels, { done: 2, value: 3 });
+    assert.strictEqual(result.instructions[0].operands[0].value, 2);
+    assert.strictEqual(result.instructions[1].operands[1].value, 3);
+
+    const errors = assembler.assemble(`done:
+    NOP
+done:
+    HLT
+    JMP nowhere`).errors;
+    assert.deepStrictEqual(errors.map(({ line, message }) => [line, message]), [
+        [3, 'Label done is already defined at line 1'],
+        [5, 'Undefined label: nowhere']
+    ]);
+    console.log(`  labels ${JSON.stringify(result.labels)}; ${errors.map(error => error.message).join('; ')}`);
+}
+console.log();
+
+console.log('=== All Tests Complete ===');
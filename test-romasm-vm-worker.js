@@ -0,0 +1,231 @@
+/**
+ * Test script for the worker VM host (compiler/romasm-vm-worker.js) and its
+ * main-thread proxy (compiler/romasm-vm-proxy.js), run under worker_threads,
+ * and the steps manager's background strategy on top of them
+ */
+
+const assert = require('assert');
+const { RomasmAssembler } = require('./compiler/romasm-assembler.js');
+const { RomasmVMProxy } = require('./compiler/romasm-vm-proxy.js');
+const { RomasmVM } = require('./compiler/romasm-vm.js');
+const { RomasmUART } = require('./compiler/romasm-vm-devices.js');
+const { RomasmStepsManager } = require('./calcengine/romasm-steps-manager.js');
+
+console.log('=== Romasm VM Worker Test Suite ===\n');
+
+function assemble(source) {
+    const image = new RomasmAssembler().assemble(source);
+    assert.deepStrictEqual(image.errors, []);
+    return image;
+}
+
+// 2D context stand-in that records the calls replayed on it
+function recordingContext(width, height) {
+    const calls = [];
+    const record = (method) => (...args) => calls.push([method, ...args]);
+    return {
+        calls,
+        canvas: { width, height },
+        moveTo: record('moveTo'),
+        lineTo: record('lineTo'),
+        stroke: record('stroke'),
+        beginPath: record('beginPath'),
+        clearRect: record('clearRect')
+    };
+}
+
+async function main() {
+    const batches = [];
+    const ctx = recordingContext(100, 50);
+    const remote = RomasmVMProxy.create({ canvasContext: ctx, onOutput: values => batches.push(values) });
+    try {
+        // Test 1: Requests before a program is loaded
+        console.log('Test 1: Requests need a loaded program');
+        await assert.rejects(remote.setRegisters({ I: 1 }), { message: 'No program loaded' });
+        console.log('  setRegisters before load: No program loaded');
+        console.log();
+
+        // Test 2: load, set registers and memory, run with streamed output
+        console.log('Test 2: Load, set registers and memory, run');
+        {
+            const loaded = await remote.load(assemble(`
+    LOAD R1, 0
+loop:
+    PRINT R1
+    ADD R1, 1
+    CMP R1, R0
+    JLT loop
+    LOAD R3, DWORD [4096]
+    PRINT R3
+    HLT`));
+            assert.strictEqual(loaded.instructions, 8);
+            const registers = await remote.setRegisters({ I: 3 });
+            assert.strictEqual(registers.I, 3);
+            assert.deepStrictEqual(await remote.setMemory([{ address: 4096, value: 1234, width: 4 }]), { writes: 1 });
+
+            const execution = await remote.run(10000);
+            assert.strictEqual(execution.error, null);
+            assert.strictEqual(execution.halted, true);
+            assert.deepStrictEqual(remote.output, [0, 1, 2, 1234]);
+            assert.deepStrictEqual([].concat(...batches), [0, 1, 2, 1234]);
+            console.log(`  output ${JSON.stringify(remote.output)} in ${batches.length} batch(es), halted at pc ${execution.pc}`);
+        }
+        console.log();
+
+        // Test 3: Drawing opcodes are replayed on the proxy's canvas
+        console.log('Test 3: Canvas draw commands');
+        {
+            await remote.load(assemble(`
+    CLEAR
+    LOAD R0, 10
+    LOAD R1, 20
+    MOVE R0, R1
+    LOAD R0, 30
+    DRAW R0, R1
+    STROKE
+    HLT`));
+            await remote.run(100);
+            assert.deepStrictEqual(ctx.calls, [
+                ['clearRect', 0, 0, 100, 50],
+                ['moveTo', 10, 20],
+                ['lineTo', 30, 20],
+                ['stroke']
+            ]);
+            console.log(`  replayed ${ctx.calls.map(([method]) => method).join(', ')}`);
+        }
+        console.log();
+
+        // Test 4: Cancel a run that never ends once its output has arrived
+        console.log('Test 4: Cancel a running program');
+        {
+            batches.length = 0;
+            await remote.load(assemble(`
+    LOAD R1, 7
+    PRINT R1
+spin:
+    JMP spin`));
+            const controller = new AbortController();
+            const execution = await remote.run(null, {
+                signal: controller.signal,
+                onProgress: () => {
+                    if (remote.output.length > 0) {
+                        controller.abort();
+                    }
+                }
+            });
+            assert.strictEqual(execution.aborted, true);
+            assert.strictEqual(execution.halted, false);
+            assert.deepStrictEqual(batches, [[7]]);
+
+            // The worker still answers, and the aborted program can run on
+            const resumed = await remote.run(1000);
+            assert.strictEqual(resumed.error, 'Maximum steps exceeded');
+            assert.deepStrictEqual(remote.output, []);
+            console.log(`  aborted after ${execution.steps} steps at pc ${execution.pc}; output ${JSON.stringify(batches)}`);
+        }
+        console.log();
+        // Test 5: The steps manager's background strategy sees the whole VM
+        console.log('Test 5: Background runs match inline runs');
+        {
+            const source = `
+    LOAD R2, DWORD [0x4000]
+    PUSH R2
+    POP R3
+    LOAD R1, 0
+loop:
+    PRINT R1
+    ADD R1, 1
+    CMP R1, 3
+    JLT loop
+    LOAD R4, DWORD [values]
+    PRINT R4
+    STORE R3, DWORD [0x3000]
+    HLT
+values:
+    DD 77`;
+            const options = { wordSize: 32, stackBase: 0x2000, stackLimit: 0x1000, stackRegister: 'VIII' };
+            const prepare = () => {
+                const vm = new RomasmVM(null, options);
+                vm.loadImage(new RomasmAssembler({ wordSize: 32 }).assemble(source));
+                vm.writeMemory(0x4000, 1234, 4);
+                return vm;
+            };
+            const manager = new RomasmStepsManager();
+
+            const inline = prepare();
+            const expected = await manager.execute(inline, source);
+            const background = prepare();
+            const result = await manager.execute(background, source, null, { worker: remote });
+            assert.strictEqual(result.background, true);
+            assert.deepStrictEqual(result.output, [0, 1, 2, 77]);
+            assert.deepStrictEqual(result.output, expected.output);
+            assert.deepStrictEqual(background.registers, inline.registers);
+            assert.strictEqual(background.readMemory(0x3000, 4), 1234);
+            assert.strictEqual(background.halted, true);
+
+            // A VM with devices attached stays on the main thread and says why
+            const progress = [];
+            const local = prepare();
+            local.attachDevice(new RomasmUART(), 0x3F8, 8);
+            const fallback = await manager.execute(local, source, event => progress.push(event), { worker: remote });
+            assert.strictEqual(fallback.background, undefined);
+            assert.deepStrictEqual(fallback.output, expected.output);
+            assert.match(progress[0].error, /attached devices cannot be copied to a worker/);
+            console.log(`  output ${JSON.stringify(result.output)} in the worker; ${progress[0].error}`);
+        }
+        console.log();
+        // Test 6: A console line written across two flushes
+        console.log('Test 6: Console lines that grow after they are streamed');
+        {
+            const lines = [];
+            const streaming = RomasmVMProxy.create({
+                onOutput: (values, replacesLast) => {
+                    if (replacesLast) {
+                        lines.pop();
+                    }
+                    lines.push(...values);
+                }
+            });
+            try {
+                await streaming.load(assemble(`
+    LOAD R0, 2                  ; PUTS
+    LOAD R1, greeting
+    LOAD R2, 0
+    INT 0x80
+    LOAD R0, 2                  ; PUTS returned the length in R0
+    LOAD R1, name
+    INT 0x80
+    LOAD R0, 1                  ; PUTC newline
+    LOAD R1, 10
+    INT 0x80
+    PRINT R1
+    HLT
+greeting:
+    DB "Hi, ", 0
+name:
+    DB "Ada", 0`));
+                const first = await streaming.run(4);
+                assert.strictEqual(first.error, 'Maximum steps exceeded');
+                assert.deepStrictEqual(lines, ['Hi, ']);
+
+                const second = await streaming.run(100);
+                assert.strictEqual(second.halted, true);
+                assert.deepStrictEqual(streaming.output, ['Hi, Ada', 10]);
+                assert.deepStrictEqual(lines, second.output);
+            } finally {
+                streaming.terminate();
+            }
+            console.log(`  streamed ${JSON.stringify(lines)}`);
+        }
+        console.log();
+    } finally {
+        remote.terminate();
+    }
+
+    console.log('=== All Tests Complete ===');
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
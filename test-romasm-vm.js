@@ -0,0 +1,1070 @@
+/**
+ * Test script for the Romasm VM (compiler/romasm-vm.js)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const zlib = require('zlib');
+const { RomasmAssembler } = require('./compiler/romasm-assembler.js');
+const { RomasmVM } = require('./compiler/romasm-vm.js');
+const { RomasmBIOS } = require('./compiler/romasm-vm-bios.js');
+const { RomasmPIT, RomasmUART } = require('./compiler/romasm-vm-devices.js');
+const { RomasmUEFI } = require('./compiler/romasm-vm-uefi.js');
+
+console.log('=== Romasm VM Test Suite ===\n');
+
+// Assemble a program, load it into a fresh VM and run it
+function runProgram(source, vmOptions = {}, runOptions = { trace: false }) {
+    const image = new RomasmAssembler({ wordSize: vmOptions.wordSize }).assemble(source);
+    assert.deepStrictEqual(image.errors, []);
+    const vm = new RomasmVM(null, vmOptions);
+    vm.loadImage(image);
+    const result = vm.run(100000, runOptions);
+    return { vm, result, image };
+}
+
+// Source of a RomanOS file (paths start at romanos/)
+function readRomanOS(file) {
+    return fs.readFileSync(`${__dirname}/romanos/${file}`, 'utf8');
+}
+
+// Test 1: Logic, bit, rotate, exchange and conditional move opcodes
+console.log('Test 1: Bit, rotate, SETcc, CMOVcc and XCHG opcodes');
+{
+    const { vm, result } = runProgram(`
+        LOAD R0, 0xF0
+        LOAD R1, 0x0F
+        OR R0, R1
+        BT R0, 3
+        SETC R2
+        BSR R3, R0
+        LOAD R4, 0x50
+        BSF R4, R4
+        LOAD R5, 1
+        ROR R5, 1
+        XCHG R0, R1
+        CMP R0, R1
+        CMOVL R6, R1
+        HLT`, { wordSize: 16 });
+    assert.strictEqual(result.error, null);
+    const { I, II, III, IV, V, VI, VII } = vm.registers;
+    assert.deepStrictEqual([I, II, III, IV, V, VI, VII], [0x0F, 0xFF, 1, 7, 4, -32768, 0xFF]);
+    console.log(`  BSR = ${IV}, BSF = ${V}, ROR 1 -> ${VI}, CMOVL -> ${VII}`);
+}
+console.log();
+
+// Test 2: Arithmetic flags at a fixed word width
+console.log('Test 2: ZF/SF/CF/OF and 16-bit wraparound');
+{
+    const { vm, result } = runProgram(`
+        LOAD R0, 0x7FFF
+        ADD R0, 1
+        PUSHF
+        POP R1
+        LOAD R2, 0xFFFF
+        ADD R2, 1
+        SETC R3
+        SETZ R4
+        LOAD R5, 0
+        SUB R5, 1
+        SETC R6
+        HLT`, { wordSize: 16 });
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(vm.registers.I, -32768);          // 0x7FFF + 1 wraps
+    assert.strictEqual(vm.registers.II & 0x880, 0x880);  // ... and sets OF and SF
+    assert.strictEqual(vm.registers.II & 0x41, 0);       // but not ZF or CF
+    assert.deepStrictEqual([vm.registers.IV, vm.registers.V], [1, 1]);   // 0xFFFF + 1: CF and ZF
+    assert.deepStrictEqual([vm.registers.VI, vm.registers.VII], [-1, 1]); // 0 - 1 borrows
+    assert.deepStrictEqual(vm.flags, { ZF: false, SF: true, CF: true, OF: false });
+    console.log(`  0x7FFF + 1 = ${vm.registers.I}, FLAGS 0x${vm.registers.II.toString(16)}; 0 - 1 = ${vm.registers.VI}, CF ${vm.flags.CF}`);
+}
+console.log();
+
+// Test 3: Signed division and rotate overflow
+console.log('Test 3: DIV/MOD truncate toward zero; ROL/ROR set OF');
+{
+    const division = runProgram(`
+        LOAD R0, -7
+        DIV R0, 2
+        LOAD R1, -7
+        MOD R1, 2
+        LOAD R2, 7
+        DIV R2, -2
+        LOAD R3, 7
+        MOD R3, -2
+        LOAD R4, -32768
+        MOD R4, 3
+        HLT`, { wordSize: 16 });
+    const [q1, r1, q2, r2, r3] = ['I', 'II', 'III', 'IV', 'V'].map(name => division.vm.registers[name]);
+    assert.deepStrictEqual([q1, r1, q2, r2, r3], [-3, -1, -3, 1, -2]);
+    assert.strictEqual(q1 * 2 + r1, -7);
+    assert.strictEqual(q2 * -2 + r2, 7);
+
+    // OF is bit 11 of the pushed FLAGS
+    const rotates = runProgram(`
+        LOAD R0, 0x4000
+        ROL R0, 1           ; 0x8000: the sign bit changed
+        PUSHF
+        POP R1
+        LOAD R2, 0xC000
+        ROL R2, 1           ; 0x8001: top bit and CF both set
+        PUSHF
+        POP R3
+        LOAD R4, 1
+        ROR R4, 1           ; 0x8000: two top bits differ
+        PUSHF
+        POP R5
+        LOAD R6, 3
+        ROR R6, 1           ; 0x8001: two top bits differ
+        ROR R6, 1           ; 0xC000: two top bits equal
+        PUSHF
+        POP R7
+        HLT`, { wordSize: 16 });
+    const overflow = ['II', 'IV', 'VI', 'VIII'].map(name => (rotates.vm.registers[name] & 0x800) !== 0);
+    assert.deepStrictEqual(overflow, [true, false, true, false]);
+    console.log(`  -7 / 2 = ${q1} rem ${r1}; 7 / -2 = ${q2} rem ${r2}; rotate OF ${JSON.stringify(overflow)}`);
+}
+console.log();
+
+// Test 4: Sized string instructions
+console.log('Test 4: Sized string instructions (STOSD, MOVSB, LODSW, SCASB)');
+{
+    const { vm, result } = runProgram(`
+        LOAD R5, 4096
+        LOAD R0, 0x11223344
+        LOAD R2, 3
+        CLD
+        REP STOSD R5, R0
+        LOAD R4, 4096
+        LOAD R5, 8192
+        LOAD R2, 12
+        REP MOVSB R5, R4
+        LOAD R4, 8192
+        LODSW R1, R4
+        LOAD R5, 4096
+        LOAD R0, 0x22
+        LOAD R2, 12
+        REPNE SCASB R5, R0
+        HLT`);
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(vm.memory.read(4104, 4), 0x11223344);
+    assert.strictEqual(vm.memory.read(4108, 4), 0, 'STOSD writes 4-byte elements under a 64-bit word size');
+    assert.strictEqual(vm.memory.read(8200, 4), 0x11223344);
+    assert.strictEqual(vm.registers.II, 0x3344, 'LODSW zero-extends a 2-byte element');
+    assert.strictEqual(vm.registers.VI, 4099, 'SCASB stops after the matching byte');
+    assert.strictEqual(vm.flags.ZF, true);
+    console.log(`  [4104] = 0x${vm.memory.read(4104, 4).toString(16)}, R1 = 0x${vm.registers.II.toString(16)}, R5 = ${vm.registers.VI}`);
+
+    const errors = new RomasmAssembler({ wordSize: 16 }).assemble('STOSD R1, R0').errors;
+    assert.strictEqual(errors[0].message, 'STOSD needs a 32-bit word size (assembling for 16-bit)');
+}
+console.log();
+
+// Test 5: Data directives are loaded into memory after the instructions
+console.log('Test 5: DB/DW/DD/DQ data in VM memory');
+{
+    const { vm, result, image } = runProgram(`
+        LOAD R0, BYTE [bytes+1]
+        LOAD R1, WORD [words+2]
+        LOAD R2, DWORD [dwords]
+        LOAD R3, QWORD [qwords]
+        LOAD R4, msg
+        LOAD R5, BYTE [R4+2]
+        HLT
+bytes:
+        DB 1, 2, 3
+words:
+        DW 0x1234, 0x5678
+dwords:
+        DD -2
+qwords:
+        DQ 0x123456789
+msg:
+        DB "Hey", 0`);
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(image.labels.bytes, 7); // Data starts after the 7 instructions
+    const { I, II, III, IV, V, VI } = vm.registers;
+    assert.deepStrictEqual([I, II, III, IV, V, VI], [2, 0x5678, 0xFFFFFFFE, 0x123456789, image.labels.msg, 'y'.charCodeAt(0)]);
+    console.log(`  bytes at ${image.labels.bytes}; DW ${II}, DD ${III}, DQ 0x${IV.toString(16)}, msg[2] = '${String.fromCharCode(VI)}'`);
+}
+console.log();
+
+// Test 6: Byte-addressable memory and base+index*scale+displacement operands
+console.log('Test 6: Little-endian memory and [base+index*scale+disp] addressing');
+{
+    const { vm, result } = runProgram(`
+        LOAD R1, 4096
+        LOAD R2, 3
+        LOAD R0, 0x11223344
+        STORE R0, DWORD [R1+R2*4+8]
+        LOAD R3, BYTE [R1+23]
+        LOAD R4, WORD [4116]
+        LOAD R5, 0x99
+        STORE R5, BYTE [R1]
+        LOAD R6, DWORD [R1]
+        HLT`);
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(vm.readMemory(4096 + 3 * 4 + 8, 4), 0x11223344);
+    assert.strictEqual(vm.registers.IV, 0x11);   // Highest byte of the DWORD at 4116
+    assert.strictEqual(vm.registers.V, 0x3344);  // Lowest word
+    assert.strictEqual(vm.registers.VII, 0x99);  // A BYTE store leaves the rest zero
+    console.log(`  [4116] = 0x${vm.readMemory(4116, 4).toString(16)}, byte 3 = 0x${vm.registers.IV.toString(16)}, word 0 = 0x${vm.registers.V.toString(16)}`);
+}
+console.log();
+
+// Test 7: fb-clear-optimized clears its framebuffer with one REP STOSD
+console.log('Test 7: fb-clear-optimized.romasm with stub UEFI routines');
+{
+    // A 16x8 framebuffer at 0x10000 in place of the GOP one; the example starts at user_main
+    const image = new RomasmAssembler().assemble(`
+uefi_init:
+uefi_print_string:
+    RET
+fb_get_width:
+    LOAD R0, 16
+    RET
+fb_get_height:
+    LOAD R0, 8
+    RET
+framebuffer_base:
+    DQ 0x10000
+${readRomanOS('examples/uefi/fb-clear-optimized.romasm')}`);
+    assert.deepStrictEqual(image.errors, []);
+    const vm = new RomasmVM();
+    vm.loadImage(image);
+    vm.pc = image.labels.user_main;
+    for (let address = 0x10000; address < 0x10000 + 16 * 8 * 4 + 4; address += 4) {
+        vm.memory.write(address, 4, 0xFFFFFFFF);
+    }
+    const result = vm.run(1000, { trace: false });
+    assert.strictEqual(result.error, 'Maximum steps exceeded', 'the example ends in an idle loop');
+    assert.strictEqual(vm.registers.III, 0, 'the count in R2 runs down to 0');
+    assert.strictEqual(vm.registers.VI, 0x10000 + 16 * 8 * 4, 'R5 ends past the last pixel');
+    for (let address = 0x10000; address < 0x10000 + 16 * 8 * 4; address += 4) {
+        assert.strictEqual(vm.memory.read(address, 4), 0, `pixel at 0x${address.toString(16)}`);
+    }
+    assert.strictEqual(vm.memory.read(0x10000 + 16 * 8 * 4, 4), 0xFFFFFFFF, 'the pixel after the framebuffer is kept');
+    console.log(`  128 pixels cleared, R5 = 0x${vm.registers.VI.toString(16)}`);
+}
+console.log();
+
+// Test 8: Debugger API
+console.log('Test 8: Breakpoints, watchpoints, step over and step out');
+{
+    const image = new RomasmAssembler().assemble(`
+        LOAD R0, 0
+loop:
+        ADD R0, 1
+        STORE R0, DWORD [counter]
+        CMP R0, 5
+        JLT loop
+        CALL double
+        HLT
+double:
+        ADD R0, R0
+        RET
+counter:
+        DD 0`);
+    assert.deepStrictEqual(image.errors, []);
+    const vm = new RomasmVM();
+    vm.loadImage(image);
+
+    const breakpoint = vm.addBreakpoint('loop', { condition: 'R0 == 3' });
+    const hit = vm.resume();
+    assert.strictEqual(hit.reason, 'breakpoint');
+    assert.strictEqual(hit.label, 'loop');
+    assert.strictEqual(vm.registers.I, 3);
+    vm.removeBreakpoint(breakpoint);
+
+    const watchpoint = vm.addWatchpoint('counter', { type: 'write', width: 4 });
+    const write = vm.resume();
+    assert.strictEqual(write.reason, 'watchpoint');
+    assert.deepStrictEqual([write.watchpoint.oldValue, write.watchpoint.newValue], [3, 4]);
+    vm.removeWatchpoint(watchpoint);
+
+    // Step over the CALL, then reload and step out of it
+    vm.addBreakpoint(5);
+    assert.strictEqual(vm.resume().reason, 'breakpoint');
+    const over = vm.stepOver();
+    assert.strictEqual(over.pc, 6);
+    assert.strictEqual(vm.registers.I, 10);
+    vm.clearBreakpoints();
+
+    vm.loadImage(image);
+    vm.addBreakpoint('double');
+    assert.strictEqual(vm.resume().callDepth, 1);
+    const out = vm.stepOut();
+    assert.deepStrictEqual([out.pc, out.callDepth, vm.registers.I], [6, 0, 10]);
+    assert.strictEqual(vm.resume().reason, 'halted');
+    console.log(`  breakpoint at ${hit.label} with R0 = 3; watchpoint ${write.watchpoint.oldValue} -> ${write.watchpoint.newValue}; step over/out to pc ${out.pc}`);
+}
+console.log();
+
+// Test 9: Reverse execution
+console.log('Test 9: reverseResume and stepBack undo registers, memory, stack and output');
+{
+    const image = new RomasmAssembler().assemble(`
+        LOAD R0, 7
+        PUSH R0
+        STORE R0, DWORD [slot]
+        LOAD R0, 9
+        STORE R0, DWORD [slot]
+        POP R1
+        PRINT R1
+        HLT
+slot:
+        DD 0`);
+    assert.deepStrictEqual(image.errors, []);
+    const vm = new RomasmVM(null, { historyLimit: 100 });
+    vm.loadImage(image);
+    assert.strictEqual(vm.run(100, { trace: false }).error, null);
+    assert.deepStrictEqual(vm.output, [7]);
+
+    // Back to the last write of slot: the POP, PRINT and HLT are undone
+    vm.addWatchpoint('slot', { width: 4 });
+    const stop = vm.reverseResume();
+    assert.deepStrictEqual([stop.reason, stop.pc], ['watchpoint', 4]);
+    assert.deepStrictEqual([vm.registers.I, vm.registers.II, vm.halted], [9, 0, false]);
+    assert.deepStrictEqual(vm.output, []);
+    assert.deepStrictEqual(vm.stackValues(), [7]);
+    assert.strictEqual(vm.readMemory(image.labels.slot, 4), 7);
+
+    assert.strictEqual(vm.reverseResume().pc, 2);
+    assert.strictEqual(vm.readMemory(image.labels.slot, 4), 0);
+    vm.stepBack();
+    vm.stepBack();
+    assert.strictEqual(vm.stepBack().reason, 'history-empty');
+    assert.deepStrictEqual([vm.pc, vm.registers.I, vm.stackValues()], [0, 0, []]);
+    console.log(`  watchpoint at pc ${stop.pc} with slot = 7 and stack [7]; back to pc ${vm.pc}`);
+}
+console.log();
+
+// Test 10: Profiler
+console.log('Test 10: Per-function and per-label profile and folded stacks');
+{
+    const image = new RomasmAssembler().assemble(`
+main:
+        LOAD R1, 3
+again:
+        CALL square
+        DEC R1
+        CMP R1, 0
+        JGT again
+        HLT
+square:
+        LOAD R0, R1
+        MUL R0, R1
+        RET`);
+    assert.deepStrictEqual(image.errors, []);
+    const vm = new RomasmVM();
+    vm.loadImage(image);
+    vm.enableProfiling();
+    assert.strictEqual(vm.run(1000, { trace: false }).error, null);
+
+    const profile = vm.getProfile();
+    assert.strictEqual(profile.totalSteps, 23);
+    const square = profile.functions.find(f => f.name === 'square');
+    assert.deepStrictEqual([square.calls, square.inclusive, square.exclusive], [3, 9, 9]);
+    assert.deepStrictEqual(profile.labels.map(({ label, count }) => [label, count]), [['again', 13], ['square', 9], ['main', 1]]);
+    assert.strictEqual(vm.exportFoldedStacks(), 'main 14\nmain;square 9');
+    console.log(`  ${profile.totalSteps} steps; square: ${square.calls} calls, ${square.inclusivePercent.toFixed(1)}% inclusive`);
+}
+console.log();
+
+// Test 11: Snapshots
+console.log('Test 11: snapshot() and restore() through JSON');
+{
+    const source = `
+        LOAD R0, 1
+        LOAD R2, 10
+again:
+        PUSH R0
+        ADD R0, R0
+        STORE R0, DWORD [value]
+        PRINT R0
+        DEC R2
+        CMP R2, 0
+        JGT again
+        HLT
+value:
+        DD 0`;
+    const whole = runProgram(source, { wordSize: 32 });
+    assert.strictEqual(whole.result.error, null);
+
+    const image = new RomasmAssembler().assemble(source);
+    const first = new RomasmVM(null, { wordSize: 32 });
+    first.loadImage(image);
+    first.run(20, { trace: false });
+    const text = JSON.stringify(first.snapshot());
+
+    const second = new RomasmVM();
+    second.restore(text);
+    assert.strictEqual(second.wordSize, 32);
+    assert.deepStrictEqual(second.getState(), first.getState());
+    assert.strictEqual(second.run(1000, { trace: false }).error, null);
+    assert.deepStrictEqual(second.output, whole.vm.output);
+    assert.deepStrictEqual(second.stackValues(), whole.vm.stackValues());
+    assert.strictEqual(second.readMemory(image.labels.value, 4), 1024);
+    console.log(`  ${text.length} bytes of JSON after 20 steps; resumed run printed ${second.output.length} values`);
+}
+console.log();
+
+// Test 12: I/O device bus
+console.log('Test 12: IN/OUT reach attached devices');
+{
+    const image = new RomasmAssembler().assemble(`
+        LOAD R0, 21
+        OUT 0x300, R0
+        IN R1, 0x300
+wait:
+        IN R2, 0x3FD        ; UART line status: bit 0 = data ready
+        AND R2, 1
+        CMP R2, 0
+        JEQ done
+        IN R3, 0x3F8        ; Echo each received byte
+        OUT 0x3F8, R3
+        JMP wait
+done:
+        OUT 0x80, R0
+        IN R4, 0x80         ; Unmapped ports keep the last value written
+        HLT`);
+    assert.deepStrictEqual(image.errors, []);
+    const vm = new RomasmVM();
+    vm.loadImage(image);
+    const writes = [];
+    vm.attachDevice({
+        name: 'doubler',
+        value: 0,
+        read(offset) { return this.value * 2; },
+        write(offset, value) { writes.push([offset, value]); this.value = value; }
+    }, 0x300, 2);
+    const uart = vm.attachDevice(new RomasmUART(), 0x3F8, 8);
+    uart.receive('hi');
+    assert.throws(() => vm.attachDevice(new RomasmUART(), 0x3FC, 8), /overlap/);
+
+    assert.strictEqual(vm.run(1000, { trace: false }).error, null);
+    assert.deepStrictEqual(writes, [[0, 21]]);
+    assert.deepStrictEqual([vm.registers.II, vm.registers.V], [42, 21]);
+    assert.deepStrictEqual(vm.output, ['hi']);
+    console.log(`  device read ${vm.registers.II}; UART echoed ${JSON.stringify(vm.output[0])}`);
+}
+console.log();
+
+// Test 13: stepBack undoes BIOS, device and port state
+console.log('Test 13: stepBack restores the BIOS screen, devices and ports');
+{
+    const image = new RomasmAssembler({ wordSize: 16 }).assemble(`
+        LOAD R0, 0x0E41
+        INT 0x10
+        LOAD R0, 0x0E42
+        INT 0x10
+        LOAD R0, 0x34
+        OUT 0x43, R0
+        OUT 0x80, R0
+        HLT`);
+    const vm = new RomasmVM(null, { historyLimit: 100 });
+    const bios = new RomasmBIOS().install(vm);
+    const pit = vm.attachDevice(new RomasmPIT(), 0x40, 4);
+    vm.loadImage(image);
+    bios.boot();
+    vm.run(100, { trace: false });
+    assert.strictEqual(bios.toText(), 'AB');
+    assert.strictEqual(vm.ioPorts[0x80], 0x34);
+    const pitState = JSON.stringify(pit.saveState());
+
+    vm.stepBack(); // HLT
+    vm.stepBack(); // OUT 0x80
+    assert.strictEqual(vm.ioPorts[0x80], undefined);
+    vm.stepBack(); // OUT 0x43 (PIT mode/command)
+    assert.notStrictEqual(JSON.stringify(pit.saveState()), pitState);
+    vm.stepBack();
+    vm.stepBack(); // second INT 0x10
+    assert.strictEqual(bios.toText(), 'A');
+    assert.strictEqual(bios.cursorCol, 1);
+    vm.run(100, { trace: false });
+    assert.strictEqual(bios.toText(), 'AB');
+    assert.strictEqual(JSON.stringify(pit.saveState()), pitState);
+    console.log(`  screen after replay: ${bios.toText()}`);
+}
+console.log();
+
+// Test 14: Timer interrupts through the IVT
+console.log('Test 14: PIT IRQ 0 wakes HLT and runs the IVT handler');
+{
+    const image = new RomasmAssembler().assemble(`
+        LOAD R0, tick
+        STORE R0, DWORD [0x8080]    ; Vector 0x20 (IRQ 0) in the IVT at 0x8000
+        LOAD R0, 0x34
+        OUT 0x43, R0                ; Channel 0, low then high byte, mode 2
+        LOAD R0, 100
+        OUT 0x40, R0
+        LOAD R0, 0
+        OUT 0x40, R0
+        STI
+wait:
+        HLT
+        CMP R1, 3
+        JLT wait
+        CLI
+        HLT                         ; With IF clear this halts for good
+tick:
+        INC R1
+        IRET`);
+    assert.deepStrictEqual(image.errors, []);
+    const vm = new RomasmVM(null, { ivtBase: 0x8000 });
+    const pit = vm.attachDevice(new RomasmPIT(), 0x40, 4);
+    vm.loadImage(image);
+    const result = vm.run(100000, { trace: false });
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(vm.halted, true);
+    assert.strictEqual(vm.getInterruptVector(RomasmVM.IRQ_VECTOR_BASE), image.labels.tick);
+    assert.deepStrictEqual([vm.registers.II, pit.ticks], [3, 3]);
+    console.log(`  ${pit.ticks} timer interrupts in ${result.steps} steps`);
+}
+console.log();
+
+// Test 15: Device ticks while HLT waits are part of the history
+console.log('Test 15: stepBack across an HLT wait rewinds the PIT');
+{
+    const image = new RomasmAssembler().assemble(`
+        LOAD R0, 0x34
+        OUT 0x43, R0
+        LOAD R0, 100
+        OUT 0x40, R0
+        LOAD R0, 0
+        OUT 0x40, R0
+        STI
+        HLT                 ; No IRQ 0 handler: the PIT keeps counting while the CPU waits`);
+    const vm = new RomasmVM(null, { historyLimit: 1000 });
+    const pit = vm.attachDevice(new RomasmPIT(), 0x40, 4);
+    vm.loadImage(image);
+    vm.run(8, { trace: false });
+    assert.strictEqual(vm.waitingForInterrupt, true);
+    const halted = JSON.stringify(pit.saveState());
+
+    assert.strictEqual(vm.run(250, { trace: false }).steps, 250);
+    const waited = JSON.stringify(pit.saveState());
+    assert.strictEqual(pit.ticks, 2);
+
+    for (let i = 0; i < 250; i++) {
+        vm.stepBack();
+    }
+    assert.strictEqual(JSON.stringify(pit.saveState()), halted);
+    assert.deepStrictEqual([vm.pc, vm.waitingForInterrupt, vm.pendingIRQs], [8, true, 0]);
+    vm.run(250, { trace: false });
+    assert.strictEqual(JSON.stringify(pit.saveState()), waited);
+    console.log(`  ${pit.ticks} PIT interrupts while waiting, undone and replayed`);
+}
+console.log();
+
+// Test 16: The BIOS hello-world boots unmodified and renders as text, HTML and ANSI
+console.log('Test 16: BIOS hello-world on the text-mode screen');
+{
+    const image = new RomasmAssembler({ wordSize: 16 }).assemble(`${readRomanOS('examples/hello-world.romasm')}\n${readRomanOS('stdlib/bios.romasm')}`);
+    assert.deepStrictEqual(image.errors, []);
+    const vm = new RomasmVM();
+    const bios = new RomasmBIOS().install(vm);
+    vm.loadImage(image);
+    bios.boot();
+    // hello-world spins in its halt loop once the message is printed
+    const result = vm.run(5000, { trace: false });
+    assert.strictEqual(result.error, 'Maximum steps exceeded');
+    assert.ok(vm.pc >= image.labels.halt && vm.pc < image.labels.halt + 4);
+    assert.strictEqual(bios.toText(), 'Hello, RomanOS!');
+    assert.deepStrictEqual([bios.cursorRow, bios.cursorCol], [1, 0], 'CR LF moves to the next line');
+
+    // Yellow '<' written with its attribute at row 2, column 3 (INT 10h AH=02h, AH=09h)
+    vm.loadImage(new RomasmAssembler({ wordSize: 16 }).assemble(`
+        LOAD R0, 0x0200
+        LOAD R3, 0x0203
+        INT 0x10
+        LOAD R0, 0x093C
+        LOAD R1, 0x000E
+        LOAD R2, 1
+        INT 0x10
+        HLT`));
+    vm.halted = false;
+    vm.run(100, { trace: false });
+    assert.strictEqual(bios.toText(), 'Hello, RomanOS!\n\n   <');
+
+    const html = bios.renderHTML().split('\n');
+    assert.strictEqual(html.length, 25);
+    assert.ok(html[0].startsWith('<span style="color:#aaaaaa;background:#000000">Hello, RomanOS!  '));
+    assert.ok(html[2].includes('<span class="bios-cursor">&lt;</span>'), 'escaped, and the cursor cell is marked');
+
+    const ansi = bios.renderANSI({ home: true });
+    assert.ok(ansi.startsWith('\x1b[2J\x1b[H\x1b[37;40mHello, RomanOS!'));
+    assert.ok(ansi.includes('\x1b[93;40m<'), 'yellow is bright (9x) yellow on black');
+    assert.ok(ansi.endsWith('\x1b[0m\x1b[3;4H'), 'terminal cursor at the BIOS cursor');
+    console.log(`  ${JSON.stringify(bios.toText())}, cursor row ${bios.cursorRow} column ${bios.cursorCol}`);
+}
+console.log();
+
+// The UEFI framebuffer, font and terminal modules under romanos/uefi
+const UEFI_MODULES = ['uefi/gop/gop.romasm', 'uefi/framebuffer/fb.romasm', 'uefi/fonts/font.romasm', 'uefi/terminal/term.romasm'];
+
+// Assemble the UEFI bootloader, the modules, the given RomanOS files and source,
+// and boot the program on the emulated firmware (one 640x480 mode by default)
+function bootUEFI(files, source = '', firmware = { width: 640, height: 480 }) {
+    const sources = ['uefi/bootloader/uefi-main.romasm', ...UEFI_MODULES, ...files].map(readRomanOS);
+    const image = new RomasmAssembler({ wordSize: 64 }).assemble([...sources, source].join('\n'));
+    assert.deepStrictEqual(image.errors, []);
+    const vm = new RomasmVM(null, { wordSize: 64 });
+    const uefi = new RomasmUEFI(firmware).install(vm);
+    vm.loadImage(image);
+    uefi.boot();
+    return { vm, uefi, image };
+}
+
+// Test 17: The UEFI/GOP stack boots and draws in the emulated framebuffer
+console.log('Test 17: UEFI hello-world draws text and rectangles');
+{
+    const { vm, uefi, image } = bootUEFI(['examples/uefi/hello-world.romasm', 'stdlib/uefi/gop.romasm']);
+    // hello-world idles in a loop once it has drawn everything, so the run ends at the step limit
+    const result = vm.run(2000000, { trace: false });
+    assert.strictEqual(result.error, 'Maximum steps exceeded');
+    const loop = image.labels.user_main_loop;
+    assert.ok(vm.pc >= loop && vm.pc < loop + 4, 'hello-world reaches its idle loop');
+
+    const pixel = (x, y) => vm.memory.read(uefi.framebufferBase + (y * uefi.width + x) * 4, 4);
+    assert.strictEqual(uefi.getPixel(0, 0), 0xFFFFFF, 'first character cell is drawn in the foreground color');
+    assert.strictEqual(uefi.getPixel(7, 15), 0xFFFFFF);
+    assert.strictEqual(uefi.getPixel(639, 479), 0x000000, 'the rest of the screen is cleared');
+    assert.strictEqual(pixel(60, 110), 0xFF0000FF, 'first rectangle');
+    assert.strictEqual(pixel(310, 140), 0x0000FFFF, 'second rectangle');
+    assert.strictEqual(pixel(510, 110), 0, 'rectangles stop at their right edge');
+
+    const png = uefi.toPNG();
+    assert.strictEqual(png.subarray(1, 4).toString(), 'PNG');
+    const idat = png.indexOf('IDAT');
+    const raw = zlib.inflateSync(png.subarray(idat + 4, idat + 4 + png.readUInt32BE(idat - 4)));
+    assert.deepStrictEqual([...raw.subarray(1, 5)], [0xFF, 0xFF, 0xFF, 0xFF], 'PNG pixel (0, 0) is white');
+    console.log(`  ${result.steps} steps, pixel (0, 0) = 0x${uefi.getPixel(0, 0).toString(16)}, PNG ${png.length} bytes`);
+}
+console.log();
+
+// Test 18: font_render_glyph draws a bitmap glyph and keeps R7 (the stack pointer) alone
+console.log('Test 18: UEFI font_render_glyph');
+{
+    const { vm, uefi } = bootUEFI([], `
+        user_main:
+          LOAD R0, 100
+          LOAD R1, 300
+          LOAD R2, 33          ; '!'
+          LOAD R3, 0xFFFFFFFF  ; White
+          LOAD R4, 0x00FF0000  ; Red (BGRX)
+          CALL font_render_glyph
+          HLT`);
+    const result = vm.run(2000000, { trace: false });
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(vm.halted, true);
+    assert.deepStrictEqual([vm.registers.I, vm.registers.II, vm.registers.III], [100, 300, 33], 'R0-R2 are preserved');
+    // Row 0 of '!' is 0x18: pixels 3 and 4 set
+    assert.strictEqual(uefi.getPixel(100, 300), 0xFF0000);
+    assert.strictEqual(uefi.getPixel(103, 300), 0xFFFFFF);
+    assert.strictEqual(uefi.getPixel(104, 300), 0xFFFFFF);
+    assert.strictEqual(uefi.getPixel(105, 300), 0xFF0000);
+    assert.strictEqual(uefi.getPixel(103, 305), 0xFF0000, 'row 5 is empty');
+    assert.strictEqual(uefi.getPixel(103, 306), 0xFFFFFF);
+    assert.strictEqual(uefi.getPixel(107, 315), 0xFF0000, 'the glyph is 8x16');
+    assert.strictEqual(uefi.getPixel(108, 300), 0x000000);
+    assert.strictEqual(uefi.getPixel(100, 316), 0x000000);
+    console.log(`  ${result.steps} steps, row 0: ${[100, 101, 102, 103, 104, 105, 106, 107].map(x => uefi.getPixel(x, 300) === 0xFFFFFF ? '#' : '.').join('')}`);
+}
+console.log();
+
+// Test 19: GOP mode queries and mode switches through the firmware tables
+console.log('Test 19: GOP QueryMode, SetMode and the framebuffer globals');
+{
+    const { vm, uefi, image } = bootUEFI([], `
+        user_main:
+          LOAD R0, uefi_gop
+          LOAD R0, [R0]
+          LOAD R4, [R0]        ; GOP->QueryMode
+          LOAD R1, 1
+          LOAD R2, info_size
+          LOAD R3, info
+          CALL R4
+          LOAD R5, R0
+          LOAD R0, uefi_gop
+          LOAD R0, [R0]
+          LOAD R4, [R0+0x08]   ; GOP->SetMode
+          LOAD R1, 2
+          CALL R4
+          LOAD R6, R0
+          CALL gop_set_mode    ; Mode 0
+          LOAD R0, uefi_gop
+          LOAD R0, [R0]
+          LOAD R1, 1
+          CALL R4
+          CALL gop_get_framebuffer_info
+          CALL gop_query_current_mode
+          LOAD R3, R1
+          LOAD R0, 10
+          LOAD R1, 20
+          LOAD R2, 0x000000FF  ; Red in RGBX
+          CALL fb_plot_pixel
+          HLT
+        info_size:
+          DQ 0
+        info:
+          DQ 0`, { modes: [{ width: 640, height: 480 }, { width: 320, height: 200 }], pixelFormat: 'RGBX' });
+    const result = vm.run(2000000, { trace: false });
+    assert.strictEqual(result.error, null);
+    const read = (label, width = 8) => vm.memory.read(image.labels[label], width);
+    assert.strictEqual(vm.registers.VI, RomasmUEFI.EFI_SUCCESS, 'QueryMode(1)');
+    assert.strictEqual(read('info_size'), 0x24);
+    assert.deepStrictEqual([4, 8, 0x0C, 0x20].map(offset => vm.memory.read(read('info') + offset, 4)), [320, 200, 0, 320],
+        'mode 1 info: resolution, PixelRedGreenBlueReserved8BitPerColor, pixels per scanline');
+    assert.strictEqual(vm.registers.VII, RomasmUEFI.EFI_UNSUPPORTED, 'SetMode(2) with two modes');
+    assert.strictEqual(vm.registers.IV, 1, 'gop_query_current_mode reads Mode->Mode');
+    assert.deepStrictEqual([uefi.currentMode, uefi.width, uefi.height], [1, 320, 200]);
+    assert.deepStrictEqual(['framebuffer_base', 'framebuffer_size', 'framebuffer_width', 'framebuffer_height', 'framebuffer_pitch'].map(label => read(label)),
+        [uefi.framebufferBase, 320 * 200 * 4, 320, 200, 1280]);
+
+    assert.strictEqual(uefi.getPixel(10, 20), 0xFF0000);
+    assert.strictEqual(uefi.getPixel(11, 20), 0x000000, 'SetMode cleared what the terminal drew');
+    let drawn = null;
+    uefi.renderToCanvas({
+        createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+        putImageData: (imageData, x, y) => { drawn = { imageData, x, y }; }
+    });
+    const offset = (20 * 320 + 10) * 4;
+    assert.deepStrictEqual([drawn.imageData.width, drawn.imageData.height, drawn.x, drawn.y], [320, 200, 0, 0]);
+    assert.deepStrictEqual([...drawn.imageData.data.subarray(offset, offset + 4)], [255, 0, 0, 255]);
+    console.log(`  mode ${uefi.currentMode}: ${uefi.width}x${uefi.height}, pitch ${read('framebuffer_pitch')}, pixel (10, 20) = 0x${uefi.getPixel(10, 20).toString(16)}`);
+}
+console.log();
+
+// Test 20: RET with an empty stack
+console.log('Test 20: top-level RET raises #SS unless returnToHost is set');
+{
+    const source = `
+        LOAD R0, 42
+        RET
+        LOAD R0, 0`;
+    const { vm, result } = runProgram(source);
+    assert.strictEqual(result.fault.type, '#SS');
+    assert.strictEqual(result.fault.message, 'RET with an empty stack');
+    assert.strictEqual(vm.halted, true);
+
+    const host = runProgram(source, { returnToHost: true });
+    assert.strictEqual(host.result.error, null);
+    assert.strictEqual(host.result.fault, null);
+    assert.strictEqual(host.vm.registers.I, 42);
+    const compiled = runProgram(source, { returnToHost: true }, { trace: false, compiled: true });
+    assert.strictEqual(compiled.vm.registers.I, 42);
+    console.log(`  default: ${result.fault.type} ${result.fault.message}; returnToHost: R0 = ${host.vm.registers.I}`);
+}
+console.log();
+
+// Test 21: CPU exceptions
+console.log('Test 21: #DE and #UD faults, with and without an IVT handler');
+{
+    const image = new RomasmAssembler().assemble(`
+        LOAD R0, 10
+        LOAD R1, 0
+        CALL divide
+        PRINT R0
+        HLT
+divide:
+        DIV R0, R1
+        RET
+on_divide_error:
+        POP R2                      ; Error code: the faulting instruction
+        LOAD R0, -1
+        IRET`);
+    assert.deepStrictEqual(image.errors, []);
+    const unhandled = new RomasmVM();
+    unhandled.loadImage(image);
+    const { error, fault } = unhandled.run(1000, { trace: false });
+    assert.strictEqual(error, 'Division by zero');
+    assert.deepStrictEqual([fault.type, fault.vector, fault.address], ['#DE', 0, 5]);
+    assert.deepStrictEqual(fault.backtrace, [{ address: 5, function: 'divide' }, { address: 2, function: '(top)' }]);
+
+    const handled = new RomasmVM();
+    handled.loadImage(image);
+    handled.setInterruptVector(0, 'on_divide_error');
+    assert.strictEqual(handled.run(1000, { trace: false }).error, null);
+    assert.deepStrictEqual(handled.output, [-1]);
+    assert.strictEqual(handled.registers.III, 5);
+
+    const invalid = new RomasmVM();
+    invalid.loadProgram([{ opcode: 'ZZ', operands: [], raw: 'ZZ' }]);
+    assert.strictEqual(invalid.run(10, { trace: false }).fault.type, '#UD');
+    console.log(`  ${fault.type} at ${fault.address} in ${fault.backtrace[0].function}; handled: PRINT ${handled.output[0]}`);
+}
+console.log();
+
+// Test 22: Faults and IRQs use separate vectors
+console.log('Test 22: #SS reaches its own handler while a UART IRQ handler is installed');
+{
+    const image = new RomasmAssembler().assemble(`
+        LOAD R0, 1
+        OUT 0x3F9, R0               ; UART IER: interrupt when data arrives
+        STI
+        POP R1                      ; Empty stack: #SS
+wait:
+        HLT
+        CMP R2, 0
+        JEQ wait
+        CLI
+        HLT
+on_uart:
+        IN R2, 0x3F8
+        IRET
+on_stack_fault:
+        POP R3                      ; Error code: the faulting POP
+        IRET`);
+    assert.deepStrictEqual(image.errors, []);
+    const vm = new RomasmVM();
+    const uart = vm.attachDevice(new RomasmUART(), 0x3F8, 8);
+    vm.loadImage(image);
+    vm.setInterruptVector(RomasmVM.EXCEPTIONS.SS.vector, 'on_stack_fault');
+    vm.setInterruptVector(RomasmVM.IRQ_VECTOR_BASE + 4, 'on_uart');
+
+    const faulted = vm.run(1000, { trace: false });
+    assert.strictEqual(faulted.waiting, true);
+    assert.deepStrictEqual([vm.lastFault.mnemonic, vm.lastFault.address], ['SS', 3]);
+    assert.deepStrictEqual([vm.registers.III, vm.registers.IV], [0, 3]);
+    assert.deepStrictEqual(vm.stackValues(), []);
+
+    uart.receive('A');
+    assert.strictEqual(vm.run(1000, { trace: false }).error, null);
+    assert.strictEqual(vm.halted, true);
+    assert.deepStrictEqual([vm.registers.III, vm.registers.IV], [65, 3]);
+    console.log(`  #SS handler got error code ${vm.registers.IV}; COM1 handler read ${vm.registers.III}`);
+}
+console.log();
+
+// Test 23: Stack in memory
+console.log('Test 23: PUSH/POP use memory at SP, with R7 as SP and a stack limit');
+{
+    const { vm, result } = runProgram(`
+        LOAD R0, 0x1234
+        PUSH R0
+        LOAD R3, R7
+        LOAD R1, DWORD [R7]
+        POP R2
+        HLT`, { wordSize: 32, stackBase: 0x2000, stackLimit: 0x1FF0, stackRegister: 'VIII' });
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(vm.registers.IV, 0x1FFC);   // SP after one 32-bit push
+    assert.deepStrictEqual([vm.registers.II, vm.registers.III], [0x1234, 0x1234]);
+    assert.strictEqual(vm.registers.VIII, 0x2000);
+
+    const overflow = runProgram(`
+again:
+        PUSH R0
+        JMP again`, { wordSize: 32, stackBase: 0x2000, stackLimit: 0x1FF0 });
+    assert.strictEqual(overflow.result.fault.type, '#SS');
+    assert.strictEqual(overflow.vm.stackValues().length, 4);
+    console.log(`  SP 0x${vm.registers.IV.toString(16)} after PUSH; ${overflow.result.error}`);
+}
+console.log();
+
+// Test 24: Compiled run path
+console.log('Test 24: run({ compiled: true }) matches the interpreter');
+{
+    const source = `
+        LOAD R0, 0
+        LOAD R2, 20
+outer:
+        LOAD R1, 1
+inner:
+        ADD R0, R1
+        STORE R0, DWORD [4096]
+        CALL twice
+        CMP R1, 0x4000
+        JLT inner
+        DEC R2
+        JNE outer
+        PRINT R0
+        DIV R0, R3                  ; Ends with #DE
+twice:
+        ADD R1, R1
+        RET`;
+    const interpreted = runProgram(source, { wordSize: 16 });
+    const compiled = runProgram(source, { wordSize: 16 }, { compiled: true });
+    // Profiling sends every instruction through step() inside the compiled loop
+    const image = new RomasmAssembler({ wordSize: 16 }).assemble(source);
+    const profiled = new RomasmVM(null, { wordSize: 16 });
+    profiled.loadImage(image);
+    profiled.enableProfiling();
+    const fallback = profiled.run(100000, { compiled: true });
+
+    for (const { vm, result } of [compiled, { vm: profiled, result: fallback }]) {
+        assert.strictEqual(result.steps, interpreted.result.steps);
+        assert.strictEqual(result.error, interpreted.result.error);
+        assert.deepStrictEqual(result.fault, interpreted.result.fault);
+        assert.deepStrictEqual(vm.getState(), interpreted.vm.getState());
+    }
+    assert.strictEqual(interpreted.result.fault.type, '#DE');
+    console.log(`  ${compiled.result.steps} steps, output ${JSON.stringify(compiled.vm.output)}, ${compiled.result.error}`);
+}
+console.log();
+
+// Test 25: Trace modes
+console.log('Test 25: Full, ring buffer, streamed and trace-free runs');
+{
+    const source = `
+        LOAD R0, 0
+again:
+        INC R0
+        CMP R0, 10
+        JLT again
+        STORE R0, WORD [0x100]
+        HLT`;
+    const full = runProgram(source, {}, {});
+    const ring = runProgram(source, {}, { trace: 3 });
+    const streamed = [];
+    const sink = runProgram(source, {}, { trace: 'none', onStep: result => streamed.push(result.pc) });
+    const none = runProgram(source, {}, { trace: 'none' });
+
+    assert.strictEqual(full.result.trace.length, full.result.steps);
+    assert.deepStrictEqual(ring.result.trace.map(step => step.pc), full.result.trace.slice(-3).map(step => step.pc));
+    assert.deepStrictEqual(streamed, full.result.trace.map(step => step.pc));
+    assert.deepStrictEqual(sink.result.trace, []);
+    assert.deepStrictEqual(none.result.trace, []);
+    assert.strictEqual(none.result.stats.steps, full.result.steps);
+    assert.deepStrictEqual(none.result.registers, full.result.registers);
+
+    // Results are summaries: memory is only dumped on request
+    assert.strictEqual('memory' in full.result, false);
+    assert.strictEqual('memory' in none.result, false);
+    const dumped = runProgram(source, {}, { trace: 'none', memory: true });
+    assert.deepStrictEqual(dumped.result.memory, { 256: 10 });
+    console.log(`  ${full.result.steps} steps; ring buffer pcs ${JSON.stringify(ring.result.trace.map(step => step.pc))}`);
+}
+console.log();
+
+// Test 26: Syscall console
+console.log('Test 26: INT 0x80 GETS, PUTS, PUTC and EXIT');
+{
+    const image = new RomasmAssembler().assemble(`
+        LOAD R0, 4                  ; GETS
+        LOAD R1, buffer
+        LOAD R2, 16
+        INT 0x80
+        LOAD R3, R0
+        LOAD R0, 2                  ; PUTS up to the NUL
+        LOAD R1, greeting
+        LOAD R2, 0
+        INT 0x80
+        LOAD R0, 2
+        LOAD R1, buffer
+        INT 0x80
+        LOAD R0, 1                  ; PUTC newline
+        LOAD R1, 10
+        INT 0x80
+        LOAD R0, 0                  ; EXIT with the line length
+        LOAD R1, R3
+        INT 0x80
+greeting:
+        DB "Hi, ", 0
+buffer:
+        TIMES 16 DB 0`);
+    assert.deepStrictEqual(image.errors, []);
+    const vm = new RomasmVM();
+    vm.loadImage(image);
+    const blocked = vm.run(1000, { trace: false });
+    assert.strictEqual(blocked.waiting, true);
+    assert.strictEqual(vm.pc, 3);
+
+    vm.provideInput('Ada\n');
+    const result = vm.run(1000, { trace: false });
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(vm.halted, true);
+    assert.strictEqual(result.exitCode, 3);
+    assert.deepStrictEqual(vm.output, ['Hi, Ada']);
+    console.log(`  waited at pc 3 for input, then printed ${JSON.stringify(vm.output)} and exited with ${result.exitCode}`);
+}
+console.log();
+
+// Test 27: INT 16h key reads block until a key is pressed
+console.log('Test 27: INT 16h waits for keys');
+{
+    const image = new RomasmAssembler({ wordSize: 16 }).assemble(`
+        LOAD R0, 0
+        INT 0x16
+        LOAD R1, R0
+        LOAD R0, 0
+        INT 0x16
+        HLT`);
+    const vm = new RomasmVM();
+    const bios = new RomasmBIOS().install(vm);
+    vm.loadImage(image);
+    bios.boot();
+    let result = vm.run(1000, { trace: false });
+    assert.strictEqual(result.waiting, true);
+    assert.strictEqual(result.error, null);
+    assert.ok(result.steps < 10, 'a blocked key read returns instead of spinning');
+    bios.pressKey('a');
+    result = vm.run(1000, { trace: false });
+    assert.strictEqual(result.waiting, true);
+    assert.strictEqual(vm.registers.II & 0xFF, 0x61);
+    bios.pressKey('Enter');
+    result = vm.run(1000, { trace: false });
+    assert.strictEqual(result.waiting, false);
+    assert.strictEqual(vm.halted, true);
+    assert.strictEqual(vm.registers.I & 0xFF, 0x0D);
+    console.log(`  keys read: 0x${(vm.registers.II & 0xFFFF).toString(16)}, 0x${(vm.registers.I & 0xFFFF).toString(16)}`);
+}
+console.log();
+
+// Test 28: Asynchronous runs
+const asyncTests = (async () => {
+    console.log('Test 28: runAsync pause, resume and cancel, and stream()');
+    {
+        const image = new RomasmAssembler().assemble(`
+again:
+        INC R0
+        JMP again`);
+        const vm = new RomasmVM();
+        vm.loadImage(image);
+        const controller = new AbortController();
+        const events = [];
+        let timerFired = false;
+        setTimeout(() => { timerFired = true; }, 0);
+        const result = await vm.runAsync(Infinity, {
+            budgetMs: 1,
+            signal: controller.signal,
+            onProgress: progress => {
+                events.push(progress.paused ? 'paused' : 'slice');
+                if (progress.paused) {
+                    setTimeout(() => vm.resumeRun(), 0);
+                } else if (events.includes('paused')) {
+                    controller.abort();
+                } else if (timerFired) {
+                    vm.pauseRun();
+                }
+            }
+        });
+        assert.strictEqual(result.aborted, true);
+        assert.strictEqual(result.error, 'Aborted');
+        assert.strictEqual(events.filter(event => event === 'paused').length, 1);
+        assert.strictEqual(vm.registers.I, Math.ceil(result.steps / 2));
+
+        // An aborted VM can run on
+        const more = await vm.runAsync(100);
+        assert.strictEqual(more.error, 'Maximum steps exceeded');
+        assert.strictEqual(vm.registers.I, Math.ceil(result.steps / 2) + 50);
+        assert.strictEqual('memory' in more, false);
+        assert.deepStrictEqual((await vm.runAsync(0, { memory: true })).memory, {});
+
+        const pcs = [];
+        vm.loadImage(new RomasmAssembler().assemble('    LOAD R0, 1\n    HLT'));
+        for await (const step of vm.stream(10)) {
+            pcs.push(step.pc);
+        }
+        assert.deepStrictEqual(pcs, [0, 1]);
+        console.log(`  ${events.length} progress events (${events.join(', ')}), aborted after ${result.steps} steps`);
+    }
+    console.log();
+})();
+
+asyncTests.then(() => {
+    console.log('=== All Tests Complete ===');
+}, error => {
+    console.error(error);
+    process.exitCode = 1;
+});